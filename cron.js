@@ -0,0 +1,322 @@
+/**
+ * Error thrown when a cron expression can't be parsed.
+ */
+export class InvalidCronExpression extends Error {
+  /**
+   * @param {string} expression - The cron expression
+   * @param {string} reason - What is wrong with it
+   */
+  constructor(expression, reason) {
+    super(`invalid cron expression: ${expression} (${reason})`);
+    this.name = "InvalidCronExpression";
+    this.expression = expression;
+  }
+}
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * How far ahead next() looks for a fire time before giving up, so that
+ * expressions that never match (e.g. February 30th) don't loop forever.
+ */
+const SEARCH_YEARS = 8;
+
+/**
+ * Shorthands for common expressions.
+ */
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+/**
+ * The fields of a cron expression, in order.
+ */
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: [
+      "JAN",
+      "FEB",
+      "MAR",
+      "APR",
+      "MAY",
+      "JUN",
+      "JUL",
+      "AUG",
+      "SEP",
+      "OCT",
+      "NOV",
+      "DEC",
+    ],
+  },
+  {
+    name: "day of week",
+    min: 0,
+    max: 7,
+    names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"],
+  },
+];
+
+/**
+ * Date formatters by time zone, which are expensive to create.
+ *
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * A parsed cron expression with five fields (minute, hour, day of month,
+ * month and day of week), supporting lists, ranges, steps, month and weekday
+ * names and the @yearly, @monthly, @weekly, @daily and @hourly macros.
+ *
+ * As in Vixie cron, when both the day of month and the day of week are
+ * restricted, a day matches if either of them does.
+ */
+export class CronExpression {
+  #minutes;
+  #hours;
+  #daysOfMonth;
+  #months;
+  #daysOfWeek;
+  #daysRestricted;
+
+  /**
+   * Parses a cron expression.
+   *
+   * @param {string} expression - The cron expression
+   * @throws {InvalidCronExpression} If the expression can't be parsed
+   */
+  constructor(expression) {
+    const source = MACROS[expression.trim().toLowerCase()] || expression;
+    const texts = source.trim().split(/\s+/);
+    if (texts.length !== FIELDS.length) {
+      throw new InvalidCronExpression(expression, "expected 5 fields");
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = texts.map(
+      (text, index) =>
+        CronExpression.#parseField(expression, text, FIELDS[index])
+    );
+    if (daysOfWeek.delete(7)) {
+      daysOfWeek.add(0);
+    }
+    this.#minutes = minutes;
+    this.#hours = hours;
+    this.#daysOfMonth = daysOfMonth;
+    this.#months = months;
+    this.#daysOfWeek = daysOfWeek;
+    this.#daysRestricted =
+      !texts[2].startsWith("*") && !texts[4].startsWith("*");
+  }
+
+  /**
+   * Finds the first fire time strictly after the given time.
+   *
+   * Fire times are matched against the wall clock of the time zone. Wall
+   * times skipped by a daylight saving change don't fire, and wall times
+   * repeated by one fire once, at their first occurrence.
+   *
+   * @param {Date} after - The time to search from
+   * @param {string} [timezone="UTC"] - The IANA time zone of the expression
+   * @returns {Date|null} The next fire time, or null if there is none in the next years
+   */
+  next(after, timezone = "UTC") {
+    let wall = wallClock(after.getTime(), timezone) + MINUTE;
+    const limit = wall + SEARCH_YEARS * 366 * DAY;
+    while (wall <= limit) {
+      const date = new Date(wall);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth();
+      const day = date.getUTCDate();
+      const hour = date.getUTCHours();
+      if (!this.#months.has(month + 1)) {
+        wall = Date.UTC(year, month + 1, 1);
+      } else if (!this.#matchesDay(day, date.getUTCDay())) {
+        wall = Date.UTC(year, month, day + 1);
+      } else if (!this.#hours.has(hour)) {
+        wall = Date.UTC(year, month, day, hour + 1);
+      } else if (!this.#minutes.has(date.getUTCMinutes())) {
+        wall += MINUTE;
+      } else {
+        const instant = toInstant(wall, timezone);
+        if (instant !== null && instant > after.getTime()) {
+          return new Date(instant);
+        }
+        wall += MINUTE;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a day matches the day of month and day of week fields.
+   *
+   * @param {number} dayOfMonth - The day of the month, from 1
+   * @param {number} dayOfWeek - The day of the week, from 0 (Sunday)
+   * @returns {boolean} True if the day matches
+   */
+  #matchesDay(dayOfMonth, dayOfWeek) {
+    if (this.#daysRestricted) {
+      return (
+        this.#daysOfMonth.has(dayOfMonth) || this.#daysOfWeek.has(dayOfWeek)
+      );
+    }
+    return this.#daysOfMonth.has(dayOfMonth) && this.#daysOfWeek.has(dayOfWeek);
+  }
+
+  /**
+   * Parses one field of a cron expression.
+   *
+   * @param {string} expression - The whole expression, for error messages
+   * @param {string} text - The text of the field
+   * @param {Object} field - The definition of the field
+   * @returns {Set<number>} The values the field matches
+   * @throws {InvalidCronExpression} If the field can't be parsed
+   */
+  static #parseField(expression, text, field) {
+    const values = new Set();
+    for (const part of text.split(",")) {
+      const [range, stepText, ...rest] = part.split("/");
+      let step = 1;
+      if (stepText !== undefined) {
+        step = Number(stepText);
+        if (rest.length > 0 || !/^\d+$/.test(stepText) || step === 0) {
+          throw new InvalidCronExpression(
+            expression,
+            `invalid step in ${field.name}: ${part}`
+          );
+        }
+      }
+      let start = field.min;
+      let end = field.max;
+      if (range !== "*") {
+        const bounds = range.split("-");
+        if (bounds.length > 2) {
+          throw new InvalidCronExpression(
+            expression,
+            `invalid range in ${field.name}: ${part}`
+          );
+        }
+        start = CronExpression.#parseValue(expression, bounds[0], field);
+        if (bounds.length === 2) {
+          end = CronExpression.#parseValue(expression, bounds[1], field);
+        } else if (stepText === undefined) {
+          end = start;
+        }
+        if (start > end) {
+          throw new InvalidCronExpression(
+            expression,
+            `invalid range in ${field.name}: ${part}`
+          );
+        }
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Parses a single value of a cron field, a number or a name.
+   *
+   * @param {string} expression - The whole expression, for error messages
+   * @param {string} text - The text of the value
+   * @param {Object} field - The definition of the field
+   * @returns {number} The value
+   * @throws {InvalidCronExpression} If the value is not valid for the field
+   */
+  static #parseValue(expression, text, field) {
+    const nameIndex = field.names?.indexOf(text.toUpperCase()) ?? -1;
+    if (nameIndex !== -1) {
+      return nameIndex + field.min;
+    }
+    const value = Number(text);
+    if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+      throw new InvalidCronExpression(
+        expression,
+        `invalid ${field.name}: ${text}`
+      );
+    }
+    return value;
+  }
+}
+
+/**
+ * Returns the date formatter of a time zone.
+ *
+ * @param {string} timezone - The IANA time zone
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {RangeError} If the time zone is not supported
+ */
+function formatter(timezone) {
+  let format = formatters.get(timezone);
+  if (!format) {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    });
+    formatters.set(timezone, format);
+  }
+  return format;
+}
+
+/**
+ * Finds the wall clock time of an instant in a time zone, to the minute.
+ *
+ * @param {number} instant - The instant in milliseconds
+ * @param {string} timezone - The IANA time zone
+ * @returns {number} The wall clock time, expressed as if it were UTC
+ */
+function wallClock(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(instant)) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+}
+
+/**
+ * Finds the earliest instant showing a wall clock time in a time zone.
+ *
+ * @param {number} wall - The wall clock time, expressed as if it were UTC
+ * @param {string} timezone - The IANA time zone
+ * @returns {number|null} The instant in milliseconds, or null if a daylight saving change skips the wall time
+ */
+function toInstant(wall, timezone) {
+  let earliest = null;
+  // The offsets around the wall time cover both sides of a transition
+  for (const probe of [wall - DAY, wall, wall + DAY]) {
+    const offset = wallClock(probe, timezone) - (probe - (probe % MINUTE));
+    const instant = wall - offset;
+    if (
+      wallClock(instant, timezone) === wall &&
+      (earliest === null || instant < earliest)
+    ) {
+      earliest = instant;
+    }
+  }
+  return earliest;
+}
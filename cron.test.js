@@ -0,0 +1,141 @@
+import { CronExpression, InvalidCronExpression } from "./cron.js";
+
+const fireTimes = (expression, after, count, timezone) => {
+  const cron = new CronExpression(expression);
+  const times = [];
+  let time = new Date(after);
+  for (let i = 0; i < count; i++) {
+    time = cron.next(time, timezone);
+    times.push(time.toISOString());
+  }
+  return times;
+};
+
+describe("CronExpression", () => {
+  test("should fire every minute", () => {
+    expect(fireTimes("* * * * *", "2025-01-01T00:00:30Z", 2)).toEqual([
+      "2025-01-01T00:01:00.000Z",
+      "2025-01-01T00:02:00.000Z",
+    ]);
+  });
+
+  test("should fire strictly after the given time", () => {
+    expect(fireTimes("0 * * * *", "2025-01-01T01:00:00Z", 1)).toEqual([
+      "2025-01-01T02:00:00.000Z",
+    ]);
+  });
+
+  test("should support steps, ranges and lists", () => {
+    expect(fireTimes("*/15 9-10 * * *", "2025-01-01T10:20:00Z", 3)).toEqual([
+      "2025-01-01T10:30:00.000Z",
+      "2025-01-01T10:45:00.000Z",
+      "2025-01-02T09:00:00.000Z",
+    ]);
+    expect(fireTimes("0 8,20 * * *", "2025-01-01T09:00:00Z", 2)).toEqual([
+      "2025-01-01T20:00:00.000Z",
+      "2025-01-02T08:00:00.000Z",
+    ]);
+    expect(fireTimes("5/20 0 * * *", "2025-01-01T00:00:00Z", 3)).toEqual([
+      "2025-01-01T00:05:00.000Z",
+      "2025-01-01T00:25:00.000Z",
+      "2025-01-01T00:45:00.000Z",
+    ]);
+  });
+
+  test("should support month and weekday names", () => {
+    // 2025-01-03 is a Friday
+    expect(fireTimes("0 9 * * MON-FRI", "2025-01-03T10:00:00Z", 2)).toEqual([
+      "2025-01-06T09:00:00.000Z",
+      "2025-01-07T09:00:00.000Z",
+    ]);
+    expect(fireTimes("0 0 1 mar *", "2025-01-01T00:00:00Z", 1)).toEqual([
+      "2025-03-01T00:00:00.000Z",
+    ]);
+    expect(fireTimes("0 0 * * 7", "2025-01-01T00:00:00Z", 1)).toEqual([
+      "2025-01-05T00:00:00.000Z",
+    ]);
+  });
+
+  test("should match either day field when both are restricted", () => {
+    // The 15th or any Monday
+    expect(fireTimes("0 0 15 * 1", "2025-01-07T00:00:00Z", 3)).toEqual([
+      "2025-01-13T00:00:00.000Z",
+      "2025-01-15T00:00:00.000Z",
+      "2025-01-20T00:00:00.000Z",
+    ]);
+  });
+
+  test("should support macros", () => {
+    expect(fireTimes("@daily", "2025-01-01T12:00:00Z", 1)).toEqual([
+      "2025-01-02T00:00:00.000Z",
+    ]);
+    expect(fireTimes("@hourly", "2025-01-01T12:30:00Z", 1)).toEqual([
+      "2025-01-01T13:00:00.000Z",
+    ]);
+    expect(fireTimes("@weekly", "2025-01-01T00:00:00Z", 1)).toEqual([
+      "2025-01-05T00:00:00.000Z",
+    ]);
+    expect(fireTimes("@monthly", "2025-01-01T00:00:00Z", 1)).toEqual([
+      "2025-02-01T00:00:00.000Z",
+    ]);
+    expect(fireTimes("@yearly", "2025-01-01T00:00:00Z", 1)).toEqual([
+      "2026-01-01T00:00:00.000Z",
+    ]);
+  });
+
+  test("should fire on the wall clock of the time zone", () => {
+    expect(
+      fireTimes("0 9 * * *", "2025-01-01T00:00:00Z", 2, "America/New_York")
+    ).toEqual(["2025-01-01T14:00:00.000Z", "2025-01-02T14:00:00.000Z"]);
+    expect(
+      fireTimes("0 9 * * *", "2025-07-01T00:00:00Z", 1, "America/New_York")
+    ).toEqual(["2025-07-01T13:00:00.000Z"]);
+  });
+
+  test("should skip wall times that a daylight saving change skips", () => {
+    // Clocks jump from 02:00 to 03:00 on 2025-03-09 in New York
+    expect(
+      fireTimes("30 2 * * *", "2025-03-08T12:00:00Z", 2, "America/New_York")
+    ).toEqual(["2025-03-10T06:30:00.000Z", "2025-03-11T06:30:00.000Z"]);
+  });
+
+  test("should fire once on wall times that a daylight saving change repeats", () => {
+    // Clocks fall back from 02:00 to 01:00 on 2025-11-02 in New York
+    expect(
+      fireTimes("30 1 * * *", "2025-11-02T00:00:00Z", 2, "America/New_York")
+    ).toEqual(["2025-11-02T05:30:00.000Z", "2025-11-03T06:30:00.000Z"]);
+  });
+
+  test("should return null when the expression never matches", () => {
+    expect(
+      new CronExpression("0 0 30 2 *").next(new Date("2025-01-01T00:00:00Z"))
+    ).toBeNull();
+  });
+
+  test("should reject an unsupported time zone", () => {
+    expect(() =>
+      new CronExpression("* * * * *").next(new Date(), "Mars/Olympus_Mons")
+    ).toThrow(RangeError);
+  });
+
+  test.each([
+    ["* * * *", "expected 5 fields"],
+    ["60 * * * *", "invalid minute: 60"],
+    ["* * 0 * *", "invalid day of month: 0"],
+    ["* * * FOO *", "invalid month: FOO"],
+    ["*/0 * * * *", "invalid step in minute: */0"],
+    ["*/x * * * *", "invalid step in minute: */x"],
+    ["1-2-3 * * * *", "invalid range in minute: 1-2-3"],
+    ["5-1 * * * *", "invalid range in minute: 5-1"],
+  ])("should reject %p", (expression, reason) => {
+    expect(() => new CronExpression(expression)).toThrow(
+      new InvalidCronExpression(expression, reason)
+    );
+    try {
+      new CronExpression(expression);
+    } catch (err) {
+      expect(err).toBeInstanceOf(InvalidCronExpression);
+      expect(err.expression).toBe(expression);
+    }
+  });
+});
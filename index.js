@@ -1,4 +1,11 @@
-import { MongoClient } from "mongodb";
+import { randomUUID } from "node:crypto";
+import { MongoStore } from "./mongo-store.js";
+import { MemoryStore } from "./memory-store.js";
+import { CronExpression, InvalidCronExpression } from "./cron.js";
+import { NEVER, FINAL_STATUSES, mapSteps } from "./internal.js";
+
+export { MongoStore, MemoryStore, CronExpression, InvalidCronExpression };
+export { TestWorkflowEnvironment } from "./test-environment.js";
 
 /**
  * Error thrown when a workflow is not found in the database.
@@ -42,10 +49,273 @@ export class WaitTimeout extends Error {
   }
 }
 
+/**
+ * Error thrown inside a workflow handler when a signal doesn't arrive in time.
+ */
+export class SignalTimeout extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow that was waiting
+   * @param {string} signalName - The name of the signal that never arrived
+   */
+  constructor(workflowId, signalName) {
+    super(`signal timeout: ${workflowId}/${signalName}`);
+    this.name = "SignalTimeout";
+    this.workflowId = workflowId;
+    this.signalName = signalName;
+  }
+}
+
+/**
+ * Error thrown by a step attempt that doesn't complete in time.
+ */
+export class StepTimeout extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow running the step
+   * @param {string} stepId - The ID of the step that timed out
+   * @param {number} timeoutMs - The timeout of the attempt in milliseconds
+   */
+  constructor(workflowId, stepId, timeoutMs) {
+    super(`step timeout: ${workflowId}/${stepId}`);
+    this.name = "StepTimeout";
+    this.workflowId = workflowId;
+    this.stepId = stepId;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error thrown inside a parent workflow handler when a child workflow was
+ * aborted, cancelled or compensated.
+ */
+export class ChildWorkflowFailed extends Error {
+  /**
+   * @param {string} workflowId - The ID of the child workflow that failed
+   */
+  constructor(workflowId) {
+    super(`child workflow failed: ${workflowId}`);
+    this.name = "ChildWorkflowFailed";
+    this.workflowId = workflowId;
+  }
+}
+
+/**
+ * Error thrown inside a workflow handler at its next cancellation point once
+ * the workflow has been cancelled.
+ */
+export class WorkflowCancelled extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow that was cancelled
+   * @param {string} [reason] - The reason given to cancel()
+   */
+  constructor(workflowId, reason) {
+    super(`workflow cancelled: ${workflowId}`);
+    this.name = "WorkflowCancelled";
+    this.workflowId = workflowId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error thrown inside a workflow handler once another worker has claimed its
+ * workflow, e.g. because this worker stalled past the workflow timeout. The
+ * stale run is abandoned without writing anything else.
+ */
+export class LeaseLost extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow whose lease was lost
+   */
+  constructor(workflowId) {
+    super(`lease lost: ${workflowId}`);
+    this.name = "LeaseLost";
+    this.workflowId = workflowId;
+  }
+}
+
+/**
+ * Error thrown inside a workflow handler whose replay diverges from the
+ * steps and naps recorded by its previous runs, e.g. because the handler
+ * code changed without ctx.patched, or because it reused a step ID.
+ */
+export class NonDeterminismError extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow that diverged
+   * @param {string} reason - How the handler diverged from the history
+   */
+  constructor(workflowId, reason) {
+    super(`non-determinism: ${workflowId} (${reason})`);
+    this.name = "NonDeterminismError";
+    this.workflowId = workflowId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error thrown when a schedule is not found.
+ */
+export class ScheduleNotFound extends Error {
+  /**
+   * @param {string} scheduleId - The ID of the schedule that was not found
+   */
+  constructor(scheduleId) {
+    super(`schedule not found: ${scheduleId}`);
+    this.name = "ScheduleNotFound";
+    this.scheduleId = scheduleId;
+  }
+}
+
+/**
+ * Error thrown when a workflow is reset to a step it hasn't completed.
+ */
+export class StepNotFound extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow
+   * @param {string} stepId - The ID of the step that was not found
+   */
+  constructor(workflowId, stepId) {
+    super(`step not found: ${workflowId}/${stepId}`);
+    this.name = "StepNotFound";
+    this.workflowId = workflowId;
+    this.stepId = stepId;
+  }
+}
+
+/**
+ * Error thrown when a workflow is reset to a step stored without its position
+ * in the run, i.e. completed before steps recorded it.
+ */
+export class StepNotResettable extends Error {
+  /**
+   * @param {string} workflowId - The ID of the workflow
+   * @param {string} stepId - The ID of the step that can't be reset to
+   */
+  constructor(workflowId, stepId) {
+    super(`step not resettable: ${workflowId}/${stepId}`);
+    this.name = "StepNotResettable";
+    this.workflowId = workflowId;
+    this.stepId = stepId;
+  }
+}
+
+/**
+ * Version of handlers registered without one. Workflows stored without a
+ * version that have already been claimed, i.e. started before versioning,
+ * run on it.
+ */
+const DEFAULT_VERSION = 1;
+
+/**
+ * Number of workflows fetched at once by the bulk operations.
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Number of failures kept in the failure history of a workflow.
+ */
+const FAILURE_HISTORY_SIZE = 10;
+
+/**
+ * The default clock, backed by the system time and setTimeout.
+ *
+ * @type {Clock}
+ */
+const systemClock = {
+  now: () => new Date(),
+  sleep: (ms, signal) =>
+    new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+    }),
+};
+
+/**
+ * Marker a run resolves to when its handler suspends instead of returning.
+ */
+class Suspension {
+  /**
+   * @param {Date} resumeAt - When the workflow should be resumed at the latest
+   * @param {() => Promise<boolean>} recheck - Tells whether the awaited event arrived while suspending
+   */
+  constructor(resumeAt, recheck) {
+    this.resumeAt = resumeAt;
+    this.recheck = recheck;
+  }
+}
+
+/**
+ * @typedef {Object} WaitForSignalOptions
+ * @property {number} [timeoutMs] - Milliseconds to wait before throwing SignalTimeout
+ */
+
+/**
+ * @typedef {Object} StepOptions
+ * @property {number} [retries=0] - Number of times to retry a failing step before failing the workflow
+ * @property {number} [initialInterval=1000] - Milliseconds to wait before the first retry
+ * @property {number} [backoffCoefficient=2] - Multiplier applied to the interval after each retry
+ * @property {number} [maxInterval] - Upper bound in milliseconds for the interval between retries
+ * @property {Function[]} [nonRetryable] - Error classes that fail the step right away
+ * @property {number} [timeoutMs] - Milliseconds after which an attempt fails with StepTimeout
+ * @property {CompensateCallback} [compensate] - Undoes the step once completed, if the workflow is aborted or cancelled
+ */
+
+/**
+ * @callback CompensateCallback
+ * @param {any} output - The output of the completed step
+ * @param {StepContext} stepCtx - The context of the compensation step
+ * @returns {Promise<any>} The output of the compensation step
+ */
+
+/**
+ * @typedef {Object} StepContext
+ * @property {(progress?: any) => Promise<void>} heartbeat - Extends the lease of the workflow and records the progress of the step, readable with findStep
+ * @property {AbortSignal} signal - Aborted with a StepTimeout once the attempt times out
+ */
+
+/**
+ * @typedef {Object} ParallelStep
+ * @property {string} stepId - Unique identifier of the step within the workflow
+ * @property {(stepCtx: StepContext) => Promise<any>} fn - The function of the step
+ * @property {StepOptions} [options] - Step options
+ */
+
+/**
+ * @typedef {Object} ParallelOptions
+ * @property {number} [concurrency] - Maximum number of steps executed at once, unlimited by default
+ */
+
+/**
+ * Step options applied to every step of ctx.map, and its concurrency.
+ *
+ * @typedef {StepOptions & ParallelOptions} MapOptions
+ */
+
 /**
  * @typedef {Object} WorkflowContext
- * @property {(stepId: string, fn: () => Promise<any>) => Promise<any>} step - Execute an idempotent step
+ * @property {(stepId: string, fn: (stepCtx: StepContext) => Promise<any>, options?: StepOptions) => Promise<any>} step - Execute an idempotent step
+ * @property {(steps: ParallelStep[], options?: ParallelOptions) => Promise<any[]>} all - Execute idempotent steps in parallel and return their outputs, in order
+ * @property {(prefix: string, items: any[], fn: (item: any, stepCtx: StepContext) => Promise<any>, options?: MapOptions) => Promise<any[]>} map - Execute an idempotent step "<prefix>:<index>" for each item in parallel and return their outputs, in order
  * @property {(napId: string, ms: number) => Promise<void>} sleep - Sleep for a duration
+ * @property {(signalName: string, options?: WaitForSignalOptions) => Promise<any>} waitForSignal - Wait for an external signal and return its payload
+ * @property {(childId: string, handlerId: string, input: any) => Promise<void>} startChild - Start a child workflow
+ * @property {(childId: string, handlerId: string, input: any) => Promise<any>} executeChild - Start a child workflow and wait for its result
+ * @property {(cleanup: CancelCallback) => void} onCancel - Register cleanup logic to run if the workflow is cancelled
+ * @property {(changeId: string) => Promise<boolean>} patched - Tells whether the workflow takes the code path of a change, false if it already ran past it without the change
+ */
+
+/**
+ * @callback CancelCallback
+ * @param {string} [reason] - The reason given to cancel()
+ * @returns {Promise<void>|void}
  */
 
 /**
@@ -66,15 +336,220 @@ export class WaitTimeout extends Error {
  * @returns {boolean} Whether the poll loop should stop
  */
 
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [backoffCoefficient=1] - Multiplier applied to waitRetryInterval after each failure
+ * @property {number} [maxInterval] - Upper bound in milliseconds for the interval between retries
+ * @property {number} [jitter=0] - Fraction (0 to 1) of the interval that is randomly subtracted from it
+ * @property {number} [maxRetryDuration] - Maximum total milliseconds of retry intervals before aborting a workflow
+ */
+
+/**
+ * How long the records of workflows that reached a final status are kept,
+ * in milliseconds, by status. Workflows with a status left out are kept
+ * until purged.
+ *
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [finished] - Retention of finished workflows
+ * @property {number} [aborted] - Retention of aborted workflows
+ * @property {number} [cancelled] - Retention of cancelled workflows
+ * @property {number} [compensated] - Retention of compensated workflows
+ */
+
+/**
+ * @typedef {Object} PurgeOptions
+ * @property {boolean} [archive=false] - Whether to copy the records to the archive of the store before deleting them
+ */
+
+/**
+ * @typedef {Object} HandlerOptions
+ * @property {RetryPolicy} [retryPolicy] - Overrides the instance retry policy for this handler
+ * @property {RetentionPolicy} [retention] - Overrides the instance retention policy for this handler, status by status
+ * @property {number} [version=1] - Version of the handler; workflows keep running on the version they started with
+ */
+
+/**
+ * The details of a failed run of a workflow.
+ *
+ * @typedef {Object} Failure
+ * @property {string} name - The name of the error
+ * @property {string} message - The message of the error
+ * @property {string|null} stack - The stack trace of the error, if any
+ * @property {string|null} stepId - The ID of the step that threw the error, null if it was thrown outside of a step
+ * @property {number|null} stepAttempt - The attempt of the step that threw the error, null if it was thrown outside of a step
+ * @property {number} attempt - The number of the failed run, the failure count of the workflow
+ * @property {Date} at - When the run failed
+ */
+
+/**
+ * The last failure of a workflow and the previous ones.
+ *
+ * @typedef {Object} FailureDetails
+ * @property {Failure|null} lastFailure - The last failure, null if the workflow never failed
+ * @property {Failure[]} failureHistory - The last failures, oldest first, including the last one
+ */
+
+/**
+ * @typedef {Object} StartOptions
+ * @property {number} [priority=0] - Workflows with a higher priority are claimed first
+ * @property {Date} [startAt] - When the workflow should start, defaults to now
+ * @property {number} [delayMs] - Milliseconds from now after which the workflow should start, ignored if startAt is given
+ * @property {number} [version] - Handler version the workflow runs on, defaults to the latest version registered on the instance that first claims it
+ * @property {string[]} [tags] - Labels to find the workflow by with listWorkflows and countWorkflows
+ */
+
+/**
+ * @typedef {Object} WorkflowFilter
+ * @property {string|string[]} [status] - Only workflows with this status, or with one of these statuses
+ * @property {string|string[]} [handlerId] - Only workflows of this handler, or of one of these handlers
+ * @property {Date} [createdAfter] - Only workflows started strictly after this time
+ * @property {Date} [createdBefore] - Only workflows started strictly before this time
+ * @property {string[]} [tags] - Only workflows with all of these tags
+ */
+
+/**
+ * A WorkflowFilter and the page of workflows to list: at most limit
+ * workflows (100 by default) after the cursor returned with the previous page.
+ *
+ * @typedef {WorkflowFilter & {limit?: number, cursor?: string|null}} ListWorkflowsOptions
+ */
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {string} [timezone="UTC"] - IANA time zone the cron expression is evaluated in
+ * @property {"skip"|"allow"|"cancelPrevious"} [overlapPolicy="skip"] - What to do when a tick fires while the workflow of the previous one is still not completed: skip the tick, start anyway, or cancel the previous workflow and start
+ */
+
+/**
+ * @callback InputFactory
+ * @param {Date} fireAt - The fire time of the tick
+ * @returns {Promise<any>|any} The input of the workflow started for the tick
+ */
+
+/**
+ * The source of time of Bluestreak. Every timestamp Bluestreak persists comes
+ * from now() and every wait goes through sleep(), so that tests can replace
+ * them with a virtual clock.
+ *
+ * @typedef {Object} Clock
+ * @property {() => Date} now - Returns the current time
+ * @property {(ms: number, signal?: AbortSignal) => Promise<void>} sleep - Resolves once ms milliseconds have passed, or as soon as the signal is aborted
+ */
+
+/**
+ * An entry of the history of a workflow. Besides the common fields, each
+ * type of event has its own:
+ *
+ * - WorkflowStarted: handlerId, version (null until first claimed if started without one), parentId and startAt
+ * - Claimed: workerId and leaseToken
+ * - StepCompleted: stepId and attempts
+ * - NapStarted: napId and wakeUpAt
+ * - AttemptFailed: error, and stepId and attempts for a failed step attempt
+ *   or failures for a failed run
+ * - Finished
+ * - Aborted: failures
+ * - Cancelled: reason
+ * - Retried
+ * - Reset: stepId
+ * - CompensationStarted: failures for an aborted workflow, or reason for a
+ *   cancelled one
+ * - Compensated
+ *
+ * @typedef {Object} HistoryEvent
+ * @property {string} workflowId - The ID of the workflow
+ * @property {string} type - The type of the event
+ * @property {Date} at - When the event happened
+ */
+
+/**
+ * A workflow filter and page, as passed to the store.
+ *
+ * @typedef {Object} WorkflowQuery
+ * @property {string[]} [statuses] - Only workflows with one of these statuses
+ * @property {string[]} [handlerIds] - Only workflows of one of these handlers
+ * @property {Date} [createdAfter] - Only workflows created strictly after this time
+ * @property {Date} [createdBefore] - Only workflows created strictly before this time
+ * @property {string[]} [tags] - Only workflows with all of these tags
+ * @property {{createdAt: Date|null, workflowId: string}|null} [after] - Only workflows listed after this one
+ * @property {number} [limit] - Maximum number of workflows to list, all by default
+ */
+
+/**
+ * The persistence operations Bluestreak relies on. MongoStore and MemoryStore
+ * implement it; any object with the same methods can be passed as the store.
+ *
+ * Stores only persist state: they never read the clock, the current time is
+ * always passed in.
+ *
+ * @typedef {Object} Store
+ * @property {() => Promise<void>} init - Connects and prepares the storage
+ * @property {() => Promise<void>} close - Releases the storage resources
+ * @property {(workflow: Object) => Promise<boolean>} insertWorkflow - Inserts a workflow, returns false if the ID is taken
+ * @property {(workflowId: string) => Promise<Object|null>} findWorkflow - Finds a workflow document
+ * @property {(parentId: string) => Promise<Object[]>} findChildren - Finds the workflows started by a parent
+ * @property {(query: WorkflowQuery) => Promise<Object[]>} listWorkflows - Lists the workflows matching a query, by descending createdAt then workflowId, those without a createdAt last
+ * @property {(query: WorkflowQuery) => Promise<{handlerId: string, status: string, count: number}[]>} countWorkflows - Counts the workflows matching a query by handler and status, sorted by handlerId then status
+ * @property {(workflowId: string) => Promise<Object|null>} findRunData - Finds status, handlerId, version, input, failures, parentId and patches
+ * @property {(workflowId: string) => Promise<Object|null>} findStatusAndResult - Finds status and result
+ * @property {(workflowId: string) => Promise<Object|null>} findStatusAndCancelReason - Finds status, cancelReason and leaseToken
+ * @property {(workflowId: string) => Promise<FailureDetails|null>} findFailure - Finds lastFailure and failureHistory
+ * @property {(query: {statuses: string[], handlers: {handlerId: string, versions: Array<number|null>}[], now: Date, agingInterval: number|null, timeoutAt: Date, workerId: string}) => Promise<{workflowId: string, leaseToken: number}|undefined>} claim - Atomically claims the timed out workflow of one of the handler versions with the highest priority, raised by one for every agingInterval it has been ready for, pins a never claimed workflow without a version to the highest of its handler's versions, and increments its lease token
+ * @property {(workflowId: string, result: any, leaseToken: number) => Promise<boolean>} setAsFinished - Marks a workflow as finished, returns false if the lease was lost
+ * @property {(workflowId: string, statuses: string[], reason: string|undefined, timeoutAt: Date|null) => Promise<boolean>} setAsCancelling - Marks a workflow with one of the statuses as cancelling
+ * @property {(workflowId: string, reason: string|undefined) => Promise<boolean>} setAsCancelledIfIdle - Marks a workflow that hasn't started yet as cancelled
+ * @property {(workflowId: string, leaseToken: number) => Promise<boolean>} setAsCancelled - Marks a workflow as cancelled, returns false if the lease was lost
+ * @property {(workflowId: string, leaseToken: number) => Promise<boolean>} setAsCompensated - Marks a workflow as compensated, returns false if the lease was lost
+ * @property {(workflowId: string, timeoutAt: Date, leaseToken: number) => Promise<boolean>} setAsWaiting - Marks a workflow as waiting, returns false if the lease was lost
+ * @property {(workflowId: string, now: Date) => Promise<void>} wake - Makes a waiting workflow claimable
+ * @property {(workflowId: string, timeoutAt: Date) => Promise<boolean>} reschedule - Moves the start of a workflow that hasn't started yet
+ * @property {(workflowId: string, statuses: string[], timeoutAt: Date) => Promise<boolean>} requeue - Moves a workflow with one of the statuses back to waiting, without failures nor result
+ * @property {(workflowId: string, status: string, timeoutAt: Date, failures: number, leaseToken: number, failure?: Failure, historySize?: number) => Promise<boolean>} updateStatus - Records a failed run, and the failure as the last one and in a history capped to historySize, returns false if the lease was lost
+ * @property {(workflowId: string, timeoutAt: Date, leaseToken: number) => Promise<boolean>} updateTimeoutAt - Extends the lease of a workflow, returns false if the lease was lost
+ * @property {(workflowId: string, timeoutAt: Date, leaseToken: number) => Promise<boolean>} releaseLease - Makes a workflow claimable at timeoutAt and revokes the lease of its run, returns false if the lease was lost
+ * @property {(workflowId: string, changeId: string, leaseToken: number) => Promise<boolean>} addPatch - Records a change whose code path a workflow took, returns false if the lease was lost
+ * @property {(workflowId: string) => Promise<number>} countRecords - Counts the completed steps and the naps of a workflow
+ * @property {(workflowId: string) => Promise<boolean>} hasCompensations - Tells whether a workflow completed steps that have a compensation
+ * @property {(workflowId: string, completedAt: Date|null, expireAt: Date|null) => Promise<void>} setCompletion - Stamps a workflow with its completion time and it and its records with their expiry time, null clears them
+ * @property {(workflowId: string, statuses: string[], archive: boolean) => Promise<boolean>} deleteWorkflow - Deletes a workflow with one of the statuses and its records, after archiving them if asked to
+ * @property {(workflowId: string, sequence: number) => Promise<void>} deleteRecordsFrom - Deletes the steps and naps of a workflow from a position in the run on, and its uncompleted steps
+ * @property {(workflowId: string, stepId: string) => Promise<Object|null>} findStep - Finds a step document
+ * @property {(workflowId: string) => Promise<Object[]>} listSteps - Lists the step documents of a workflow in the order they were first stored
+ * @property {(workflowId: string, stepId: string, output: any, attempts: number, sequence: number, compensable: boolean, leaseToken: number) => Promise<boolean>} insertStep - Stores a step output, its position in the run and whether it has a compensation unless already stored, returns false if the lease was lost
+ * @property {(workflowId: string, stepId: string, attempts: number, leaseToken: number) => Promise<boolean>} updateAttempts - Records failed step attempts, returns false if the lease was lost
+ * @property {(workflowId: string, stepId: string, progress: any, leaseToken: number) => Promise<boolean>} updateProgress - Records the progress of a running step, returns false if the lease was lost
+ * @property {(workflowId: string, napId: string) => Promise<Object|null>} findNap - Finds a nap document
+ * @property {(workflowId: string) => Promise<Object[]>} listNaps - Lists the nap documents of a workflow in the order they were stored
+ * @property {(workflowId: string, napId: string, wakeUpAt: Date, sequence: number, leaseToken: number) => Promise<boolean>} insertNap - Stores a nap and its position in the run unless already stored, returns false if the lease was lost
+ * @property {(workflowId: string, signalName: string) => Promise<Object|null>} findSignal - Finds a signal document
+ * @property {(event: HistoryEvent, leaseToken?: number) => Promise<boolean>} insertEvent - Appends an event to the history of a workflow, returns false if the lease of the run appending it was lost
+ * @property {(workflowId: string) => Promise<HistoryEvent[]>} listEvents - Lists the events of a workflow by time, in insertion order for equal times
+ * @property {(workflowId: string, signalName: string, payload: any, receivedAt: Date) => Promise<boolean>} insertSignal - Stores a received signal, returns false if already received
+ * @property {(workflowId: string, signalName: string, expiresAt: Date|null, leaseToken: number) => Promise<boolean>} insertSignalWait - Stores a signal wait deadline unless already stored, returns false if the lease was lost
+ * @property {(schedule: Object) => Promise<boolean>} insertSchedule - Inserts a schedule, returns false if the ID is taken
+ * @property {(scheduleId: string) => Promise<Object|null>} findSchedule - Finds a schedule document
+ * @property {(scheduleId: string, fields: Object) => Promise<boolean>} updateSchedule - Sets fields of a schedule, returns false if it doesn't exist
+ * @property {(query: {scheduleIds: string[], now: Date, timeoutAt: Date, workerId: string}) => Promise<Object|undefined>} claimSchedule - Atomically claims the earliest due tick of one of the unpaused schedules and increments its lease token
+ * @property {(scheduleId: string, fields: Object, leaseToken: number) => Promise<boolean>} advanceSchedule - Sets fields of a claimed schedule, returns false if the lease was lost
+ */
+
 /**
  * @typedef {Object} BluestreakParams
+ * @property {Store} [store] - Storage backend, defaults to a MongoStore built from dbUrl and dbName
+ * @property {Clock} [clock] - Source of time, defaults to the system clock
  * @property {string} [dbUrl="mongodb://localhost:27017"] - MongoDB connection URL
  * @property {string} [dbName="bluestreak"] - MongoDB database name
+ * @property {string} [workerId] - ID recorded on the workflows this instance claims, defaults to a random UUID
  * @property {number} [timeoutInterval=10000] - Timeout interval in milliseconds for workflow execution
+ * @property {number} [heartbeatInterval] - Interval in milliseconds between lease renewals of running workflows, defaults to half the timeoutInterval; Infinity disables them
  * @property {number} [pollInterval=5000] - Interval in milliseconds between poll attempts when no workflows are available
  * @property {number} [waitRetryInterval=1000] - Interval in milliseconds before retrying a failed workflow
  * @property {ErrorCallback} [errorCallback] - Callback invoked when a workflow handler throws an error
  * @property {number} [maxFailures] - Maximum number of failures before aborting a workflow
+ * @property {"fail"|"warn"} [nonDeterminism="fail"] - Whether a replay that diverges from the history throws NonDeterminismError out of the handler, or only reports it through errorCallback
+ * @property {number} [maxConcurrentWorkflows] - Maximum number of workflows a poll loop runs at the same time
+ * @property {number} [priorityAgingInterval=60000] - Milliseconds of readiness that raise the effective priority of a workflow by one; Infinity disables aging
+ * @property {RetryPolicy} [retryPolicy] - How the interval between workflow retries grows with failures
+ * @property {RetentionPolicy} [retention] - How long the records of completed workflows are kept, forever by default
  * @property {ShouldStopCallback} [shouldStop] - Callback to determine when to stop polling
  */
 
@@ -82,97 +557,175 @@ export class WaitTimeout extends Error {
  * Bluestreak - A lightweight durable execution library.
  *
  * Provides durable workflow execution with automatic retries, idempotent steps,
- * and persistent state storage using MongoDB.
+ * and persistent state storage using MongoDB or any other store.
  */
 export class Bluestreak {
   #dbUrl;
   #dbName;
-  #client;
-  #workflows;
-  #steps;
-  #naps;
+  #workerId;
+  #store;
+  #clock;
   #timeoutInterval;
+  #heartbeatInterval;
   #pollInterval;
   #waitRetryInterval;
   #errorCallback;
   #maxFailures;
+  #nonDeterminism;
+  #maxConcurrentWorkflows;
+  #priorityAgingInterval;
+  #inFlight;
+  #passes;
+  #slotWaiters;
+  #stopController;
+  #retryPolicy;
+  #retention;
   #shouldStop;
   #handlers;
+  #schedules;
 
   /**
    * Creates a new Bluestreak instance.
    *
    * @param {BluestreakParams} params - Configuration parameters
+   * @throws {RangeError} If maxConcurrentWorkflows isn't a positive integer or Infinity
    */
   constructor(params) {
     this.#dbUrl = params.dbUrl || "mongodb://localhost:27017";
     this.#dbName = params.dbName || "bluestreak";
-    this.#client = null;
-    this.#workflows = null;
-    this.#steps = null;
-    this.#naps = null;
+    this.#workerId = params.workerId || randomUUID();
+    this.#store =
+      params.store ||
+      new MongoStore({ dbUrl: this.#dbUrl, dbName: this.#dbName });
+    this.#clock = params.clock || systemClock;
     this.#timeoutInterval = params.timeoutInterval || 10_000;
+    this.#heartbeatInterval =
+      params.heartbeatInterval || this.#timeoutInterval / 2;
     this.#pollInterval = params.pollInterval || 5_000;
     this.#waitRetryInterval = params.waitRetryInterval || 1_000;
     this.#errorCallback = params.errorCallback;
     this.#maxFailures = params.maxFailures;
+    this.#nonDeterminism = params.nonDeterminism || "fail";
+    const maxConcurrentWorkflows = params.maxConcurrentWorkflows ?? Infinity;
+    if (
+      maxConcurrentWorkflows !== Infinity &&
+      (!Number.isInteger(maxConcurrentWorkflows) || maxConcurrentWorkflows < 1)
+    ) {
+      throw new RangeError(
+        `maxConcurrentWorkflows must be a positive integer: ${maxConcurrentWorkflows}`
+      );
+    }
+    this.#maxConcurrentWorkflows = maxConcurrentWorkflows;
+    this.#priorityAgingInterval = params.priorityAgingInterval ?? 60_000;
+    this.#inFlight = new Map();
+    this.#passes = new Set();
+    this.#slotWaiters = [];
+    this.#stopController = new AbortController();
+    this.#retryPolicy = params.retryPolicy || {};
+    this.#retention = params.retention || {};
     this.#shouldStop = params.shouldStop;
     this.#handlers = new Map();
+    this.#schedules = new Map();
   }
 
   getParams() {
     return {
       dbUrl: this.#dbUrl,
       dbName: this.#dbName,
+      workerId: this.#workerId,
       timeoutInterval: this.#timeoutInterval,
+      heartbeatInterval: this.#heartbeatInterval,
       pollInterval: this.#pollInterval,
       waitRetryInterval: this.#waitRetryInterval,
       maxFailures: this.#maxFailures,
+      nonDeterminism: this.#nonDeterminism,
+      maxConcurrentWorkflows: this.#maxConcurrentWorkflows,
+      priorityAgingInterval: this.#priorityAgingInterval,
+      retryPolicy: this.#retryPolicy,
+      retention: this.#retention,
     };
   }
 
   /**
    * Registers a workflow handler that can be invoked by workflow executions.
    *
+   * Several versions of a handler can be registered side by side. A
+   * workflow started without a version is pinned to the latest version
+   * registered on the instance that first claims it, so instances that only
+   * start workflows don't need to register the handler. Each workflow keeps
+   * running on the version it is pinned to: it is only claimed by instances
+   * that registered that version. Keep old versions registered until their
+   * workflows have completed.
+   *
    * @param {string} handlerId - Unique identifier for the handler
    * @param {WorkflowHandler} handler - The handler function to execute workflows
+   * @param {HandlerOptions} [options] - Handler-specific options
    */
-  registerHandler(handlerId, handler) {
-    this.#handlers.set(handlerId, handler);
+  registerHandler(handlerId, handler, options = {}) {
+    if (!this.#handlers.has(handlerId)) {
+      this.#handlers.set(handlerId, new Map());
+    }
+    this.#handlers.get(handlerId).set(options.version ?? DEFAULT_VERSION, {
+      handler,
+      retryPolicy: { ...this.#retryPolicy, ...options.retryPolicy },
+      retention: { ...this.#retention, ...options.retention },
+    });
   }
 
   /**
-   * Initializes the MongoDB connection and creates required indexes.
-   *
-   * Creates three collections:
-   * - workflows: Stores workflow state (status, timeoutAt, failures, input, result)
-   * - steps: Stores individual step outputs separately to avoid document size limits
-   * - naps: Stores sleep/nap state separately to avoid document size limits
+   * Initializes the store. With the default MongoStore, this connects to
+   * MongoDB and creates the required collections and indexes.
    *
    * @returns {Promise<void>}
    */
   async init() {
-    this.#client = new MongoClient(this.#dbUrl);
-    const db = this.#client.db(this.#dbName);
-    this.#workflows = db.collection("workflows");
-    await this.#workflows.createIndex({ workflowId: 1 }, { unique: true });
-    await this.#workflows.createIndex({ status: 1, timeoutAt: 1 });
-    this.#steps = db.collection("steps");
-    await this.#steps.createIndex(
-      { workflowId: 1, stepId: 1 },
-      { unique: true }
-    );
-    this.#naps = db.collection("naps");
-    await this.#naps.createIndex({ workflowId: 1, napId: 1 }, { unique: true });
+    await this.#store.init();
   }
 
   /**
-   * Closes the MongoDB connection.
+   * Closes the store.
    *
    * @returns {Promise<void>}
    */
   async close() {
-    await this.#client.close();
+    await this.#store.close();
+  }
+
+  /**
+   * Stops polling, drains the workflow runs in flight and closes the store.
+   *
+   * The poll loops stop claiming right away, and the claims they have in
+   * progress are waited for: a workflow claimed after shutdown() was called
+   * has its lease released instead of being run. Runs sleeping in ctx.sleep are
+   * suspended until their wake-up time so that they don't hold up the drain;
+   * other runs get drainTimeoutMs to complete or suspend. The runs still in
+   * flight after that are abandoned with LeaseLost and their leases are
+   * released, so that another worker claims their workflows right away and
+   * nothing the abandoned runs write afterwards is stored.
+   *
+   * @param {Object} [options] - Shutdown options
+   * @param {number} [options.drainTimeoutMs] - Milliseconds to wait for runs in flight, defaults to timeoutInterval
+   * @returns {Promise<void>}
+   */
+  async shutdown(options = {}) {
+    const drainTimeoutMs = options.drainTimeoutMs ?? this.#timeoutInterval;
+    this.#stopController.abort();
+    this.#notifySlotWaiters();
+    await Promise.allSettled(this.#passes);
+    const timer = new AbortController();
+    await Promise.race([
+      this.#drain(),
+      this.#clock.sleep(drainTimeoutMs, timer.signal),
+    ]);
+    timer.abort();
+    const now = this.#clock.now();
+    for (const [{ workflowId, leaseToken }, run] of this.#inFlight) {
+      if (run) {
+        this.#loseLease(workflowId, run);
+      }
+      await this.#store.releaseLease(workflowId, now, leaseToken);
+    }
+    await this.close();
   }
 
   /**
@@ -181,18 +734,11 @@ export class Bluestreak {
    * @param {string} workflowId - Unique identifier for the workflow
    * @param {string} handlerId - The ID of the handler to execute
    * @param {any} input - Input data to pass to the workflow handler
+   * @param {StartOptions} [options] - Start options
    * @returns {Promise<boolean>} Returns true if workflow was created, false if it already exists
    */
-  async start(workflowId, handlerId, input) {
-    try {
-      await this.#insert(workflowId, handlerId, input);
-      return true;
-    } catch (err) {
-      if (err.name === "MongoServerError" && err.code === 11000) {
-        return false;
-      }
-      throw err;
-    }
+  async start(workflowId, handlerId, input, options = {}) {
+    return await this.#create(workflowId, handlerId, input, null, options);
   }
 
   /**
@@ -202,7 +748,60 @@ export class Bluestreak {
    * @returns {Promise<Object|null>} The workflow document or null if not found
    */
   async findWorkflow(workflowId) {
-    return await this.#workflows.findOne({ workflowId });
+    return await this.#store.findWorkflow(workflowId);
+  }
+
+  /**
+   * Finds the child workflows started by a workflow.
+   *
+   * @param {string} workflowId - The ID of the parent workflow
+   * @returns {Promise<Object[]>} The child workflow documents
+   */
+  async findChildren(workflowId) {
+    return await this.#store.findChildren(workflowId);
+  }
+
+  /**
+   * Lists the workflows matching a filter, newest first, one page at a time.
+   *
+   * Workflows are ordered by createdAt, then by workflowId, so that paging
+   * doesn't skip or repeat workflows while new ones are started: pass the
+   * returned cursor to get the next page, until it is null. Workflows started
+   * before createdAt was recorded come last, and are never matched by
+   * createdAfter or createdBefore.
+   *
+   * @param {ListWorkflowsOptions} [options] - The filter and the page to list
+   * @returns {Promise<{workflows: Object[], cursor: string|null}>} The workflow documents of the page, and the cursor of the next page or null if this is the last one
+   * @throws {RangeError} If limit isn't a positive integer
+   */
+  async listWorkflows(options = {}) {
+    const limit = options.limit ?? 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new RangeError(`limit must be a positive integer: ${limit}`);
+    }
+    const workflows = await this.#store.listWorkflows({
+      ...this.#toQuery(options),
+      after: options.cursor ? this.#decodeCursor(options.cursor) : null,
+      limit: limit + 1,
+    });
+    const page = workflows.slice(0, limit);
+    return {
+      workflows: page,
+      cursor:
+        workflows.length > limit
+          ? this.#encodeCursor(page[page.length - 1])
+          : null,
+    };
+  }
+
+  /**
+   * Counts the workflows matching a filter, grouped by handler and status.
+   *
+   * @param {WorkflowFilter} [filter] - The filter
+   * @returns {Promise<{handlerId: string, status: string, count: number}[]>} The non-empty groups, sorted by handlerId then status
+   */
+  async countWorkflows(filter = {}) {
+    return await this.#store.countWorkflows(this.#toQuery(filter));
   }
 
   /**
@@ -213,141 +812,1522 @@ export class Bluestreak {
    * @returns {Promise<Object|null>} The step document or null if not found
    */
   async findStep(workflowId, stepId) {
-    return await this.#steps.findOne({ workflowId, stepId });
+    return await this.#store.findStep(workflowId, stepId);
   }
 
   /**
-   * Finds a nap (sleep) by workflow ID and nap ID.
+   * Reads back the history of a workflow: when it was started and claimed,
+   * by which worker, when its steps completed and its naps started, which
+   * attempts failed with what error, and how it ended.
    *
    * @param {string} workflowId - The ID of the workflow
-   * @param {string} napId - The ID of the nap
-   * @returns {Promise<Object|null>} The nap document or null if not found
+   * @returns {Promise<HistoryEvent[]>} The events of the workflow, oldest first
    */
-  async findNap(workflowId, napId) {
-    return await this.#naps.findOne({ workflowId, napId });
+  async getHistory(workflowId) {
+    return await this.#store.listEvents(workflowId);
   }
 
   /**
-   * Waits for a workflow to complete by polling its status.
+   * Reads back why a workflow failed: the error of its last failed run, with
+   * its stack trace, the step it was thrown in and when, and the last
+   * failures before it.
    *
-   * @param {string} workflowId - The ID of the workflow to wait for
-   * @param {number} retries - Number of times to check the workflow status
-   * @param {number} pauseInterval - Milliseconds to wait between retries
-   * @returns {Promise<any>} The result of the workflow execution
-   * @throws {WaitTimeout} If the workflow doesn't complete within the retry limit
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<FailureDetails>} The last failure and the failure history
    * @throws {WorkflowNotFound} If the workflow doesn't exist
    */
-  async wait(workflowId, retries, pauseInterval) {
-    for (let i = 0; i < retries; i++) {
-      const data = await this.#findStatusAndResult(workflowId);
-      if (data.status === "finished") {
-        return data.result;
-      }
-      await this.#goSleep(pauseInterval);
+  async getFailure(workflowId) {
+    const failure = await this.#store.findFailure(workflowId);
+    if (!failure) {
+      throw new WorkflowNotFound(workflowId);
     }
-    throw new WaitTimeout(workflowId);
+    return failure;
   }
 
   /**
-   * Starts the workflow execution loop that claims and processes workflows.
+   * Lists the steps of a workflow, in the order they were first stored.
    *
-   * The loop runs until the shouldStop callback returns true. Workflows are
-   * executed in a fire-and-forget pattern. Handler errors trigger retries,
-   * while infrastructure errors (HandlerNotFound, WorkflowNotFound) will
-   * reject the promise and stop the loop.
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<Object[]>} The step documents, completed or not
+   */
+  async listSteps(workflowId) {
+    return await this.#store.listSteps(workflowId);
+  }
+
+  /**
+   * Finds a nap (sleep) by workflow ID and nap ID.
    *
-   * @returns {Promise<void>}
-   * @throws {HandlerNotFound} If a workflow references a non-existent handler
-   * @throws {WorkflowNotFound} If a claimed workflow is not found
+   * @param {string} workflowId - The ID of the workflow
+   * @param {string} napId - The ID of the nap
+   * @returns {Promise<Object|null>} The nap document or null if not found
+   */
+  async findNap(workflowId, napId) {
+    return await this.#store.findNap(workflowId, napId);
+  }
+
+  /**
+   * Lists the naps (sleeps) of a workflow, in the order they were started.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<Object[]>} The nap documents
+   */
+  async listNaps(workflowId) {
+    return await this.#store.listNaps(workflowId);
+  }
+
+  /**
+   * Finds a signal by workflow ID and signal name.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {string} signalName - The name of the signal
+   * @returns {Promise<Object|null>} The signal document or null if not found
+   */
+  async findSignal(workflowId, signalName) {
+    return await this.#store.findSignal(workflowId, signalName);
+  }
+
+  /**
+   * Sends a signal to a workflow.
+   *
+   * The signal is persisted in the store and a workflow waiting
+   * for it is rescheduled to run immediately. Each signal name is delivered at
+   * most once per workflow.
+   *
+   * @param {string} workflowId - The ID of the workflow to signal
+   * @param {string} signalName - The name of the signal
+   * @param {any} payload - Data returned by ctx.waitForSignal in the workflow
+   * @returns {Promise<boolean>} Returns true if the signal was stored, false if it was already received
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   */
+  async signal(workflowId, signalName, payload) {
+    await this.#findStatusAndResult(workflowId);
+    const now = this.#clock.now();
+    if (
+      !(await this.#store.insertSignal(workflowId, signalName, payload, now))
+    ) {
+      return false;
+    }
+    await this.#store.wake(workflowId, now);
+    return true;
+  }
+
+  /**
+   * Moves the start of a workflow that hasn't started yet, e.g. one started
+   * with a startAt or delayMs option.
+   *
+   * @param {string} workflowId - The ID of the workflow to reschedule
+   * @param {Date} startAt - When the workflow should start
+   * @returns {Promise<boolean>} Returns true if the workflow was rescheduled, false if it had already started
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   */
+  async reschedule(workflowId, startAt) {
+    await this.#findStatusAndResult(workflowId);
+    return await this.#store.reschedule(workflowId, startAt);
+  }
+
+  /**
+   * Cancels a workflow.
+   *
+   * A workflow that hasn't started yet is marked as cancelled right away,
+   * without running its handler. Otherwise the workflow is moved to the
+   * "cancelling" status. A running handler throws WorkflowCancelled at its
+   * next cancellation point (ctx.step, ctx.sleep, ctx.waitForSignal or
+   * ctx.executeChild); a workflow that is not running is rescheduled right
+   * away so that its handler reaches one. The cleanup callbacks registered
+   * with ctx.onCancel then run and the workflow ends up in the "cancelled"
+   * status.
+   *
+   * @param {string} workflowId - The ID of the workflow to cancel
+   * @param {string} [reason] - The reason of the cancellation
+   * @returns {Promise<boolean>} Returns true if the workflow was cancelled, false if it had already completed or is being compensated
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   */
+  async cancel(workflowId, reason) {
+    await this.#findStatusAndResult(workflowId);
+    if (
+      await this.#store.setAsCancelling(workflowId, ["running"], reason, null)
+    ) {
+      return true;
+    }
+    if (await this.#store.setAsCancelledIfIdle(workflowId, reason)) {
+      await this.#appendEvent(workflowId, "Cancelled", { reason });
+      const runData = await this.#findRunData(workflowId);
+      await this.#complete(workflowId, runData, "cancelled");
+      if (runData.parentId) {
+        await this.#wake(runData.parentId);
+      }
+      return true;
+    }
+    return await this.#store.setAsCancelling(
+      workflowId,
+      ["failed", "waiting"],
+      reason,
+      this.#clock.now()
+    );
+  }
+
+  /**
+   * Retries a failed or aborted workflow right away.
+   *
+   * The failure count is reset, so an aborted workflow gets maxFailures new
+   * runs. Its handler replays the completed steps and naps and resumes where
+   * it failed.
+   *
+   * @param {string} workflowId - The ID of the workflow to retry
+   * @returns {Promise<boolean>} Returns true if the workflow was requeued, false if it wasn't failed nor aborted
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   */
+  async retry(workflowId) {
+    await this.#findStatusAndResult(workflowId);
+    if (
+      !(await this.#store.requeue(
+        workflowId,
+        ["failed", "aborted"],
+        this.#clock.now()
+      ))
+    ) {
+      return false;
+    }
+    await this.#store.setCompletion(workflowId, null, null);
+    await this.#appendEvent(workflowId, "Retried");
+    return true;
+  }
+
+  /**
+   * Retries every failed or aborted workflow matching a filter. See retry.
+   *
+   * @param {WorkflowFilter} [filter] - The filter, which defaults to the failed and aborted workflows
+   * @returns {Promise<number>} The number of requeued workflows
+   */
+  async retryAll(filter = {}) {
+    return await this.#forEachWorkflow(
+      { status: ["failed", "aborted"], ...filter },
+      (workflow) => this.retry(workflow.workflowId)
+    );
+  }
+
+  /**
+   * Rewinds a workflow to a completed step and runs it again from there.
+   *
+   * The step and every step and nap that came after it in the run are
+   * deleted, as are the failed attempts of uncompleted steps, so that the
+   * handler executes them again once it replays up to that point. Signals,
+   * child workflows and patches are kept. The workflow must not be running:
+   * only failed, aborted, waiting and finished workflows can be reset, and
+   * their failure count and result are cleared.
+   *
+   * @param {string} workflowId - The ID of the workflow to reset
+   * @param {string} stepId - The ID of the first step to execute again
+   * @returns {Promise<boolean>} Returns true if the workflow was reset, false if it was running, cancelled or hadn't started
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   * @throws {StepNotFound} If the workflow hasn't completed the step
+   * @throws {StepNotResettable} If the step was stored without its position in the run
+   */
+  async resetToStep(workflowId, stepId) {
+    await this.#findStatusAndResult(workflowId);
+    const { output, sequence } = await this.#findOutputAndAttempts(
+      workflowId,
+      stepId
+    );
+    if (output === undefined) {
+      throw new StepNotFound(workflowId, stepId);
+    }
+    // Without a position, what came after the step can't be told apart
+    if (sequence === undefined) {
+      throw new StepNotResettable(workflowId, stepId);
+    }
+    const now = this.#clock.now();
+    // Keep workers away while the history is rewritten, then wake it up
+    if (
+      !(await this.#store.requeue(
+        workflowId,
+        ["failed", "aborted", "waiting", "finished"],
+        new Date(now.getTime() + this.#timeoutInterval)
+      ))
+    ) {
+      return false;
+    }
+    await this.#store.setCompletion(workflowId, null, null);
+    await this.#store.deleteRecordsFrom(workflowId, sequence);
+    await this.#store.wake(workflowId, now);
+    await this.#appendEvent(workflowId, "Reset", { stepId });
+    return true;
+  }
+
+  /**
+   * Resets every workflow matching a filter that completed a step. See
+   * resetToStep; workflows that haven't completed the step, or stored it
+   * without its position, are skipped.
+   *
+   * @param {WorkflowFilter} filter - The filter
+   * @param {string} stepId - The ID of the first step to execute again
+   * @returns {Promise<number>} The number of reset workflows
+   */
+  async resetAllToStep(filter, stepId) {
+    return await this.#forEachWorkflow(filter, async (workflow) => {
+      try {
+        return await this.resetToStep(workflow.workflowId, stepId);
+      } catch (err) {
+        if (err instanceof StepNotFound || err instanceof StepNotResettable) {
+          return false;
+        }
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Deletes the workflows matching a filter that reached a final status
+   * (finished, aborted, cancelled or compensated), with their steps, naps,
+   * signals and history.
+   *
+   * Unlike the retention policy, which lets the store expire records on its
+   * own, purge deletes them right away. With the archive option, the records
+   * are first copied to the archive of the store, e.g. the *_archive
+   * collections of MongoStore.
+   *
+   * @param {WorkflowFilter} [filter] - The filter, which defaults to every completed workflow
+   * @param {PurgeOptions} [options] - Purge options
+   * @returns {Promise<number>} The number of purged workflows
+   */
+  async purge(filter = {}, options = {}) {
+    return await this.#forEachWorkflow(
+      { status: FINAL_STATUSES, ...filter },
+      (workflow) =>
+        this.#store.deleteWorkflow(
+          workflow.workflowId,
+          FINAL_STATUSES,
+          options.archive ?? false
+        )
+    );
+  }
+
+  /**
+   * Defines a schedule that starts a workflow on every tick of a cron
+   * expression.
+   *
+   * Schedules are stored, so that every worker defining the same schedule
+   * shares its ticks: the poll loops cooperatively claim due ticks with a
+   * lease, like workflows, and each tick starts one workflow named
+   * `${scheduleId}@${fireAt.toISOString()}`. Ticks missed while no worker
+   * was polling are started one by one once a worker polls again.
+   *
+   * Calling schedule() again with the same ID updates the definition; the
+   * next fire time is only recomputed if the expression or time zone changed.
+   * Only the poll loops of instances that called schedule() fire its ticks,
+   * since the input factory lives in memory.
+   *
+   * @param {string} scheduleId - Unique identifier for the schedule
+   * @param {string} cronExpression - A five-field cron expression or macro such as "@daily"
+   * @param {string} handlerId - The ID of the handler of the started workflows
+   * @param {InputFactory} [inputFactory] - Builds the input of the workflow started for a tick
+   * @param {ScheduleOptions} [options] - Schedule options
+   * @returns {Promise<boolean>} Returns true if the schedule was created, false if it already existed and was updated
+   * @throws {InvalidCronExpression} If the cron expression can't be parsed
+   * @throws {RangeError} If the time zone is not supported
+   */
+  async schedule(
+    scheduleId,
+    cronExpression,
+    handlerId,
+    inputFactory,
+    options = {}
+  ) {
+    const timezone = options.timezone || "UTC";
+    const now = this.#clock.now();
+    const nextFireAt = new CronExpression(cronExpression).next(now, timezone);
+    const definition = {
+      cronExpression,
+      timezone,
+      handlerId,
+      overlapPolicy: options.overlapPolicy || "skip",
+    };
+    let existing = await this.#store.findSchedule(scheduleId);
+    let created = false;
+    if (!existing) {
+      created = await this.#store.insertSchedule({
+        scheduleId,
+        ...definition,
+        paused: false,
+        nextFireAt,
+        lastWorkflowId: null,
+        timeoutAt: now,
+      });
+      if (!created) {
+        existing = await this.#store.findSchedule(scheduleId);
+      }
+    }
+    if (existing) {
+      const fields = { ...definition };
+      if (
+        existing.cronExpression !== cronExpression ||
+        existing.timezone !== timezone
+      ) {
+        fields.nextFireAt = nextFireAt;
+      }
+      await this.#store.updateSchedule(scheduleId, fields);
+    }
+    this.#schedules.set(scheduleId, { inputFactory });
+    return created;
+  }
+
+  /**
+   * Finds a schedule by its ID.
+   *
+   * @param {string} scheduleId - The ID of the schedule to find
+   * @returns {Promise<Object|null>} The schedule document or null if not found
+   */
+  async findSchedule(scheduleId) {
+    return await this.#store.findSchedule(scheduleId);
+  }
+
+  /**
+   * Pauses a schedule. No tick fires until it is resumed.
+   *
+   * @param {string} scheduleId - The ID of the schedule to pause
+   * @returns {Promise<void>}
+   * @throws {ScheduleNotFound} If the schedule doesn't exist
+   */
+  async pauseSchedule(scheduleId) {
+    if (!(await this.#store.updateSchedule(scheduleId, { paused: true }))) {
+      throw new ScheduleNotFound(scheduleId);
+    }
+  }
+
+  /**
+   * Resumes a paused schedule. The ticks that passed while it was paused are
+   * skipped; use backfillSchedule to run them.
+   *
+   * @param {string} scheduleId - The ID of the schedule to resume
+   * @returns {Promise<void>}
+   * @throws {ScheduleNotFound} If the schedule doesn't exist
+   */
+  async resumeSchedule(scheduleId) {
+    const schedule = await this.#findSchedule(scheduleId);
+    if (!schedule.paused) {
+      return;
+    }
+    await this.#store.updateSchedule(scheduleId, {
+      paused: false,
+      nextFireAt: new CronExpression(schedule.cronExpression).next(
+        this.#clock.now(),
+        schedule.timezone
+      ),
+    });
+  }
+
+  /**
+   * Starts the workflows of the ticks of a schedule between two times, e.g.
+   * the ticks skipped while it was paused. The workflows get the same IDs as
+   * if the ticks had fired, so ticks that already fired are not started
+   * again. The overlap policy is not applied.
+   *
+   * @param {string} scheduleId - The ID of the schedule
+   * @param {Date} startAt - The time of the first tick to start, inclusive
+   * @param {Date} endAt - The time of the last tick to start, exclusive
+   * @returns {Promise<number>} The number of workflows started
+   * @throws {ScheduleNotFound} If the schedule doesn't exist or wasn't defined with schedule() on this instance
+   */
+  async backfillSchedule(scheduleId, startAt, endAt) {
+    const schedule = await this.#findSchedule(scheduleId);
+    const registration = this.#schedules.get(scheduleId);
+    if (!registration) {
+      throw new ScheduleNotFound(scheduleId);
+    }
+    const cron = new CronExpression(schedule.cronExpression);
+    let started = 0;
+    let fireAt = cron.next(new Date(startAt.getTime() - 1), schedule.timezone);
+    while (fireAt && fireAt < endAt) {
+      if (
+        await this.#create(
+          `${scheduleId}@${fireAt.toISOString()}`,
+          schedule.handlerId,
+          await registration.inputFactory?.(fireAt),
+          null
+        )
+      ) {
+        started++;
+      }
+      fireAt = cron.next(fireAt, schedule.timezone);
+    }
+    return started;
+  }
+
+  /**
+   * Lists the next fire times of a schedule.
+   *
+   * @param {string} scheduleId - The ID of the schedule
+   * @param {number} [count=5] - The number of fire times to list
+   * @returns {Promise<Date[]>} The next fire times, empty if the schedule is paused
+   * @throws {ScheduleNotFound} If the schedule doesn't exist
+   */
+  async getUpcomingFireTimes(scheduleId, count = 5) {
+    const schedule = await this.#findSchedule(scheduleId);
+    const cron = new CronExpression(schedule.cronExpression);
+    const fireTimes = [];
+    let fireAt = schedule.paused ? null : schedule.nextFireAt;
+    while (fireAt && fireTimes.length < count) {
+      fireTimes.push(fireAt);
+      fireAt = cron.next(fireAt, schedule.timezone);
+    }
+    return fireTimes;
+  }
+
+  /**
+   * Waits for a workflow to complete by polling its status.
+   *
+   * @param {string} workflowId - The ID of the workflow to wait for
+   * @param {number} retries - Number of times to check the workflow status
+   * @param {number} pauseInterval - Milliseconds to wait between retries
+   * @returns {Promise<any>} The result of the workflow execution
+   * @throws {WaitTimeout} If the workflow doesn't complete within the retry limit
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   */
+  async wait(workflowId, retries, pauseInterval) {
+    for (let i = 0; i < retries; i++) {
+      const data = await this.#findStatusAndResult(workflowId);
+      if (data.status === "finished") {
+        return data.result;
+      }
+      await this.#clock.sleep(pauseInterval);
+    }
+    throw new WaitTimeout(workflowId);
+  }
+
+  /**
+   * Starts the workflow execution loop that claims and processes workflows.
+   *
+   * Each iteration first fires the earliest due tick of the schedules defined
+   * on this instance, if any, then claims a workflow.
+   *
+   * The loop runs until the shouldStop callback returns true or shutdown() is
+   * called. Only workflows whose handler version is registered on this
+   * instance are claimed, so workers running different handlers or versions
+   * can share one store.
+   * Workflows are executed in a fire-and-forget pattern. While
+   * maxConcurrentWorkflows runs are in flight, the loop stops claiming until
+   * one of them completes. Handler errors trigger retries, while
+   * infrastructure errors (HandlerNotFound, WorkflowNotFound) will reject the
+   * promise and stop the loop.
+   *
+   * @returns {Promise<void>}
+   * @throws {HandlerNotFound} If a workflow references a non-existent handler
+   * @throws {WorkflowNotFound} If a claimed workflow is not found
    */
   async poll() {
     return new Promise(async (resolve, reject) => {
       let hasRejected = false;
-      while (!this.#shouldStop()) {
-        const workflowId = await this.#claim();
-        if (workflowId) {
-          this.#run(workflowId).catch((err) => {
-            if (!hasRejected) {
-              hasRejected = true;
-              reject(err);
-            }
-          });
-        } else {
-          await this.#goSleep(this.#pollInterval);
+      const stopSignal = this.#stopController.signal;
+      while (!stopSignal.aborted && !this.#shouldStop()) {
+        if (this.#inFlight.size >= this.#maxConcurrentWorkflows) {
+          await this.#waitForSlot();
+          continue;
         }
+        const { fired, lease } = await this.#pass((err) => {
+          if (!hasRejected) {
+            hasRejected = true;
+            reject(err);
+          }
+        });
+        if (!lease && !fired) {
+          await this.#clock.sleep(this.#pollInterval, stopSignal);
+        }
+      }
+      resolve();
+    });
+  }
+
+  /**
+   * Makes a single pass of the poll loop: fires the due schedule ticks and
+   * claims workflows until none is ready or maxConcurrentWorkflows runs are in
+   * flight, then returns without waiting for the runs it started.
+   *
+   * This lets a worker be driven from the outside instead of by poll(). As
+   * the pass has returned by then, the infrastructure errors of the runs it
+   * started (HandlerNotFound, WorkflowNotFound) are reported through
+   * errorCallback. Nothing is claimed once shutdown() has been called.
+   *
+   * @returns {Promise<number>} The number of runs started
+   */
+  async pollOnce() {
+    let started = 0;
+    while (
+      !this.#stopController.signal.aborted &&
+      this.#inFlight.size < this.#maxConcurrentWorkflows
+    ) {
+      const { fired, lease } = await this.#pass((err, workflowId) => {
+        this.#reportError(workflowId, err);
+      });
+      if (lease) {
+        started++;
+      } else if (!fired) {
+        break;
       }
+    }
+    return started;
+  }
+
+  /**
+   * Fires the due schedule ticks and claims a workflow, which is then run in
+   * the background.
+   *
+   * The pass is tracked so that shutdown() waits for it before draining. A
+   * workflow claimed once shutdown() has been called isn't run: its lease is
+   * released so that another worker claims it right away.
+   *
+   * @param {(err: Error, workflowId: string) => void} onError - Called with the infrastructure error the run rejects with and the ID of its workflow
+   * @returns {Promise<{fired: boolean, lease: {workflowId: string, leaseToken: number}|undefined}>} Whether a tick was fired, and the claim of the workflow run, if any
+   */
+  async #pass(onError) {
+    const pass = (async () => {
+      const fired = await this.#fireSchedule();
+      const lease = await this.#claim();
+      if (lease && this.#stopController.signal.aborted) {
+        await this.#store.releaseLease(
+          lease.workflowId,
+          this.#clock.now(),
+          lease.leaseToken
+        );
+        return { fired, lease: undefined };
+      }
+      if (lease) {
+        this.#startRun(lease, (err) => onError(err, lease.workflowId));
+      }
+      return { fired, lease };
+    })();
+    this.#passes.add(pass);
+    try {
+      return await pass;
+    } finally {
+      this.#passes.delete(pass);
+    }
+  }
+
+  /**
+   * Runs a claimed workflow in the background, tracking it as in flight.
+   *
+   * @param {{workflowId: string, leaseToken: number}} lease - The claim of the workflow to run
+   * @param {(err: Error) => void} onError - Called with the infrastructure error a run rejects with
+   */
+  #startRun(lease, onError) {
+    this.#inFlight.set(lease, null);
+    this.#run(lease)
+      .catch(onError)
+      .finally(() => {
+        this.#inFlight.delete(lease);
+        this.#notifySlotWaiters();
+      });
+  }
+
+  /**
+   * Returns the number of workflow runs started by poll() that haven't
+   * completed yet. A run completes when its handler returns, throws or
+   * suspends.
+   *
+   * @returns {number} The number of runs in flight
+   */
+  getInFlightCount() {
+    return this.#inFlight.size;
+  }
+
+  /**
+   * Waits until a run in flight completes.
+   *
+   * @returns {Promise<void>}
+   */
+  #waitForSlot() {
+    return new Promise((resolve) => {
+      this.#slotWaiters.push(resolve);
+    });
+  }
+
+  /**
+   * Wakes up the poll loops and the drain waiting for a run to complete.
+   */
+  #notifySlotWaiters() {
+    const waiters = this.#slotWaiters;
+    this.#slotWaiters = [];
+    for (const resolve of waiters) {
       resolve();
+    }
+  }
+
+  /**
+   * Waits until no run is in flight.
+   *
+   * @returns {Promise<void>}
+   */
+  async #drain() {
+    while (this.#inFlight.size > 0) {
+      await this.#waitForSlot();
+    }
+  }
+
+  /**
+   * Executes a workflow handler for the given workflow ID.
+   *
+   * Retrieves the workflow's run data, finds the registered handler, and invokes it.
+   * If the handler throws an error, the workflow is marked as failed or aborted
+   * (depending on maxFailures and the retry policy) and will be retried after
+   * an interval computed by the retry policy from the failure count.
+   * If the handler suspends (e.g. waiting for a signal), the workflow is marked as
+   * waiting and the handler's pending promise is abandoned; it will be replayed
+   * once woken up. If the handler reached a cancellation point after the workflow
+   * was cancelled, its cleanup callbacks are run instead. When a child workflow
+   * finishes, is aborted, is cancelled or is compensated, its parent is woken
+   * up.
+   *
+   * A workflow that would be aborted or cancelled after completing steps with
+   * a compensation is moved to the "compensating" status instead, and claimed
+   * again right away: its next run compensates those steps (see #compensate)
+   * and marks it as compensated.
+   *
+   * Every write to the workflow document is conditioned on the lease token of
+   * the claim. Once a write is rejected because another worker has claimed
+   * the workflow, the handler is abandoned with LeaseLost, which is reported
+   * through errorCallback, and nothing else is written.
+   *
+   * @param {{workflowId: string, leaseToken: number}} lease - The claim of the workflow to run
+   * @returns {Promise<void>}
+   * @throws {WorkflowNotFound} If the workflow doesn't exist
+   * @throws {HandlerNotFound} If the handler is not registered
+   */
+  async #run(lease) {
+    const { workflowId, leaseToken } = lease;
+    const runData = await this.#findRunData(workflowId);
+    const registration = this.#handlers
+      .get(runData.handlerId)
+      ?.get(runData.version ?? DEFAULT_VERSION);
+    if (!registration) {
+      throw new HandlerNotFound(runData.handlerId);
+    }
+    const { handler, retryPolicy } = registration;
+    const compensating = runData.status === "compensating";
+    const run = {
+      leaseToken,
+      leaseLost: null,
+      suspend: null,
+      abort: null,
+      cancellation: null,
+      cleanups: [],
+      patches: runData.patches || [],
+      calls: new Set(),
+      position: 0,
+      replaying: true,
+      compensations: [],
+      collecting: compensating,
+      failedSteps: new Map(),
+    };
+    // Lets shutdown() abandon the run
+    this.#inFlight.set(lease, run);
+    const suspended = new Promise((resolve, reject) => {
+      run.suspend = (resumeAt, recheck) => {
+        resolve(new Suspension(resumeAt, recheck));
+        return new Promise(() => {});
+      };
+      run.abort = reject;
+    });
+    const all = this.#all(workflowId, run).bind(this);
+    const ctx = {
+      step: this.#step(workflowId, run).bind(this),
+      all,
+      map: mapSteps(all),
+      sleep: this.#sleep(workflowId, run).bind(this),
+      waitForSignal: this.#waitForSignal(workflowId, run).bind(this),
+      startChild: this.#startChild(workflowId).bind(this),
+      executeChild: this.#executeChild(workflowId, run).bind(this),
+      onCancel: (cleanup) => {
+        run.cleanups.push(cleanup);
+      },
+      patched: this.#patched(workflowId, run).bind(this),
+    };
+    const stopLeaseRenewal = this.#startLeaseRenewal(workflowId, run);
+    let result;
+    try {
+      result = await Promise.race([
+        compensating
+          ? this.#compensate(run, ctx, () => handler(ctx, runData.input))
+          : handler(ctx, runData.input),
+        suspended,
+      ]);
+    } catch (err) {
+      await stopLeaseRenewal();
+      if (run.leaseLost) {
+        this.#reportError(workflowId, run.leaseLost);
+        return;
+      }
+      if (run.cancellation) {
+        await this.#cleanUp(workflowId, runData, run);
+        return;
+      }
+      const failures = runData.failures + 1;
+      let status = compensating ? "compensating" : "failed";
+      if (
+        (this.#maxFailures !== undefined && failures > this.#maxFailures) ||
+        this.#retryBudgetExceeded(retryPolicy, failures)
+      ) {
+        status =
+          !compensating && (await this.#store.hasCompensations(workflowId))
+            ? "compensating"
+            : "aborted";
+      }
+      const now = this.#clock.now();
+      // Compensations start right away, with a failure budget of their own
+      const startsCompensating = status === "compensating" && !compensating;
+      const updated = await this.#store.updateStatus(
+        workflowId,
+        status,
+        startsCompensating
+          ? now
+          : new Date(
+              now.getTime() + this.#retryInterval(retryPolicy, failures)
+            ),
+        startsCompensating ? 0 : failures,
+        leaseToken,
+        this.#describeFailure(err, run, failures, now),
+        FAILURE_HISTORY_SIZE
+      );
+      if (!updated) {
+        this.#reportError(workflowId, this.#loseLease(workflowId, run));
+        return;
+      }
+      await this.#appendEvent(workflowId, "AttemptFailed", {
+        failures,
+        error: this.#describeError(err),
+      });
+      if (startsCompensating) {
+        await this.#appendEvent(workflowId, "CompensationStarted", {
+          failures,
+        });
+      }
+      if (status === "aborted") {
+        await this.#appendEvent(workflowId, "Aborted", { failures });
+        await this.#complete(workflowId, runData, "aborted");
+        if (runData.parentId) {
+          await this.#wake(runData.parentId);
+        }
+      }
+      this.#reportError(workflowId, err);
+      return;
+    }
+    await stopLeaseRenewal();
+    if (run.leaseLost) {
+      this.#reportError(workflowId, run.leaseLost);
+      return;
+    }
+    if (run.cancellation) {
+      await this.#cleanUp(workflowId, runData, run);
+      return;
+    }
+    if (result instanceof Suspension) {
+      if (
+        !(await this.#store.setAsWaiting(
+          workflowId,
+          result.resumeAt,
+          leaseToken
+        ))
+      ) {
+        this.#reportError(workflowId, this.#loseLease(workflowId, run));
+        return;
+      }
+      if (await result.recheck()) {
+        await this.#wake(workflowId);
+      }
+      return;
+    }
+    if (compensating) {
+      if (!(await this.#store.setAsCompensated(workflowId, leaseToken))) {
+        this.#reportError(workflowId, this.#loseLease(workflowId, run));
+        return;
+      }
+      await this.#appendEvent(workflowId, "Compensated");
+      await this.#complete(workflowId, runData, "compensated");
+    } else {
+      if (!(await this.#store.setAsFinished(workflowId, result, leaseToken))) {
+        this.#reportError(workflowId, this.#loseLease(workflowId, run));
+        return;
+      }
+      await this.#appendEvent(workflowId, "Finished");
+      await this.#complete(workflowId, runData, "finished");
+    }
+    if (runData.parentId) {
+      await this.#wake(runData.parentId);
+    }
+  }
+
+  /**
+   * Compensates the steps a workflow completed, in reverse order.
+   *
+   * Compensation functions only live in the handler, so it is replayed first:
+   * each completed step with a compensation registers it, and the replay is
+   * stopped at the first call that isn't in the history. Errors thrown by the
+   * replay are ignored. Each compensation then runs as a step of its own,
+   * "compensate:<stepId>", so that a crash or a failure resumes with the
+   * compensations that didn't complete.
+   *
+   * @param {Object} run - The state of the current run
+   * @param {WorkflowContext} ctx - The workflow context
+   * @param {() => Promise<any>} replay - Invokes the handler
+   * @returns {Promise<void>}
+   */
+  async #compensate(run, ctx, replay) {
+    const suspend = run.suspend;
+    await new Promise((resolve) => {
+      run.suspend = () => {
+        resolve();
+        return new Promise(() => {});
+      };
+      replay().then(resolve, resolve);
+    });
+    run.suspend = suspend;
+    run.collecting = false;
+    for (const { stepId, compensate, output } of run.compensations.reverse()) {
+      await ctx.step(`compensate:${stepId}`, (stepCtx) =>
+        compensate(output, stepCtx)
+      );
+    }
+  }
+
+  /**
+   * Records that a run has lost the lease of its workflow and abandons its
+   * handler.
+   *
+   * The error is remembered on the run so that the handler can't swallow it.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the run
+   * @returns {LeaseLost} The error to throw
+   */
+  #loseLease(workflowId, run) {
+    run.leaseLost ??= new LeaseLost(workflowId);
+    run.abort(run.leaseLost);
+    return run.leaseLost;
+  }
+
+  /**
+   * Passes an error to errorCallback, if any.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Error} err - The error
+   */
+  #reportError(workflowId, err) {
+    if (this.#errorCallback) {
+      this.#errorCallback(workflowId, err);
+    }
+  }
+
+  /**
+   * Renews the lease of a workflow every heartbeatInterval until stopped, so
+   * that handlers running longer than timeoutInterval aren't claimed again.
+   *
+   * Renewals are driven by setInterval rather than the clock: they keep the
+   * lease of this process alive and don't affect workflow state.
+   *
+   * A rejected renewal abandons the run with LeaseLost.
+   *
+   * @param {string} workflowId - The ID of the workflow being run
+   * @param {Object} run - The state of the run
+   * @returns {() => Promise<void>|null} Stops the renewals and returns the one in progress, if any
+   */
+  #startLeaseRenewal(workflowId, run) {
+    if (this.#heartbeatInterval === Infinity) {
+      return () => null;
+    }
+    let renewal = null;
+    const timer = setInterval(() => {
+      if (renewal) {
+        return;
+      }
+      renewal = this.#renewLease(workflowId, run)
+        .catch((err) => {
+          // The run reports a lost lease once its handler is abandoned
+          if (!(err instanceof LeaseLost)) {
+            this.#reportError(workflowId, err);
+          }
+        })
+        .finally(() => {
+          renewal = null;
+        });
+    }, this.#heartbeatInterval);
+    timer.unref?.();
+    return () => {
+      clearInterval(timer);
+      return renewal;
+    };
+  }
+
+  /**
+   * Extends the lease of a workflow by timeoutInterval from now.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the run holding the lease
+   * @returns {Promise<void>}
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  async #renewLease(workflowId, run) {
+    const now = this.#clock.now();
+    const timeoutAt = new Date(now.getTime() + this.#timeoutInterval);
+    await this.#extendLease(workflowId, run, timeoutAt);
+  }
+
+  /**
+   * Sets the timeoutAt of a workflow if the run still holds its lease.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the run holding the lease
+   * @param {Date} timeoutAt - The new timeout
+   * @returns {Promise<void>}
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  async #extendLease(workflowId, run, timeoutAt) {
+    if (
+      !(await this.#store.updateTimeoutAt(
+        workflowId,
+        timeoutAt,
+        run.leaseToken
+      ))
+    ) {
+      throw this.#loseLease(workflowId, run);
+    }
+  }
+
+  /**
+   * Computes the interval before retrying a workflow after a failure.
+   *
+   * Starts at waitRetryInterval and grows exponentially with the failure count
+   * according to the retry policy. Jitter then subtracts a random fraction of
+   * the interval so that workflows failing together don't retry together.
+   *
+   * @param {RetryPolicy} policy - The retry policy of the workflow handler
+   * @param {number} failures - The failure count, including the current failure
+   * @returns {number} The interval in milliseconds
+   */
+  #retryInterval(policy, failures) {
+    const interval = this.#backoff(
+      this.#waitRetryInterval,
+      policy.backoffCoefficient ?? 1,
+      policy.maxInterval,
+      failures - 1
+    );
+    return Math.round(interval * (1 - (policy.jitter || 0) * Math.random()));
+  }
+
+  /**
+   * Checks whether retrying a workflow would exceed the maxRetryDuration of its
+   * retry policy, based on the sum of the intervals of all its failures.
+   *
+   * @param {RetryPolicy} policy - The retry policy of the workflow handler
+   * @param {number} failures - The failure count, including the current failure
+   * @returns {boolean} True if the workflow should be aborted
+   */
+  #retryBudgetExceeded(policy, failures) {
+    if (policy.maxRetryDuration === undefined) {
+      return false;
+    }
+    let total = 0;
+    for (let retry = 0; retry < failures; retry++) {
+      total += this.#backoff(
+        this.#waitRetryInterval,
+        policy.backoffCoefficient ?? 1,
+        policy.maxInterval,
+        retry
+      );
+    }
+    return total > policy.maxRetryDuration;
+  }
+
+  /**
+   * Runs the cleanup callbacks of a cancelled run and marks it as cancelled,
+   * or as compensating if it completed steps that have a compensation.
+   *
+   * Callbacks run in reverse registration order. A failing callback is reported
+   * through errorCallback and doesn't prevent the remaining ones from running.
+   *
+   * @param {string} workflowId - The ID of the cancelled workflow
+   * @param {Object} runData - The run data of the workflow
+   * @param {Object} run - The state of the cancelled run
+   * @returns {Promise<void>}
+   */
+  async #cleanUp(workflowId, runData, run) {
+    for (const cleanup of [...run.cleanups].reverse()) {
+      try {
+        await cleanup(run.cancellation.reason);
+      } catch (err) {
+        this.#reportError(workflowId, err);
+      }
+    }
+    if (await this.#store.hasCompensations(workflowId)) {
+      if (
+        !(await this.#store.updateStatus(
+          workflowId,
+          "compensating",
+          this.#clock.now(),
+          0,
+          run.leaseToken
+        ))
+      ) {
+        this.#reportError(workflowId, this.#loseLease(workflowId, run));
+        return;
+      }
+      await this.#appendEvent(workflowId, "CompensationStarted", {
+        reason: run.cancellation.reason,
+      });
+      return;
+    }
+    if (!(await this.#store.setAsCancelled(workflowId, run.leaseToken))) {
+      this.#reportError(workflowId, this.#loseLease(workflowId, run));
+      return;
+    }
+    await this.#appendEvent(workflowId, "Cancelled", {
+      reason: run.cancellation.reason,
     });
+    await this.#complete(workflowId, runData, "cancelled");
+    if (runData.parentId) {
+      await this.#wake(runData.parentId);
+    }
+  }
+
+  /**
+   * Stamps a workflow that reached a final status with its completion time,
+   * and its records with their expiry time according to the retention policy
+   * of its handler.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} runData - The handlerId and version of the workflow
+   * @param {string} status - The final status, "finished", "aborted", "cancelled" or "compensated"
+   * @returns {Promise<void>}
+   */
+  async #complete(workflowId, runData, status) {
+    const registration = this.#handlers
+      .get(runData.handlerId)
+      ?.get(runData.version ?? DEFAULT_VERSION);
+    const retention = (registration?.retention ?? this.#retention)[status];
+    const now = this.#clock.now();
+    await this.#store.setCompletion(
+      workflowId,
+      now,
+      retention === undefined ? null : new Date(now.getTime() + retention)
+    );
+  }
+
+  /**
+   * Throws LeaseLost if another worker has claimed the workflow, or
+   * WorkflowCancelled if the workflow has been cancelled.
+   *
+   * The error is remembered on the run so that the handler can't swallow it.
+   * It is only checked before a step, nap, signal or child that hasn't
+   * completed yet: replayed ones return as usual, so that a replay reaches the
+   * cleanups registered after them.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @returns {Promise<void>}
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   * @throws {WorkflowCancelled} If the workflow has been cancelled
+   */
+  async #checkCancelled(workflowId, run) {
+    if (run.leaseLost) {
+      throw run.leaseLost;
+    }
+    const workflow = await this.#store.findStatusAndCancelReason(workflowId);
+    if (workflow && workflow.leaseToken !== run.leaseToken) {
+      throw this.#loseLease(workflowId, run);
+    }
+    if (
+      workflow &&
+      (workflow.status === "cancelling" || workflow.status === "cancelled")
+    ) {
+      run.cancellation = new WorkflowCancelled(
+        workflowId,
+        workflow.cancelReason
+      );
+      throw run.cancellation;
+    }
+  }
+
+  /**
+   * Creates a step function bound to a specific workflow.
+   *
+   * Steps are idempotent: if a step has already been executed, its cached output
+   * is returned. Otherwise, the function is executed and its output is persisted
+   * in the steps collection before returning.
+   *
+   * The function receives a step context whose heartbeat(progress) extends the
+   * lease of the workflow and records the progress on the step record, so that
+   * long operations can report they are still alive.
+   *
+   * A failing function is retried locally with exponential backoff according to
+   * the step options, and the number of attempts is persisted on the step record.
+   * An attempt that exceeds timeoutMs fails with StepTimeout, and the signal of
+   * its step context is aborted so that the function can stop.
+   * Once the retries are exhausted, or the error is an instance of one of the
+   * nonRetryable classes, the error is thrown out of the handler so that the
+   * workflow-level failure handling takes over.
+   *
+   * Note: Step persistence and timeout updates are not atomic, but this is acceptable
+   * as the worst case is early workflow retry on crash. The lease is renewed
+   * right before the output is stored, and the output, like the attempts and
+   * progress, is stored with the lease token, so a worker that lost the
+   * workflow throws LeaseLost instead of storing it.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @returns {Function} A step function that takes (stepId, fn, options) and returns the step output
+   * @throws {WorkflowCancelled} If the workflow has been cancelled
+   * @throws {NonDeterminismError} If the step diverges from the history of the workflow
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  #step(workflowId, run) {
+    return async function (stepId, fn, options = {}) {
+      const record = await this.#findOutputAndAttempts(workflowId, stepId);
+      const position = await this.#followStep(
+        workflowId,
+        run,
+        stepId,
+        options,
+        record
+      );
+      if (record.output !== undefined) {
+        return record.output;
+      }
+      await this.#checkCancelled(workflowId, run);
+      return await this.#executeStep(
+        workflowId,
+        run,
+        { stepId, fn, options, attempts: record.attempts, position },
+        () => this.#renewLease(workflowId, run)
+      );
+    };
+  }
+
+  /**
+   * Creates a function bound to a specific workflow that executes steps in
+   * parallel.
+   *
+   * The steps follow the history in the order they are given, whatever order
+   * they complete in, so that replays are deterministic. Completed steps return
+   * their cached output and only the others are executed, at most concurrency
+   * at a time. Each output is persisted as soon as its step completes, and the
+   * steps completing while the lease is being renewed share that renewal.
+   *
+   * Once a step fails, the remaining steps aren't started: the ones in flight
+   * complete, and the first error is then thrown.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @returns {Function} A function that takes (steps, options) and returns the step outputs, in order
+   * @throws {WorkflowCancelled} If the workflow has been cancelled
+   * @throws {NonDeterminismError} If a step diverges from the history of the workflow
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  #all(workflowId, run) {
+    return async function (steps, options = {}) {
+      const records = [];
+      for (const { stepId } of steps) {
+        records.push(await this.#findOutputAndAttempts(workflowId, stepId));
+      }
+      if (records.some((record) => record.output === undefined)) {
+        await this.#checkCancelled(workflowId, run);
+      }
+      if (
+        run.collecting &&
+        records.some((record) => record.output === undefined)
+      ) {
+        // Collect the compensations of all the completed steps before stopping
+        for (const [index, record] of records.entries()) {
+          const { stepId, options: stepOptions = {} } = steps[index];
+          if (record.output !== undefined) {
+            await this.#followStep(
+              workflowId,
+              run,
+              stepId,
+              stepOptions,
+              record
+            );
+          } else {
+            run.position++;
+          }
+        }
+        return await run.suspend(NEVER, async () => false);
+      }
+      const outputs = [];
+      const pending = [];
+      // The completed steps of the group that come after the current one
+      let ahead = records.filter(
+        (record) => record.output !== undefined
+      ).length;
+      for (const [index, record] of records.entries()) {
+        const { stepId, fn, options: stepOptions = {} } = steps[index];
+        if (record.output !== undefined) {
+          ahead--;
+        }
+        const position = await this.#followStep(
+          workflowId,
+          run,
+          stepId,
+          stepOptions,
+          record,
+          ahead
+        );
+        outputs.push(record.output);
+        if (record.output === undefined) {
+          pending.push({
+            index,
+            step: {
+              stepId,
+              fn,
+              options: stepOptions,
+              attempts: record.attempts,
+              position,
+            },
+          });
+        }
+      }
+      let renewal = null;
+      const renewLease = () => {
+        renewal ??= this.#renewLease(workflowId, run).finally(() => {
+          renewal = null;
+        });
+        return renewal;
+      };
+      let failure = null;
+      const work = async () => {
+        while (pending.length > 0 && !failure) {
+          const { index, step } = pending.shift();
+          try {
+            await this.#checkCancelled(workflowId, run);
+            outputs[index] = await this.#executeStep(
+              workflowId,
+              run,
+              step,
+              renewLease
+            );
+          } catch (err) {
+            failure ??= { err };
+          }
+        }
+      };
+      const concurrency = Math.min(
+        Math.max(1, options.concurrency ?? Infinity),
+        pending.length
+      );
+      await Promise.all(Array.from({ length: concurrency }, work));
+      if (failure) {
+        throw failure.err;
+      }
+      return outputs;
+    };
+  }
+
+  /**
+   * Follows the history of the workflow with a step call, and collects the
+   * compensation of a completed step.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @param {string} stepId - The ID of the step
+   * @param {StepOptions} options - The step options
+   * @param {{output: any, sequence: number|undefined}} record - The stored output and position of the step
+   * @param {number} [ahead] - The number of completed steps that come after this one in its group of parallel steps
+   * @returns {Promise<number>} The position of the step in the run
+   * @throws {NonDeterminismError} If the step diverges from the history of the workflow
+   */
+  async #followStep(workflowId, run, stepId, options, record, ahead = 0) {
+    const completed = record.output !== undefined;
+    const position = await this.#followHistory(
+      workflowId,
+      run,
+      `step "${stepId}"`,
+      completed ? { sequence: record.sequence } : null,
+      ahead
+    );
+    if (completed) {
+      this.#collectCompensation(run, stepId, options, record.output);
+    }
+    return position;
+  }
+
+  /**
+   * Collects the compensation of a completed step, if it has one.
+   *
+   * @param {Object} run - The state of the current run
+   * @param {string} stepId - The ID of the step
+   * @param {StepOptions} options - The step options
+   * @param {any} output - The output of the step
+   */
+  #collectCompensation(run, stepId, options, output) {
+    if (options.compensate) {
+      run.compensations.push({
+        stepId,
+        compensate: options.compensate,
+        output,
+      });
+    }
+  }
+
+  /**
+   * Executes a step that hasn't completed yet and stores its output.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @param {Object} step - The step to execute
+   * @param {string} step.stepId - The ID of the step
+   * @param {(stepCtx: StepContext) => Promise<any>} step.fn - The function of the step
+   * @param {StepOptions} step.options - The step options
+   * @param {number} step.attempts - The number of attempts that already failed
+   * @param {number} step.position - The position of the step in the run
+   * @param {() => Promise<void>} renewLease - Renews the lease before the output is stored
+   * @returns {Promise<any>} The output of the step
+   * @throws {WorkflowCancelled} If the workflow was cancelled while retrying
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  async #executeStep(workflowId, run, step, renewLease) {
+    const { stepId, fn, options, position } = step;
+    let attempts = step.attempts;
+    let output;
+    const retries = options.retries || 0;
+    const nonRetryable = options.nonRetryable || [];
+    const heartbeat = async (progress) => {
+      await this.#renewLease(workflowId, run);
+      if (
+        progress !== undefined &&
+        !(await this.#store.updateProgress(
+          workflowId,
+          stepId,
+          progress,
+          run.leaseToken
+        ))
+      ) {
+        throw this.#loseLease(workflowId, run);
+      }
+    };
+    for (let retry = 0; ; retry++) {
+      attempts++;
+      const controller = new AbortController();
+      try {
+        output = await this.#attempt(
+          workflowId,
+          stepId,
+          fn,
+          { heartbeat, signal: controller.signal },
+          controller,
+          options.timeoutMs
+        );
+        break;
+      } catch (err) {
+        if (
+          !(await this.#store.updateAttempts(
+            workflowId,
+            stepId,
+            attempts,
+            run.leaseToken
+          ))
+        ) {
+          throw this.#loseLease(workflowId, run);
+        }
+        await this.#appendEvent(
+          workflowId,
+          "AttemptFailed",
+          { stepId, attempts, error: this.#describeError(err) },
+          run
+        );
+        if (
+          retry >= retries ||
+          nonRetryable.some((errorClass) => err instanceof errorClass)
+        ) {
+          run.failedSteps.set(err, { stepId, attempts });
+          throw err;
+        }
+      }
+      const interval = this.#backoff(
+        options.initialInterval ?? 1_000,
+        options.backoffCoefficient ?? 2,
+        options.maxInterval,
+        retry
+      );
+      const now = this.#clock.now();
+      const timeoutAt = new Date(
+        now.getTime() + interval + this.#timeoutInterval
+      );
+      await this.#extendLease(workflowId, run, timeoutAt);
+      await this.#clock.sleep(interval);
+      await this.#checkCancelled(workflowId, run);
+    }
+    await renewLease();
+    if (
+      !(await this.#store.insertStep(
+        workflowId,
+        stepId,
+        output,
+        attempts,
+        position,
+        Boolean(options.compensate),
+        run.leaseToken
+      ))
+    ) {
+      throw this.#loseLease(workflowId, run);
+    }
+    await this.#appendEvent(
+      workflowId,
+      "StepCompleted",
+      { stepId, attempts },
+      run
+    );
+    this.#collectCompensation(run, stepId, options, output);
+    return output;
   }
 
   /**
-   * Executes a workflow handler for the given workflow ID.
+   * Runs an attempt of a step, failing it with StepTimeout once it exceeds its
+   * timeout.
    *
-   * Retrieves the workflow's run data, finds the registered handler, and invokes it.
-   * If the handler throws an error, the workflow is marked as failed or aborted
-   * (depending on maxFailures setting) and will be retried after waitRetryInterval.
+   * A timed out attempt aborts its signal but can't be stopped otherwise: its
+   * outcome is ignored.
    *
-   * @param {string} workflowId - The ID of the workflow to run
-   * @returns {Promise<void>}
-   * @throws {WorkflowNotFound} If the workflow doesn't exist
-   * @throws {HandlerNotFound} If the handler is not registered
+   * @param {string} workflowId - The ID of the workflow
+   * @param {string} stepId - The ID of the step
+   * @param {(stepCtx: StepContext) => Promise<any>} fn - The function of the step
+   * @param {StepContext} stepCtx - The context of the attempt
+   * @param {AbortController} controller - The controller of the signal of the attempt
+   * @param {number|undefined} timeoutMs - The timeout of the attempt, if any
+   * @returns {Promise<any>} The output of the attempt
+   * @throws {StepTimeout} If the attempt timed out
    */
-  async #run(workflowId) {
-    const runData = await this.#findRunData(workflowId);
-    const handler = this.#handlers.get(runData.handlerId);
-    if (!handler) {
-      throw new HandlerNotFound(runData.handlerId);
+  async #attempt(workflowId, stepId, fn, stepCtx, controller, timeoutMs) {
+    if (timeoutMs === undefined) {
+      return await fn(stepCtx);
     }
-    const ctx = {
-      step: this.#step(workflowId).bind(this),
-      sleep: this.#sleep(workflowId).bind(this),
-    };
-    let result;
-    try {
-      result = await handler(ctx, runData.input);
-    } catch (err) {
-      const failures = runData.failures + 1;
-      let status = "failed";
-      if (this.#maxFailures !== undefined && failures > this.#maxFailures) {
-        status = "aborted";
+    const attempt = (async () => await fn(stepCtx))();
+    attempt.catch(() => {});
+    const timer = new AbortController();
+    const timedOut = this.#clock.sleep(timeoutMs, timer.signal).then(() => {
+      if (!timer.signal.aborted) {
+        const err = new StepTimeout(workflowId, stepId, timeoutMs);
+        controller.abort(err);
+        throw err;
       }
-      const now = new Date();
-      const timeoutAt = new Date(now.getTime() + this.#waitRetryInterval);
-      await this.#updateStatus(workflowId, status, timeoutAt, failures);
-      if (this.#errorCallback) {
-        this.#errorCallback(workflowId, err);
-      }
-      return;
+    });
+    try {
+      return await Promise.race([attempt, timedOut]);
+    } finally {
+      timer.abort();
     }
-    await this.#setAsFinished(workflowId, result);
   }
 
   /**
-   * Creates a step function bound to a specific workflow.
-   *
-   * Steps are idempotent: if a step has already been executed, its cached output
-   * is returned. Otherwise, the function is executed and its output is persisted
-   * in the steps collection before returning.
-   *
-   * Note: Step persistence and timeout updates are not atomic, but this is acceptable
-   * as the worst case is early workflow retry on crash.
+   * Computes the interval before a retry using exponential backoff.
    *
-   * @param {string} workflowId - The ID of the workflow
-   * @returns {Function} A step function that takes (stepId, fn) and returns the step output
-   */
-  #step(workflowId) {
-    return async function (stepId, fn) {
-      let output = await this.#findOutput(workflowId, stepId);
-      if (output !== undefined) {
-        return output;
-      }
-      output = await fn();
-      const now = new Date();
-      const timeoutAt = new Date(now.getTime() + this.#timeoutInterval);
-      await this.#insertStep(workflowId, stepId, output);
-      await this.#updateTimeoutAt(workflowId, timeoutAt);
-      return output;
-    };
+   * @param {number} initialInterval - Milliseconds to wait before the first retry
+   * @param {number} coefficient - Multiplier applied to the interval after each retry
+   * @param {number|undefined} maxInterval - Upper bound for the interval, if any
+   * @param {number} retry - Zero-based number of the retry
+   * @returns {number} The interval in milliseconds
+   */
+  #backoff(initialInterval, coefficient, maxInterval, retry) {
+    const interval = initialInterval * Math.pow(coefficient, retry);
+    return maxInterval === undefined
+      ? interval
+      : Math.min(interval, maxInterval);
   }
 
   /**
@@ -357,111 +2337,430 @@ export class Bluestreak {
    * the remaining sleep time. The wakeUpAt time is persisted in the naps collection to
    * survive worker restarts.
    *
+   * If shutdown() is called during the sleep, the workflow is suspended until
+   * wakeUpAt instead, so that any worker can resume it.
+   *
    * Note: Nap persistence and timeout updates are not atomic, but this is acceptable
    * as the worst case is early workflow retry on crash.
    *
    * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run, used to suspend it
    * @returns {Function} A sleep function that takes (napId, ms) and sleeps for the duration
+   * @throws {WorkflowCancelled} If the workflow has been cancelled
+   * @throws {NonDeterminismError} If the nap diverges from the history of the workflow
+   * @throws {LeaseLost} If another worker has claimed the workflow
    */
-  #sleep(workflowId) {
+  #sleep(workflowId, run) {
     return async function (napId, ms) {
-      let wakeUpAt = await this.#findWakeUpAt(workflowId, napId);
-      const now = new Date();
-      if (wakeUpAt) {
-        const remainingMs = wakeUpAt.getTime() - now.getTime();
-        if (remainingMs > 0) {
-          await this.#goSleep(remainingMs);
+      const nap = await this.#store.findNap(workflowId, napId);
+      const position = await this.#followHistory(
+        workflowId,
+        run,
+        `nap "${napId}"`,
+        nap
+      );
+      let wakeUpAt = nap?.wakeUpAt;
+      const now = this.#clock.now();
+      if (wakeUpAt && wakeUpAt.getTime() <= now.getTime()) {
+        return;
+      }
+      await this.#checkCancelled(workflowId, run);
+      if (!wakeUpAt) {
+        wakeUpAt = new Date(now.getTime() + ms);
+        const timeoutAt = new Date(wakeUpAt.getTime() + this.#timeoutInterval);
+        await this.#extendLease(workflowId, run, timeoutAt);
+        if (
+          !(await this.#store.insertNap(
+            workflowId,
+            napId,
+            wakeUpAt,
+            position,
+            run.leaseToken
+          ))
+        ) {
+          throw this.#loseLease(workflowId, run);
         }
+        await this.#appendEvent(
+          workflowId,
+          "NapStarted",
+          { napId, wakeUpAt },
+          run
+        );
+      }
+      const remainingMs = wakeUpAt.getTime() - now.getTime();
+      if (remainingMs <= 0) {
         return;
       }
-      wakeUpAt = new Date(now.getTime() + ms);
-      const timeoutAt = new Date(wakeUpAt.getTime() + this.#timeoutInterval);
-      await this.#insertNap(workflowId, napId, wakeUpAt);
-      await this.#updateTimeoutAt(workflowId, timeoutAt);
-      await this.#goSleep(ms);
+      const stopSignal = this.#stopController.signal;
+      await this.#clock.sleep(remainingMs, stopSignal);
+      if (
+        stopSignal.aborted &&
+        this.#clock.now().getTime() < wakeUpAt.getTime()
+      ) {
+        return await run.suspend(wakeUpAt, async () => false);
+      }
+    };
+  }
+
+  /**
+   * Checks that a step or nap call follows the history of the workflow and
+   * returns its position among the steps and naps of the run.
+   *
+   * A call that was recorded by a previous run must come at the position it
+   * was recorded at, and a call that wasn't must come after all the recorded
+   * ones, except for the steps of its group of parallel steps that completed
+   * after it. Each step and nap ID can only be used once per run. Records
+   * stored without a position aren't checked. A run collecting compensations
+   * stops its handler at the first call that wasn't recorded.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @param {string} call - The kind and ID of the call, for error messages
+   * @param {Object|null} record - The recorded step or nap, if any
+   * @param {number} [ahead] - The number of recorded calls that come after this one in its group of parallel steps
+   * @returns {Promise<number>} The position of the call
+   * @throws {NonDeterminismError} If the call diverges from the history and nonDeterminism is "fail"
+   */
+  async #followHistory(workflowId, run, call, record, ahead = 0) {
+    if (run.collecting && !record) {
+      return await run.suspend(NEVER, async () => false);
+    }
+    const position = run.position++;
+    if (run.calls.has(call)) {
+      this.#diverge(workflowId, `${call} called twice`);
+      return position;
+    }
+    run.calls.add(call);
+    if (record) {
+      if (record.sequence !== undefined && record.sequence !== position) {
+        this.#diverge(
+          workflowId,
+          `${call} is call ${position}, was call ${record.sequence}`
+        );
+      }
+    } else if (run.replaying) {
+      // Once past the history, the only records are those of this run
+      run.replaying = false;
+      const count = await this.#store.countRecords(workflowId);
+      if (count > position + ahead) {
+        this.#diverge(
+          workflowId,
+          `${call} is call ${position}, not in the history of ${count} calls`
+        );
+      }
+    }
+    return position;
+  }
+
+  /**
+   * Throws or reports a NonDeterminismError, depending on nonDeterminism.
+   *
+   * @param {string} workflowId - The ID of the workflow that diverged
+   * @param {string} reason - How the handler diverged from the history
+   * @throws {NonDeterminismError} If nonDeterminism is "fail"
+   */
+  #diverge(workflowId, reason) {
+    const err = new NonDeterminismError(workflowId, reason);
+    if (this.#nonDeterminism !== "warn") {
+      throw err;
+    }
+    this.#reportError(workflowId, err);
+  }
+
+  /**
+   * Creates a patched function bound to a specific workflow.
+   *
+   * A workflow that already took the code path of a change keeps taking it.
+   * Otherwise, a workflow whose stored steps and naps haven't all been
+   * replayed yet ran past the change with the code from before it, so it
+   * keeps the old code path to replay deterministically. Any other workflow,
+   * new or not yet that far, takes the new code path, which is recorded on
+   * the workflow document.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run
+   * @returns {Function} A function that takes (changeId) and tells whether to take the code path of the change
+   * @throws {LeaseLost} If another worker has claimed the workflow
+   */
+  #patched(workflowId, run) {
+    return async function (changeId) {
+      if (run.patches.includes(changeId)) {
+        return true;
+      }
+      if ((await this.#store.countRecords(workflowId)) > run.position) {
+        return false;
+      }
+      if (!(await this.#store.addPatch(workflowId, changeId, run.leaseToken))) {
+        throw this.#loseLease(workflowId, run);
+      }
+      run.patches.push(changeId);
+      return true;
+    };
+  }
+
+  /**
+   * Creates a waitForSignal function bound to a specific workflow.
+   *
+   * If the signal has already been received, its payload is returned right away.
+   * Otherwise the wait deadline is persisted in the signals collection and the
+   * workflow is suspended until the signal arrives or the deadline passes, at
+   * which point the handler is replayed. A signal received after the deadline
+   * is ignored so that replays stay deterministic.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @param {Object} run - The state of the current run, used to suspend it
+   * @returns {Function} A function that takes (signalName, options) and returns the signal payload
+   * @throws {WorkflowCancelled} If the workflow has been cancelled
+   */
+  #waitForSignal(workflowId, run) {
+    return async function (signalName, options = {}) {
+      const signal = await this.findSignal(workflowId, signalName);
+      if (this.#isDelivered(signal)) {
+        return signal.payload;
+      }
+      await this.#checkCancelled(workflowId, run);
+      const now = this.#clock.now();
+      let expiresAt = signal ? signal.expiresAt : null;
+      if (!signal) {
+        if (options.timeoutMs !== undefined) {
+          expiresAt = new Date(now.getTime() + options.timeoutMs);
+        }
+        if (
+          !(await this.#store.insertSignalWait(
+            workflowId,
+            signalName,
+            expiresAt,
+            run.leaseToken
+          ))
+        ) {
+          throw this.#loseLease(workflowId, run);
+        }
+      }
+      if (expiresAt && expiresAt.getTime() <= now.getTime()) {
+        throw new SignalTimeout(workflowId, signalName);
+      }
+      return await run.suspend(expiresAt || NEVER, async () => {
+        const latest = await this.findSignal(workflowId, signalName);
+        return this.#isDelivered(latest);
+      });
+    };
+  }
+
+  /**
+   * Creates a startChild function bound to a specific parent workflow.
+   *
+   * The child workflow document itself, which records the parentId, is the
+   * durable record of the start: a replayed parent finds it already inserted
+   * and doesn't start the child again.
+   *
+   * @param {string} workflowId - The ID of the parent workflow
+   * @returns {Function} A function that takes (childId, handlerId, input) and starts the child
+   */
+  #startChild(workflowId) {
+    return async function (childId, handlerId, input) {
+      await this.#create(childId, handlerId, input, workflowId);
+    };
+  }
+
+  /**
+   * Creates an executeChild function bound to a specific parent workflow.
+   *
+   * Starts the child (if not started yet) and returns its result once it has
+   * finished. Until then the parent is suspended instead of polling, and the
+   * child wakes it up once it reaches a final status.
+   *
+   * @param {string} workflowId - The ID of the parent workflow
+   * @param {Object} run - The state of the current run, used to suspend it
+   * @returns {Function} A function that takes (childId, handlerId, input) and returns the child result
+   * @throws {ChildWorkflowFailed} If the child workflow was aborted, cancelled or compensated
+   * @throws {WorkflowCancelled} If the parent workflow has been cancelled
+   */
+  #executeChild(workflowId, run) {
+    return async function (childId, handlerId, input) {
+      const child = await this.#store.findStatusAndResult(childId);
+      if (child?.status === "finished") {
+        return child.result;
+      }
+      if (child && FINAL_STATUSES.includes(child.status)) {
+        throw new ChildWorkflowFailed(childId);
+      }
+      await this.#checkCancelled(workflowId, run);
+      await this.#create(childId, handlerId, input, workflowId);
+      return await run.suspend(NEVER, async () => {
+        const latest = await this.#findStatusAndResult(childId);
+        return FINAL_STATUSES.includes(latest.status);
+      });
     };
   }
 
   /**
-   * Inserts a new workflow into the workflows collection.
+   * Checks whether a signal document holds a signal received before its deadline.
+   *
+   * @param {Object|null} signal - The signal document
+   * @returns {boolean} True if the signal payload should be delivered
+   */
+  #isDelivered(signal) {
+    if (!signal || !signal.receivedAt) {
+      return false;
+    }
+    return (
+      !signal.expiresAt ||
+      signal.receivedAt.getTime() <= signal.expiresAt.getTime()
+    );
+  }
+
+  /**
+   * Creates a workflow unless one with the same ID already exists.
    *
    * @param {string} workflowId - The unique workflow ID
    * @param {string} handlerId - The handler ID to execute
    * @param {any} input - The input data for the workflow
-   * @returns {Promise<void>}
-   * @throws {MongoServerError} If a workflow with the same ID already exists (E11000)
+   * @param {string|null} parentId - The ID of the parent workflow, if any
+   * @param {StartOptions} [options] - Start options
+   * @returns {Promise<boolean>} Returns true if workflow was created, false if it already exists
    */
-  async #insert(workflowId, handlerId, input) {
-    const now = new Date();
-    await this.#workflows.insertOne({
+  async #create(workflowId, handlerId, input, parentId, options = {}) {
+    const now = this.#clock.now();
+    let timeoutAt = now;
+    if (options.startAt) {
+      timeoutAt = options.startAt;
+    } else if (options.delayMs !== undefined) {
+      timeoutAt = new Date(now.getTime() + options.delayMs);
+    }
+    const version = options.version ?? null;
+    const created = await this.#store.insertWorkflow({
       workflowId,
       handlerId,
+      version,
       input,
+      parentId,
+      priority: options.priority ?? 0,
+      tags: options.tags || [],
       failures: 0,
       status: "idle",
-      timeoutAt: now,
+      timeoutAt,
+      createdAt: now,
     });
+    if (created) {
+      await this.#appendEvent(workflowId, "WorkflowStarted", {
+        handlerId,
+        version,
+        parentId,
+        startAt: timeoutAt,
+      });
+    }
+    return created;
   }
 
   /**
-   * Finds the output of a previously executed step.
+   * Turns a WorkflowFilter into the query passed to the store.
    *
-   * @param {string} workflowId - The workflow ID
-   * @param {string} stepId - The step ID
-   * @returns {Promise<any>} The step output, or undefined if not found
+   * @param {WorkflowFilter} filter - The filter
+   * @returns {WorkflowQuery} The query, without a page
+   */
+  #toQuery(filter) {
+    const toList = (value) =>
+      value === undefined ? undefined : [value].flat();
+    return {
+      statuses: toList(filter.status),
+      handlerIds: toList(filter.handlerId),
+      createdAfter: filter.createdAfter,
+      createdBefore: filter.createdBefore,
+      tags: filter.tags,
+    };
+  }
+
+  /**
+   * Calls a function on every workflow matching a filter, one page at a time.
+   *
+   * @param {WorkflowFilter} filter - The filter
+   * @param {(workflow: Object) => Promise<boolean>} fn - Called with each workflow document, returns whether it acted on it
+   * @returns {Promise<number>} The number of workflows fn acted on
+   */
+  async #forEachWorkflow(filter, fn) {
+    const query = this.#toQuery(filter);
+    let count = 0;
+    let after = null;
+    for (;;) {
+      const workflows = await this.#store.listWorkflows({
+        ...query,
+        after,
+        limit: BATCH_SIZE,
+      });
+      for (const workflow of workflows) {
+        if (await fn(workflow)) {
+          count++;
+        }
+      }
+      if (workflows.length < BATCH_SIZE) {
+        return count;
+      }
+      const last = workflows[workflows.length - 1];
+      after = {
+        createdAt: last.createdAt ?? null,
+        workflowId: last.workflowId,
+      };
+    }
+  }
+
+  /**
+   * Encodes the position of a workflow in listWorkflows as an opaque cursor.
+   *
+   * @param {Object} workflow - The last workflow document of a page
+   * @returns {string} The cursor
+   */
+  #encodeCursor(workflow) {
+    const createdAt = workflow.createdAt?.toISOString() ?? null;
+    return Buffer.from(
+      JSON.stringify([createdAt, workflow.workflowId])
+    ).toString("base64url");
+  }
+
+  /**
+   * Decodes a cursor returned by listWorkflows.
+   *
+   * @param {string} cursor - The cursor
+   * @returns {{createdAt: Date|null, workflowId: string}} The position of the last workflow of the previous page
    */
-  async #findOutput(workflowId, stepId) {
-    const step = await this.#steps.findOne({
+  #decodeCursor(cursor) {
+    const [createdAt, workflowId] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    return {
+      createdAt: createdAt === null ? null : new Date(createdAt),
       workflowId,
-      stepId,
-    });
-    return step ? step.output : undefined;
+    };
   }
 
   /**
-   * Finds the wakeUpAt time for a previously started nap.
+   * Finds the output, the number of attempts and the position of a step.
    *
    * @param {string} workflowId - The workflow ID
-   * @param {string} napId - The nap ID
-   * @returns {Promise<Date|undefined>} The wakeUpAt Date, or undefined if not found
+   * @param {string} stepId - The step ID
+   * @returns {Promise<Object>} Object with output (undefined if the step hasn't completed), attempts and sequence
    */
-  async #findWakeUpAt(workflowId, napId) {
-    const nap = await this.#naps.findOne({
-      workflowId,
-      napId,
-    });
-    return nap ? nap.wakeUpAt : undefined;
+  async #findOutputAndAttempts(workflowId, stepId) {
+    const step = await this.#store.findStep(workflowId, stepId);
+    return {
+      output: step ? step.output : undefined,
+      attempts: step?.attempts || 0,
+      sequence: step?.sequence,
+    };
   }
 
   /**
-   * Finds the data needed to run a workflow (handlerId, input, failures).
+   * Finds the data needed to run a workflow (handlerId, input, failures, parentId).
    *
    * @param {string} workflowId - The workflow ID
-   * @returns {Promise<Object>} Object with handlerId, input, and failures
+   * @returns {Promise<Object>} Object with handlerId, input, failures, and parentId
    * @throws {WorkflowNotFound} If the workflow doesn't exist
    */
   async #findRunData(workflowId) {
-    const workflow = await this.#workflows.findOne(
-      {
-        workflowId,
-      },
-      {
-        projection: {
-          _id: 0,
-          handlerId: 1,
-          input: 1,
-          failures: 1,
-        },
-      }
-    );
-    if (workflow) {
-      return {
-        handlerId: workflow.handlerId,
-        input: workflow.input,
-        failures: workflow.failures,
-      };
+    const runData = await this.#store.findRunData(workflowId);
+    if (!runData) {
+      throw new WorkflowNotFound(workflowId);
     }
-    throw new WorkflowNotFound(workflowId);
+    return runData;
   }
 
   /**
@@ -472,196 +2771,241 @@ export class Bluestreak {
    * @throws {WorkflowNotFound} If the workflow doesn't exist
    */
   async #findStatusAndResult(workflowId) {
-    const workflow = await this.#workflows.findOne(
-      {
-        workflowId,
-      },
-      {
-        projection: {
-          _id: 0,
-          status: 1,
-          result: 1,
-        },
-      }
-    );
-    if (!workflow) {
+    const data = await this.#store.findStatusAndResult(workflowId);
+    if (!data) {
       throw new WorkflowNotFound(workflowId);
     }
-    return {
-      status: workflow.status,
-      result: workflow.result,
-    };
+    return data;
   }
 
   /**
-   * Atomically claims a workflow that is ready to run.
+   * Finds a schedule.
    *
-   * Looks for workflows with status "idle", "running", or "failed" that have
-   * timed out (timeoutAt < now), updates their status to "running" and sets
-   * a new timeout.
-   *
-   * @returns {Promise<string|undefined>} The workflow ID if claimed, undefined otherwise
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<Object>} The schedule document
+   * @throws {ScheduleNotFound} If the schedule doesn't exist
    */
-  async #claim() {
-    const now = new Date();
-    const timeoutAt = new Date(now.getTime() + this.#timeoutInterval);
-    const workflow = await this.#workflows.findOneAndUpdate(
-      {
-        status: { $in: ["idle", "running", "failed"] },
-        timeoutAt: { $lt: now },
-      },
-      {
-        $set: {
-          status: "running",
-          timeoutAt,
-        },
-      },
-      {
-        projection: {
-          _id: 0,
-          workflowId: 1,
-        },
-      }
-    );
-    return workflow?.workflowId;
+  async #findSchedule(scheduleId) {
+    const schedule = await this.#store.findSchedule(scheduleId);
+    if (!schedule) {
+      throw new ScheduleNotFound(scheduleId);
+    }
+    return schedule;
   }
 
   /**
-   * Marks a workflow as finished and stores its result.
+   * Claims the earliest due tick of the schedules defined on this instance
+   * and starts its workflow, unless the overlap policy skips it.
    *
-   * @param {string} workflowId - The workflow ID
-   * @param {any} result - The workflow result
-   * @returns {Promise<void>}
+   * The schedule is then advanced to its following tick, so that a worker
+   * that was down catches up on missed ticks one by one. If starting the
+   * workflow fails, the error is reported through errorCallback and the
+   * schedule is left claimed, so that the tick is retried once the lease
+   * times out.
+   *
+   * @returns {Promise<boolean>} True if a tick was claimed
    */
-  async #setAsFinished(workflowId, result) {
-    await this.#workflows.updateOne(
+  async #fireSchedule() {
+    if (this.#schedules.size === 0) {
+      return false;
+    }
+    const now = this.#clock.now();
+    const schedule = await this.#store.claimSchedule({
+      scheduleIds: [...this.#schedules.keys()],
+      now,
+      timeoutAt: new Date(now.getTime() + this.#timeoutInterval),
+      workerId: this.#workerId,
+    });
+    if (!schedule) {
+      return false;
+    }
+    const { scheduleId, nextFireAt: fireAt } = schedule;
+    const workflowId = `${scheduleId}@${fireAt.toISOString()}`;
+    let lastWorkflowId = schedule.lastWorkflowId;
+    try {
+      if (await this.#resolveOverlap(schedule, workflowId)) {
+        const { inputFactory } = this.#schedules.get(scheduleId);
+        await this.#create(
+          workflowId,
+          schedule.handlerId,
+          await inputFactory?.(fireAt),
+          null
+        );
+        lastWorkflowId = workflowId;
+      }
+    } catch (err) {
+      this.#reportError(workflowId, err);
+      return true;
+    }
+    await this.#store.advanceSchedule(
+      scheduleId,
       {
-        workflowId,
+        nextFireAt: new CronExpression(schedule.cronExpression).next(
+          fireAt,
+          schedule.timezone
+        ),
+        lastWorkflowId,
+        timeoutAt: fireAt,
       },
-      {
-        $set: {
-          status: "finished",
-          result,
-        },
-      }
+      schedule.leaseToken
     );
+    return true;
   }
 
   /**
-   * Updates the status, timeoutAt, and failure count of a workflow.
+   * Applies the overlap policy of a schedule when the workflow of its previous
+   * tick is not completed.
    *
-   * @param {string} workflowId - The workflow ID
-   * @param {string} status - The new status ("failed" or "aborted")
-   * @param {Date} timeoutAt - The new timeout timestamp
-   * @param {number} failures - The updated failure count
-   * @returns {Promise<void>}
+   * @param {Object} schedule - The claimed schedule document
+   * @param {string} workflowId - The ID of the workflow of the new tick
+   * @returns {Promise<boolean>} True if the workflow of the new tick should start
    */
-  async #updateStatus(workflowId, status, timeoutAt, failures) {
-    await this.#workflows.updateOne(
-      {
-        workflowId,
-      },
-      {
-        $set: {
-          status,
-          timeoutAt,
-          failures,
-        },
-      }
+  async #resolveOverlap(schedule, workflowId) {
+    if (!schedule.lastWorkflowId) {
+      return true;
+    }
+    const previous = await this.#store.findStatusAndResult(
+      schedule.lastWorkflowId
     );
+    if (!previous || FINAL_STATUSES.includes(previous.status)) {
+      return true;
+    }
+    if (schedule.overlapPolicy === "allow") {
+      return true;
+    }
+    if (schedule.overlapPolicy === "cancelPrevious") {
+      await this.cancel(schedule.lastWorkflowId, `superseded by ${workflowId}`);
+      return true;
+    }
+    return false;
   }
 
   /**
-   * Updates only the timeoutAt field of a workflow.
+   * Atomically claims a workflow that is ready to run.
    *
-   * @param {string} workflowId - The workflow ID
-   * @param {Date} timeoutAt - The new timeout timestamp
-   * @returns {Promise<void>}
+   * Looks for workflows with status "idle", "running", "failed", "waiting",
+   * "cancelling" or "compensating" whose handler version is registered on this
+   * instance and that have timed out (timeoutAt < now), updates their status
+   * to "running" (a "cancelling" workflow stays "cancelling" so that its
+   * handler throws WorkflowCancelled, and a "compensating" one stays
+   * "compensating" so that its steps are compensated), sets a new timeout,
+   * records the workerId and increments the lease token.
+   *
+   * A workflow started without a version matches any registered version of
+   * its handler until it is first claimed, which pins it to the latest one.
+   *
+   * Workflows with a higher priority are claimed first, then the ones that
+   * have been ready the longest. So that a backlog of high priority workflows
+   * can't starve the others, the priority a workflow is claimed with is
+   * raised by one for every priorityAgingInterval it has been ready for.
+   *
+   * @returns {Promise<{workflowId: string, leaseToken: number}|undefined>} The claimed workflow ID and lease token, undefined if none was claimed
    */
-  async #updateTimeoutAt(workflowId, timeoutAt) {
-    await this.#workflows.updateOne(
-      {
-        workflowId,
-      },
-      {
-        $set: {
-          timeoutAt,
-        },
+  async #claim() {
+    if (this.#handlers.size === 0) {
+      return undefined;
+    }
+    const now = this.#clock.now();
+    const timeoutAt = new Date(now.getTime() + this.#timeoutInterval);
+    const handlers = [];
+    for (const [handlerId, registrations] of this.#handlers) {
+      const versions = [...registrations.keys()];
+      if (versions.includes(DEFAULT_VERSION)) {
+        versions.push(null);
       }
-    );
+      handlers.push({ handlerId, versions });
+    }
+    const claimed = await this.#store.claim({
+      statuses: [
+        "idle",
+        "running",
+        "failed",
+        "waiting",
+        "cancelling",
+        "compensating",
+      ],
+      handlers,
+      now,
+      agingInterval:
+        this.#priorityAgingInterval === Infinity
+          ? null
+          : this.#priorityAgingInterval,
+      timeoutAt,
+      workerId: this.#workerId,
+    });
+    if (claimed) {
+      await this.#appendEvent(claimed.workflowId, "Claimed", {
+        workerId: this.#workerId,
+        leaseToken: claimed.leaseToken,
+      });
+    }
+    return claimed;
   }
 
   /**
-   * Inserts a step output into the steps collection using upsert.
-   *
-   * Uses $setOnInsert to make the operation idempotent - if the step already
-   * exists (from a previous attempt before crash), it won't be modified.
+   * Appends an event to the history of a workflow, timestamped with the
+   * current time.
    *
    * @param {string} workflowId - The workflow ID
-   * @param {string} stepId - The step ID
-   * @param {any} output - The step output to store
+   * @param {string} type - The type of the event, e.g. "Claimed"
+   * @param {Object} [details] - The fields specific to the type of the event
+   * @param {Object} [run] - The state of the run appending the event from its handler, whose lease the event is fenced with
    * @returns {Promise<void>}
+   * @throws {LeaseLost} If the run is given and another worker has claimed the workflow
    */
-  async #insertStep(workflowId, stepId, output) {
-    await this.#steps.updateOne(
+  async #appendEvent(workflowId, type, details = {}, run = null) {
+    const appended = await this.#store.insertEvent(
       {
         workflowId,
-        stepId,
-      },
-      {
-        $setOnInsert: {
-          workflowId,
-          stepId,
-          output,
-        },
+        type,
+        at: this.#clock.now(),
+        ...details,
       },
-      {
-        upsert: true,
-      }
+      run?.leaseToken
     );
+    if (run && !appended) {
+      throw this.#loseLease(workflowId, run);
+    }
   }
 
   /**
-   * Inserts a nap (sleep) into the naps collection using upsert.
+   * Describes an error for the history of a workflow.
    *
-   * Uses $setOnInsert to make the operation idempotent - if the nap already
-   * exists (from a previous attempt before crash), it won't be modified.
+   * @param {Error} err - The error
+   * @returns {{name: string, message: string}} The name and message of the error
+   */
+  #describeError(err) {
+    return { name: err?.name ?? "Error", message: err?.message ?? String(err) };
+  }
+
+  /**
+   * Describes the error of a failed run to be stored on its workflow.
    *
-   * @param {string} workflowId - The workflow ID
-   * @param {string} napId - The nap ID
-   * @param {Date} wakeUpAt - The time to wake up
-   * @returns {Promise<void>}
+   * @param {Error} err - The error thrown by the handler
+   * @param {Object} run - The state of the failed run, which knows the steps that threw
+   * @param {number} attempt - The failure count of the workflow, including this failure
+   * @param {Date} at - When the run failed
+   * @returns {Failure} The failure
    */
-  async #insertNap(workflowId, napId, wakeUpAt) {
-    await this.#naps.updateOne(
-      {
-        workflowId,
-        napId,
-      },
-      {
-        $setOnInsert: {
-          workflowId,
-          napId,
-          wakeUpAt,
-        },
-      },
-      {
-        upsert: true,
-      }
-    );
+  #describeFailure(err, run, attempt, at) {
+    const step = run.failedSteps.get(err);
+    return {
+      ...this.#describeError(err),
+      stack: err?.stack ?? null,
+      stepId: step?.stepId ?? null,
+      stepAttempt: step?.attempts ?? null,
+      attempt,
+      at,
+    };
   }
 
   /**
-   * Sleeps for a specified duration using setTimeout.
+   * Makes a waiting workflow claimable right away.
    *
-   * @param {number} pauseInterval - The duration to sleep in milliseconds
+   * @param {string} workflowId - The workflow ID
    * @returns {Promise<void>}
    */
-  async #goSleep(pauseInterval) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve();
-      }, pauseInterval);
-    });
+  async #wake(workflowId) {
+    await this.#store.wake(workflowId, this.#clock.now());
   }
 }
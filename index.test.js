@@ -1,24 +1,68 @@
 import { jest } from "@jest/globals";
 
-// Mock MongoDB - need separate collections for workflows, steps, and naps
+// Mock MongoDB - need separate collections for workflows, steps, naps, signals, events and schedules, and archives
 const mockWorkflowsCollection = {
   insertOne: jest.fn(),
   findOne: jest.fn(),
   findOneAndUpdate: jest.fn(),
   updateOne: jest.fn(),
   createIndex: jest.fn(),
+  find: jest.fn(),
+  aggregate: jest.fn(),
+  deleteOne: jest.fn(),
 };
 
 const mockStepsCollection = {
   insertOne: jest.fn(),
   findOne: jest.fn(),
+  find: jest.fn(),
   updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
   createIndex: jest.fn(),
+  countDocuments: jest.fn(),
 };
 
 const mockNapsCollection = {
   insertOne: jest.fn(),
   findOne: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+  createIndex: jest.fn(),
+  countDocuments: jest.fn(),
+};
+
+const mockSignalsCollection = {
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+  createIndex: jest.fn(),
+};
+
+const mockEventsCollection = {
+  insertOne: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+  createIndex: jest.fn(),
+};
+
+const mockArchiveCollections = Object.fromEntries(
+  ["workflows", "steps", "naps", "signals", "events"].map((name) => [
+    `${name}_archive`,
+    { bulkWrite: jest.fn() },
+  ])
+);
+
+const mockSchedulesCollection = {
+  insertOne: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
   updateOne: jest.fn(),
   createIndex: jest.fn(),
 };
@@ -28,6 +72,10 @@ const mockDb = {
     if (name === "workflows") return mockWorkflowsCollection;
     if (name === "steps") return mockStepsCollection;
     if (name === "naps") return mockNapsCollection;
+    if (name === "signals") return mockSignalsCollection;
+    if (name === "events") return mockEventsCollection;
+    if (name === "schedules") return mockSchedulesCollection;
+    if (name in mockArchiveCollections) return mockArchiveCollections[name];
     throw new Error(`Unknown collection: ${name}`);
   }),
 };
@@ -69,9 +117,42 @@ global.setTimeout = jest.fn((fn) => {
   return 1;
 });
 
+// Lets fire-and-forget workflow runs settle (setTimeout is mocked above)
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+// The update recording a failed run with the given fields
+const failedRunUpdate = (fields, attempt = fields.failures) => {
+  const failure = expect.objectContaining({
+    attempt,
+    at: expect.any(Date),
+  });
+  return {
+    $set: { ...fields, lastFailure: failure },
+    $push: { failureHistory: { $each: [failure], $slice: -10 } },
+  };
+};
+
+// The filter fencing a step, nap or signal wait write by a lease token
+const fencedBy = (leaseToken) => ({ $not: { $gt: leaseToken } });
+
 // Import after mocking
-const { Bluestreak, WorkflowNotFound, HandlerNotFound, WaitTimeout } =
-  await import("./index.js");
+const {
+  Bluestreak,
+  WorkflowNotFound,
+  HandlerNotFound,
+  WaitTimeout,
+  SignalTimeout,
+  ChildWorkflowFailed,
+  WorkflowCancelled,
+  LeaseLost,
+  NonDeterminismError,
+  ScheduleNotFound,
+  StepNotFound,
+  StepNotResettable,
+  StepTimeout,
+  InvalidCronExpression,
+  MemoryStore,
+} = await import("./index.js");
 
 describe("Bluestreak", () => {
   let bluestreak;
@@ -86,17 +167,59 @@ describe("Bluestreak", () => {
     mockWorkflowsCollection.insertOne.mockResolvedValue({ acknowledged: true });
     mockWorkflowsCollection.findOne.mockResolvedValue(null);
     mockWorkflowsCollection.findOneAndUpdate.mockResolvedValue(null);
-    mockWorkflowsCollection.updateOne.mockResolvedValue({ acknowledged: true });
+    mockWorkflowsCollection.updateOne.mockResolvedValue({
+      acknowledged: true,
+      matchedCount: 1,
+    });
+    mockWorkflowsCollection.find.mockReturnValue({
+      toArray: jest.fn().mockResolvedValue([]),
+    });
+    mockWorkflowsCollection.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    // Claims rank a single candidate, findOneAndUpdate decides if it is claimed
+    mockWorkflowsCollection.aggregate.mockReturnValue({
+      toArray: jest.fn().mockResolvedValue([{ workflowId: "workflow-1" }]),
+    });
 
     // Setup default mock behaviors for steps collection
     mockStepsCollection.createIndex.mockResolvedValue(undefined);
     mockStepsCollection.findOne.mockResolvedValue(null);
     mockStepsCollection.updateOne.mockResolvedValue({ acknowledged: true });
+    mockStepsCollection.updateMany.mockResolvedValue({ acknowledged: true });
+    mockStepsCollection.deleteMany.mockResolvedValue({ acknowledged: true });
 
     // Setup default mock behaviors for naps collection
     mockNapsCollection.createIndex.mockResolvedValue(undefined);
     mockNapsCollection.findOne.mockResolvedValue(null);
     mockNapsCollection.updateOne.mockResolvedValue({ acknowledged: true });
+    mockNapsCollection.updateMany.mockResolvedValue({ acknowledged: true });
+    mockNapsCollection.deleteMany.mockResolvedValue({ acknowledged: true });
+
+    // Setup default mock behaviors for signals collection
+    mockSignalsCollection.createIndex.mockResolvedValue(undefined);
+    mockSignalsCollection.findOne.mockResolvedValue(null);
+    mockSignalsCollection.updateOne.mockResolvedValue({ acknowledged: true });
+    mockSignalsCollection.updateMany.mockResolvedValue({ acknowledged: true });
+    mockSignalsCollection.deleteMany.mockResolvedValue({ acknowledged: true });
+
+    // Setup default mock behaviors for events collection
+    mockEventsCollection.createIndex.mockResolvedValue(undefined);
+    mockEventsCollection.insertOne.mockResolvedValue({ acknowledged: true });
+    mockEventsCollection.updateOne.mockResolvedValue({
+      acknowledged: true,
+      matchedCount: 0,
+    });
+    mockEventsCollection.updateMany.mockResolvedValue({ acknowledged: true });
+    mockEventsCollection.deleteMany.mockResolvedValue({ acknowledged: true });
+
+    // Setup default mock behaviors for schedules collection
+    mockSchedulesCollection.createIndex.mockResolvedValue(undefined);
+    mockSchedulesCollection.insertOne.mockResolvedValue({ acknowledged: true });
+    mockSchedulesCollection.findOne.mockResolvedValue(null);
+    mockSchedulesCollection.findOneAndUpdate.mockResolvedValue(null);
+    mockSchedulesCollection.updateOne.mockResolvedValue({
+      acknowledged: true,
+      matchedCount: 1,
+    });
 
     // Create instance
     bluestreak = new Bluestreak({
@@ -133,10 +256,95 @@ describe("Bluestreak", () => {
       expect(error.workflowId).toBe("workflow-789");
       expect(error).toBeInstanceOf(Error);
     });
+
+    test("SignalTimeout error", () => {
+      const error = new SignalTimeout("workflow-1", "approval");
+      expect(error.name).toBe("SignalTimeout");
+      expect(error.message).toBe("signal timeout: workflow-1/approval");
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error.signalName).toBe("approval");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("ChildWorkflowFailed error", () => {
+      const error = new ChildWorkflowFailed("child-1");
+      expect(error.name).toBe("ChildWorkflowFailed");
+      expect(error.message).toBe("child workflow failed: child-1");
+      expect(error.workflowId).toBe("child-1");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("WorkflowCancelled error", () => {
+      const error = new WorkflowCancelled("workflow-1", "no longer needed");
+      expect(error.name).toBe("WorkflowCancelled");
+      expect(error.message).toBe("workflow cancelled: workflow-1");
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error.reason).toBe("no longer needed");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("LeaseLost error", () => {
+      const error = new LeaseLost("workflow-1");
+      expect(error.name).toBe("LeaseLost");
+      expect(error.message).toBe("lease lost: workflow-1");
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("NonDeterminismError error", () => {
+      const error = new NonDeterminismError(
+        "workflow-1",
+        'step "a" called twice'
+      );
+      expect(error.name).toBe("NonDeterminismError");
+      expect(error.message).toBe(
+        'non-determinism: workflow-1 (step "a" called twice)'
+      );
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error.reason).toBe('step "a" called twice');
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("ScheduleNotFound error", () => {
+      const error = new ScheduleNotFound("schedule-1");
+      expect(error.name).toBe("ScheduleNotFound");
+      expect(error.message).toBe("schedule not found: schedule-1");
+      expect(error.scheduleId).toBe("schedule-1");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("StepNotFound error", () => {
+      const error = new StepNotFound("workflow-1", "charge");
+      expect(error.name).toBe("StepNotFound");
+      expect(error.message).toBe("step not found: workflow-1/charge");
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error.stepId).toBe("charge");
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("StepTimeout error", () => {
+      const error = new StepTimeout("workflow-1", "charge", 5000);
+      expect(error.name).toBe("StepTimeout");
+      expect(error.message).toBe("step timeout: workflow-1/charge");
+      expect(error.workflowId).toBe("workflow-1");
+      expect(error.stepId).toBe("charge");
+      expect(error.timeoutMs).toBe(5000);
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    test("InvalidCronExpression error", () => {
+      const error = new InvalidCronExpression("* *", "expected 5 fields");
+      expect(error.name).toBe("InvalidCronExpression");
+      expect(error.message).toBe(
+        "invalid cron expression: * * (expected 5 fields)"
+      );
+      expect(error.expression).toBe("* *");
+      expect(error).toBeInstanceOf(Error);
+    });
   });
 
   describe("Initialization", () => {
-    test("should initialize MongoDB connection with three collections", async () => {
+    test("should initialize MongoDB connection with six collections", async () => {
       await bluestreak.init();
 
       expect(MockMongoClient).toHaveBeenCalledWith("mongodb://localhost:27017");
@@ -144,6 +352,9 @@ describe("Bluestreak", () => {
       expect(mockDb.collection).toHaveBeenCalledWith("workflows");
       expect(mockDb.collection).toHaveBeenCalledWith("steps");
       expect(mockDb.collection).toHaveBeenCalledWith("naps");
+      expect(mockDb.collection).toHaveBeenCalledWith("signals");
+      expect(mockDb.collection).toHaveBeenCalledWith("events");
+      expect(mockDb.collection).toHaveBeenCalledWith("schedules");
 
       // Check workflows collection indexes
       expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith(
@@ -152,8 +363,29 @@ describe("Bluestreak", () => {
       );
       expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith({
         status: 1,
+        handlerId: 1,
+        timeoutAt: 1,
+      });
+      expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith({
+        status: 1,
+        handlerId: 1,
+        priority: -1,
         timeoutAt: 1,
       });
+      expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith({
+        parentId: 1,
+      });
+      expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith({
+        createdAt: -1,
+        workflowId: -1,
+      });
+      for (const field of ["status", "handlerId", "tags"]) {
+        expect(mockWorkflowsCollection.createIndex).toHaveBeenCalledWith({
+          [field]: 1,
+          createdAt: -1,
+          workflowId: -1,
+        });
+      }
 
       // Check steps collection index
       expect(mockStepsCollection.createIndex).toHaveBeenCalledWith(
@@ -166,6 +398,42 @@ describe("Bluestreak", () => {
         { workflowId: 1, napId: 1 },
         { unique: true }
       );
+
+      // Check signals collection index
+      expect(mockSignalsCollection.createIndex).toHaveBeenCalledWith(
+        { workflowId: 1, signalName: 1 },
+        { unique: true }
+      );
+
+      // Check events collection index
+      expect(mockEventsCollection.createIndex).toHaveBeenCalledWith({
+        workflowId: 1,
+        at: 1,
+      });
+
+      // Check TTL indexes of completed workflows
+      for (const collection of [
+        mockWorkflowsCollection,
+        mockStepsCollection,
+        mockNapsCollection,
+        mockSignalsCollection,
+        mockEventsCollection,
+      ]) {
+        expect(collection.createIndex).toHaveBeenCalledWith(
+          { expireAt: 1 },
+          { expireAfterSeconds: 0 }
+        );
+      }
+
+      // Check schedules collection indexes
+      expect(mockSchedulesCollection.createIndex).toHaveBeenCalledWith(
+        { scheduleId: 1 },
+        { unique: true }
+      );
+      expect(mockSchedulesCollection.createIndex).toHaveBeenCalledWith({
+        paused: 1,
+        nextFireAt: 1,
+      });
     });
 
     test("should use default parameters when not provided", () => {
@@ -181,6 +449,13 @@ describe("Bluestreak", () => {
       expect(params.pollInterval).toBe(5000);
       expect(params.waitRetryInterval).toBe(1000);
       expect(params.maxFailures).toBeUndefined();
+      expect(params.nonDeterminism).toBe("fail");
+      expect(params.retryPolicy).toEqual({});
+      expect(params.priorityAgingInterval).toBe(60000);
+      expect(params.workerId).toEqual(expect.any(String));
+      expect(params.workerId).not.toBe(
+        new Bluestreak({ shouldStop: () => false }).getParams().workerId
+      );
     });
 
     test("should use provided parameters", () => {
@@ -191,6 +466,8 @@ describe("Bluestreak", () => {
         pollInterval: 3000,
         waitRetryInterval: 2000,
         maxFailures: 5,
+        nonDeterminism: "warn",
+        workerId: "worker-1",
         shouldStop: () => false,
       });
 
@@ -202,6 +479,27 @@ describe("Bluestreak", () => {
       expect(params.pollInterval).toBe(3000);
       expect(params.waitRetryInterval).toBe(2000);
       expect(params.maxFailures).toBe(5);
+      expect(params.nonDeterminism).toBe("warn");
+      expect(params.workerId).toBe("worker-1");
+    });
+
+    test("should use a provided store instead of MongoDB", async () => {
+      const store = new MemoryStore();
+      const customBluestreak = new Bluestreak({
+        store,
+        shouldStop: () => false,
+      });
+
+      await customBluestreak.init();
+      await customBluestreak.start("workflow-1", "handler-1", { a: 1 });
+      await customBluestreak.close();
+
+      expect(MockMongoClient).not.toHaveBeenCalled();
+      expect(await store.findWorkflow("workflow-1")).toMatchObject({
+        handlerId: "handler-1",
+        input: { a: 1 },
+        status: "idle",
+      });
     });
 
     test("should close MongoDB connection", async () => {
@@ -236,11 +534,44 @@ describe("Bluestreak", () => {
       expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith({
         workflowId: "workflow-1",
         handlerId: "handler-1",
+        version: null,
         input: { data: "test" },
+        parentId: null,
+        priority: 0,
+        tags: [],
         failures: 0,
         status: "idle",
         timeoutAt: new Date(mockTime),
+        createdAt: new Date(mockTime),
+      });
+    });
+
+    test("should store the priority of a workflow", async () => {
+      await bluestreak.start("workflow-1", "handler-1", null, { priority: 5 });
+
+      expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ workflowId: "workflow-1", priority: 5 })
+      );
+    });
+
+    test("should schedule a workflow at startAt", async () => {
+      const startAt = new Date(mockTime + 60000);
+
+      await bluestreak.start("workflow-1", "handler-1", null, { startAt });
+
+      expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "idle", timeoutAt: startAt })
+      );
+    });
+
+    test("should schedule a workflow after delayMs", async () => {
+      await bluestreak.start("workflow-1", "handler-1", null, {
+        delayMs: 5000,
       });
+
+      expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ timeoutAt: new Date(mockTime + 5000) })
+      );
     });
 
     test("should return false on duplicate workflow", async () => {
@@ -294,132 +625,325 @@ describe("Bluestreak", () => {
     });
   });
 
-  describe("findStep", () => {
+  describe("findChildren", () => {
     beforeEach(async () => {
       await bluestreak.init();
     });
 
-    test("should find step by workflowId and stepId", async () => {
-      const mockStep = {
-        workflowId: "workflow-1",
-        stepId: "step-1",
-        output: "result",
-      };
-      mockStepsCollection.findOne.mockResolvedValue(mockStep);
-
-      const result = await bluestreak.findStep("workflow-1", "step-1");
-
-      expect(result).toEqual(mockStep);
-      expect(mockStepsCollection.findOne).toHaveBeenCalledWith({
-        workflowId: "workflow-1",
-        stepId: "step-1",
+    test("should find child workflows by parentId", async () => {
+      const children = [{ workflowId: "child-1", parentId: "workflow-1" }];
+      mockWorkflowsCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue(children),
       });
-    });
-
-    test("should return null if step not found", async () => {
-      mockStepsCollection.findOne.mockResolvedValue(null);
 
-      const result = await bluestreak.findStep("workflow-1", "step-1");
+      const result = await bluestreak.findChildren("workflow-1");
 
-      expect(result).toBe(null);
+      expect(result).toEqual(children);
+      expect(mockWorkflowsCollection.find).toHaveBeenCalledWith({
+        parentId: "workflow-1",
+      });
     });
   });
 
-  describe("findNap", () => {
+  describe("listWorkflows", () => {
+    let cursor;
+
     beforeEach(async () => {
       await bluestreak.init();
-    });
-
-    test("should find nap by workflowId and napId", async () => {
-      const mockNap = {
-        workflowId: "workflow-1",
-        napId: "nap-1",
-        wakeUpAt: new Date(),
+      cursor = {
+        sort: jest.fn(() => cursor),
+        limit: jest.fn(() => cursor),
+        toArray: jest.fn(),
       };
-      mockNapsCollection.findOne.mockResolvedValue(mockNap);
-
-      const result = await bluestreak.findNap("workflow-1", "nap-1");
-
-      expect(result).toEqual(mockNap);
-      expect(mockNapsCollection.findOne).toHaveBeenCalledWith({
-        workflowId: "workflow-1",
-        napId: "nap-1",
-      });
+      mockWorkflowsCollection.find.mockReturnValue(cursor);
     });
 
-    test("should return null if nap not found", async () => {
-      mockNapsCollection.findOne.mockResolvedValue(null);
+    test("should list a page of matching workflows, newest first", async () => {
+      const workflows = [
+        { workflowId: "workflow-3", createdAt: new Date(3000) },
+        { workflowId: "workflow-2", createdAt: new Date(2000) },
+        { workflowId: "workflow-1", createdAt: new Date(2000) },
+      ];
+      cursor.toArray.mockResolvedValue(workflows);
 
-      const result = await bluestreak.findNap("workflow-1", "nap-1");
+      const page = await bluestreak.listWorkflows({
+        status: ["running", "waiting"],
+        handlerId: "handler-1",
+        createdAfter: new Date(1000),
+        createdBefore: new Date(4000),
+        tags: ["tenant:a"],
+        limit: 2,
+      });
 
-      expect(result).toBe(null);
+      expect(page.workflows).toEqual(workflows.slice(0, 2));
+      expect(page.cursor).toEqual(expect.any(String));
+      expect(mockWorkflowsCollection.find).toHaveBeenCalledWith({
+        status: { $in: ["running", "waiting"] },
+        handlerId: { $in: ["handler-1"] },
+        tags: { $all: ["tenant:a"] },
+        createdAt: { $gt: new Date(1000), $lt: new Date(4000) },
+      });
+      expect(cursor.sort).toHaveBeenCalledWith({
+        createdAt: -1,
+        workflowId: -1,
+      });
+      expect(cursor.limit).toHaveBeenCalledWith(3);
     });
-  });
 
-  describe("wait", () => {
-    beforeEach(async () => {
-      await bluestreak.init();
-    });
+    test("should list the workflows after a cursor", async () => {
+      cursor.toArray.mockResolvedValueOnce([
+        { workflowId: "workflow-2", createdAt: new Date(2000) },
+        { workflowId: "workflow-1", createdAt: new Date(2000) },
+      ]);
+      cursor.toArray.mockResolvedValueOnce([
+        { workflowId: "workflow-1", createdAt: new Date(2000) },
+      ]);
+      const first = await bluestreak.listWorkflows({ limit: 1 });
+
+      const second = await bluestreak.listWorkflows({
+        limit: 1,
+        cursor: first.cursor,
+      });
 
-    test("should return result when workflow is finished", async () => {
-      mockWorkflowsCollection.findOne.mockResolvedValue({
-        status: "finished",
-        result: { success: true },
+      expect(second.cursor).toBeNull();
+      expect(mockWorkflowsCollection.find).toHaveBeenLastCalledWith({
+        $or: [
+          { createdAt: { $lt: new Date(2000) } },
+          { createdAt: new Date(2000), workflowId: { $lt: "workflow-2" } },
+          { createdAt: null },
+        ],
       });
+    });
 
-      const result = await bluestreak.wait("workflow-1", 3, 100);
+    test("should page through workflows stored without a creation time", async () => {
+      cursor.toArray.mockResolvedValueOnce([
+        { workflowId: "workflow-2" },
+        { workflowId: "workflow-1" },
+      ]);
+      cursor.toArray.mockResolvedValueOnce([]);
+      const first = await bluestreak.listWorkflows({ limit: 1 });
 
-      expect(result).toEqual({ success: true });
-      expect(mockWorkflowsCollection.findOne).toHaveBeenCalled();
-    });
+      await bluestreak.listWorkflows({ cursor: first.cursor });
 
-    test("should throw WaitTimeout after retries", async () => {
-      mockWorkflowsCollection.findOne.mockResolvedValue({
-        status: "running",
-        result: null,
+      expect(mockWorkflowsCollection.find).toHaveBeenLastCalledWith({
+        $or: [{ createdAt: null, workflowId: { $lt: "workflow-2" } }],
       });
-
-      await expect(bluestreak.wait("workflow-1", 3, 100)).rejects.toThrow(
-        WaitTimeout
-      );
-      expect(mockWorkflowsCollection.findOne.mock.calls.length).toBe(3);
+      expect(cursor.limit).toHaveBeenLastCalledWith(101);
     });
 
-    test("should throw WorkflowNotFound for non-existent workflow", async () => {
-      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+    test("should reject a limit that isn't a positive integer", async () => {
+      cursor.toArray.mockResolvedValue([{ workflowId: "workflow-1" }]);
 
-      await expect(bluestreak.wait("workflow-1", 3, 100)).rejects.toThrow(
-        WorkflowNotFound
-      );
+      for (const limit of [0, -1, 1.5, "10"]) {
+        await expect(bluestreak.listWorkflows({ limit })).rejects.toThrow(
+          RangeError
+        );
+      }
+      expect(mockWorkflowsCollection.find).not.toHaveBeenCalled();
     });
   });
 
-  describe("poll", () => {
+  describe("countWorkflows", () => {
     beforeEach(async () => {
       await bluestreak.init();
     });
 
-    test("should stop when shouldStop returns true", async () => {
+    test("should count matching workflows by handler and status", async () => {
+      mockWorkflowsCollection.aggregate.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([
+          { _id: { handlerId: "handler-1", status: "failed" }, count: 2 },
+          { _id: { handlerId: "handler-1", status: "idle" }, count: 5 },
+        ]),
+      });
+
+      const groups = await bluestreak.countWorkflows({ tags: ["tenant:a"] });
+
+      expect(groups).toEqual([
+        { handlerId: "handler-1", status: "failed", count: 2 },
+        { handlerId: "handler-1", status: "idle", count: 5 },
+      ]);
+      expect(mockWorkflowsCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { tags: { $all: ["tenant:a"] } } },
+        {
+          $group: {
+            _id: { handlerId: "$handlerId", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { "_id.handlerId": 1, "_id.status": 1 } },
+      ]);
+    });
+  });
+
+  describe("history", () => {
+    // Events appended by runs are upserted, the others inserted
+    const events = () =>
+      [
+        ...mockEventsCollection.insertOne.mock.calls.map(([event], index) => [
+          mockEventsCollection.insertOne.mock.invocationCallOrder[index],
+          event,
+        ]),
+        ...mockEventsCollection.updateOne.mock.calls.map(
+          ([, { $setOnInsert }], index) => [
+            mockEventsCollection.updateOne.mock.invocationCallOrder[index],
+            $setOnInsert,
+          ]
+        ),
+      ]
+        .sort(([a], [b]) => a - b)
+        .map(([, event]) => event);
+
+    /**
+     * Polls once with a bluestreak that claims workflow-1 with lease token 1.
+     *
+     * @param {Function} handler - The handler of workflow-1
+     * @param {Object} [params] - Extra Bluestreak parameters
+     */
+    const runOnce = async (handler, params = {}) => {
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
         dbName: "test-db",
+        workerId: "worker-1",
         shouldStop: () => {
           callCount++;
-          return callCount > 1;
+          return callCount > 2;
         },
-        pollInterval: 5000,
+        ...params,
       });
       await bluestreak.init();
+      bluestreak.registerHandler("handler-1", handler);
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "handler-1",
+        version: 1,
+        input: {},
+        failures: 0,
+        parentId: null,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1", leaseToken: 1 })
+        .mockResolvedValue(null);
+      await bluestreak.poll();
+      await flushPromises();
+    };
 
-      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValue(null);
+    test("should record the start of a workflow", async () => {
+      await bluestreak.init();
 
-      await bluestreak.poll();
+      await bluestreak.start("workflow-1", "handler-1", {}, { delayMs: 5000 });
+      mockWorkflowsCollection.insertOne.mockRejectedValueOnce(
+        Object.assign(new Error("duplicate"), {
+          name: "MongoServerError",
+          code: 11000,
+        })
+      );
+      await bluestreak.start("workflow-1", "handler-1", {});
 
-      expect(callCount).toBeGreaterThan(1);
+      expect(events()).toEqual([
+        {
+          workflowId: "workflow-1",
+          type: "WorkflowStarted",
+          at: new Date(mockTime),
+          handlerId: "handler-1",
+          version: null,
+          parentId: null,
+          startAt: new Date(mockTime + 5000),
+        },
+      ]);
     });
 
-    test("should claim and run workflows", async () => {
+    test("should record claims, step attempts and completion", async () => {
+      let attempts = 0;
+      await runOnce(async (ctx) => {
+        return await ctx.step(
+          "step-1",
+          async () => {
+            if (++attempts === 1) {
+              throw new TypeError("flaky");
+            }
+            return "ok";
+          },
+          { retries: 1 }
+        );
+      });
+
+      expect(events()).toEqual([
+        {
+          workflowId: "workflow-1",
+          type: "Claimed",
+          at: new Date(mockTime),
+          workerId: "worker-1",
+          leaseToken: 1,
+        },
+        {
+          workflowId: "workflow-1",
+          type: "AttemptFailed",
+          at: new Date(mockTime),
+          stepId: "step-1",
+          attempts: 1,
+          error: { name: "TypeError", message: "flaky" },
+        },
+        {
+          workflowId: "workflow-1",
+          type: "StepCompleted",
+          at: new Date(mockTime),
+          stepId: "step-1",
+          attempts: 2,
+        },
+        { workflowId: "workflow-1", type: "Finished", at: new Date(mockTime) },
+      ]);
+    });
+
+    test("should record failed runs and aborts", async () => {
+      await runOnce(
+        async () => {
+          throw "not an error";
+        },
+        { maxFailures: 0, errorCallback: jest.fn() }
+      );
+
+      expect(events().slice(1)).toEqual([
+        {
+          workflowId: "workflow-1",
+          type: "AttemptFailed",
+          at: new Date(mockTime),
+          failures: 1,
+          error: { name: "Error", message: "not an error" },
+        },
+        {
+          workflowId: "workflow-1",
+          type: "Aborted",
+          at: new Date(mockTime),
+          failures: 1,
+        },
+      ]);
+    });
+
+    test("should read the history of a workflow", async () => {
+      await bluestreak.init();
+      const history = [{ workflowId: "workflow-1", type: "Finished" }];
+      const cursor = {
+        sort: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue(history),
+      };
+      mockEventsCollection.find.mockReturnValue(cursor);
+
+      expect(await bluestreak.getHistory("workflow-1")).toEqual(history);
+      expect(mockEventsCollection.find).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { projection: { _id: 0 } }
+      );
+      expect(cursor.sort).toHaveBeenCalledWith({ at: 1, _id: 1 });
+    });
+  });
+
+  describe("failure details", () => {
+    /**
+     * Polls once with a bluestreak that claims workflow-1 with lease token 1.
+     *
+     * @param {Function} handler - The handler of workflow-1
+     */
+    const runOnce = async (handler) => {
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
@@ -428,62 +952,3166 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
-        pollInterval: 5000,
+        errorCallback: jest.fn(),
       });
       await bluestreak.init();
-
-      const handler = jest.fn(async () => "result");
-      bluestreak.registerHandler("test-handler", handler);
-
+      bluestreak.registerHandler("handler-1", handler);
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "handler-1",
+        version: 1,
+        input: {},
+        failures: 2,
+        parentId: null,
+      });
       mockWorkflowsCollection.findOneAndUpdate
-        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValueOnce({ workflowId: "workflow-1", leaseToken: 1 })
         .mockResolvedValue(null);
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    test("should store the failure of a step on the workflow", async () => {
+      const error = new RangeError("out of stock");
+      await runOnce(async (ctx) => {
+        await ctx.step("reserve", async () => {
+          throw error;
+        });
+      });
+
+      const failure = {
+        name: "RangeError",
+        message: "out of stock",
+        stack: error.stack,
+        stepId: "reserve",
+        stepAttempt: 1,
+        attempt: 3,
+        at: new Date(mockTime),
+      };
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        {
+          $set: {
+            status: "failed",
+            timeoutAt: new Date(mockTime + 1000),
+            failures: 3,
+            lastFailure: failure,
+          },
+          $push: { failureHistory: { $each: [failure], $slice: -10 } },
+        }
+      );
+    });
+
+    test("should not attribute errors thrown by the handler to a step", async () => {
+      await runOnce(async (ctx) => {
+        try {
+          await ctx.step("reserve", async () => {
+            throw new Error("out of stock");
+          });
+        } catch {
+          throw new Error("nothing reserved");
+        }
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            lastFailure: expect.objectContaining({
+              message: "nothing reserved",
+              stepId: null,
+              stepAttempt: null,
+            }),
+          }),
+        })
+      );
+    });
+
+    test("should read the failures of a workflow", async () => {
+      await bluestreak.init();
+      const failure = { name: "Error", message: "boom", attempt: 1 };
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        lastFailure: failure,
+        failureHistory: [failure],
+      });
+
+      expect(await bluestreak.getFailure("workflow-1")).toEqual({
+        lastFailure: failure,
+        failureHistory: [failure],
+      });
+      expect(mockWorkflowsCollection.findOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { projection: { _id: 0, lastFailure: 1, failureHistory: 1 } }
+      );
+    });
+
+    test("should read no failures of a workflow that never failed", async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({});
+
+      expect(await bluestreak.getFailure("workflow-1")).toEqual({
+        lastFailure: null,
+        failureHistory: [],
+      });
+    });
+
+    test("should throw WorkflowNotFound for a non-existent workflow", async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce(null);
+
+      await expect(bluestreak.getFailure("workflow-1")).rejects.toThrow(
+        WorkflowNotFound
+      );
+    });
+  });
+
+  describe("retention", () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Polls once with a bluestreak that claims workflow-1 with lease token 1.
+     *
+     * @param {Function} handler - The handler of workflow-1
+     * @param {import("./index.js").HandlerOptions} [options] - Handler options
+     */
+    const runOnce = async (handler, options) => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        maxFailures: 0,
+        retention: { finished: 7 * DAY, aborted: 30 * DAY },
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("handler-1", handler, options);
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "handler-1",
+        version: 1,
+        input: {},
+        failures: 0,
+        parentId: null,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1", leaseToken: 1 })
+        .mockResolvedValue(null);
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    test("should stamp completed workflows and their records with an expiry", async () => {
+      await runOnce(async () => "done");
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        {
+          $set: {
+            completedAt: new Date(mockTime),
+            expireAt: new Date(mockTime + 7 * DAY),
+          },
+        }
+      );
+      for (const collection of [
+        mockStepsCollection,
+        mockNapsCollection,
+        mockSignalsCollection,
+        mockEventsCollection,
+      ]) {
+        expect(collection.updateMany).toHaveBeenCalledWith(
+          { workflowId: "workflow-1" },
+          { $set: { expireAt: new Date(mockTime + 7 * DAY) } }
+        );
+      }
+    });
+
+    test("should apply the retention of the handler", async () => {
+      await runOnce(
+        async () => {
+          throw new Error("failed");
+        },
+        { retention: { aborted: DAY } }
+      );
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        {
+          $set: {
+            completedAt: new Date(mockTime),
+            expireAt: new Date(mockTime + DAY),
+          },
+        }
+      );
+    });
+
+    test("should keep workflows of statuses without a retention", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "idle",
+        handlerId: "handler-1",
+        version: 1,
+        parentId: null,
+      });
+      mockWorkflowsCollection.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      await bluestreak.init();
+
+      await bluestreak.cancel("workflow-1");
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { completedAt: new Date(mockTime), expireAt: null } }
+      );
+    });
+
+    test("should purge completed workflows and their records", async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest
+          .fn()
+          .mockResolvedValue([
+            { workflowId: "workflow-2" },
+            { workflowId: "workflow-1" },
+          ]),
+      });
+      mockWorkflowsCollection.deleteOne
+        .mockResolvedValueOnce({ deletedCount: 1 })
+        .mockResolvedValueOnce({ deletedCount: 0 });
+
+      const count = await bluestreak.purge({ handlerId: "handler-1" });
+
+      expect(count).toBe(1);
+      expect(mockWorkflowsCollection.find).toHaveBeenCalledWith({
+        status: { $in: ["finished", "aborted", "cancelled", "compensated"] },
+        handlerId: { $in: ["handler-1"] },
+      });
+      expect(mockWorkflowsCollection.deleteOne).toHaveBeenCalledWith({
+        workflowId: "workflow-2",
+        status: { $in: ["finished", "aborted", "cancelled", "compensated"] },
+      });
+      for (const collection of [
+        mockStepsCollection,
+        mockNapsCollection,
+        mockSignalsCollection,
+        mockEventsCollection,
+      ]) {
+        expect(collection.deleteMany).toHaveBeenCalledTimes(1);
+        expect(collection.deleteMany).toHaveBeenCalledWith({
+          workflowId: "workflow-2",
+        });
+      }
+      expect(
+        mockArchiveCollections.workflows_archive.bulkWrite
+      ).not.toHaveBeenCalled();
+    });
+
+    test("should archive purged workflows first", async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue([{ workflowId: "workflow-1" }]),
+      });
+      const workflow = { _id: "w1", workflowId: "workflow-1" };
+      const step = { _id: "s1", workflowId: "workflow-1", stepId: "a" };
+      mockWorkflowsCollection.findOne.mockResolvedValue(workflow);
+      for (const collection of [
+        mockStepsCollection,
+        mockNapsCollection,
+        mockSignalsCollection,
+        mockEventsCollection,
+      ]) {
+        collection.find.mockReturnValue({
+          toArray: jest
+            .fn()
+            .mockResolvedValue(
+              collection === mockStepsCollection ? [step] : []
+            ),
+        });
+      }
+
+      const count = await bluestreak.purge({}, { archive: true });
+
+      expect(count).toBe(1);
+      expect(
+        mockArchiveCollections.workflows_archive.bulkWrite
+      ).toHaveBeenCalledWith([
+        {
+          replaceOne: {
+            filter: { _id: "w1" },
+            replacement: workflow,
+            upsert: true,
+          },
+        },
+      ]);
+      expect(
+        mockArchiveCollections.steps_archive.bulkWrite
+      ).toHaveBeenCalledWith([
+        {
+          replaceOne: {
+            filter: { _id: "s1" },
+            replacement: step,
+            upsert: true,
+          },
+        },
+      ]);
+      expect(
+        mockArchiveCollections.naps_archive.bulkWrite
+      ).not.toHaveBeenCalled();
+      expect(mockStepsCollection.deleteMany).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+      });
+    });
+
+    test("should not purge a workflow that is no longer completed", async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue([{ workflowId: "workflow-1" }]),
+      });
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      expect(await bluestreak.purge({}, { archive: true })).toBe(0);
+      expect(mockWorkflowsCollection.deleteOne).not.toHaveBeenCalled();
+      expect(mockStepsCollection.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("listSteps and listNaps", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should list the steps and naps of a workflow in creation order", async () => {
+      const steps = [{ workflowId: "workflow-1", stepId: "step-1" }];
+      const naps = [{ workflowId: "workflow-1", napId: "nap-1" }];
+      const stepsCursor = {
+        sort: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue(steps),
+      };
+      const napsCursor = {
+        sort: jest.fn().mockReturnThis(),
+        toArray: jest.fn().mockResolvedValue(naps),
+      };
+      mockStepsCollection.find.mockReturnValue(stepsCursor);
+      mockNapsCollection.find.mockReturnValue(napsCursor);
+
+      expect(await bluestreak.listSteps("workflow-1")).toEqual(steps);
+      expect(await bluestreak.listNaps("workflow-1")).toEqual(naps);
+      expect(mockStepsCollection.find).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+      });
+      expect(stepsCursor.sort).toHaveBeenCalledWith({ _id: 1 });
+      expect(mockNapsCollection.find).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+      });
+      expect(napsCursor.sort).toHaveBeenCalledWith({ _id: 1 });
+    });
+  });
+
+  describe("findStep", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should find step by workflowId and stepId", async () => {
+      const mockStep = {
+        workflowId: "workflow-1",
+        stepId: "step-1",
+        output: "result",
+      };
+      mockStepsCollection.findOne.mockResolvedValue(mockStep);
+
+      const result = await bluestreak.findStep("workflow-1", "step-1");
+
+      expect(result).toEqual(mockStep);
+      expect(mockStepsCollection.findOne).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        stepId: "step-1",
+      });
+    });
+
+    test("should return null if step not found", async () => {
+      mockStepsCollection.findOne.mockResolvedValue(null);
+
+      const result = await bluestreak.findStep("workflow-1", "step-1");
+
+      expect(result).toBe(null);
+    });
+  });
+
+  describe("findNap", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should find nap by workflowId and napId", async () => {
+      const mockNap = {
+        workflowId: "workflow-1",
+        napId: "nap-1",
+        wakeUpAt: new Date(),
+      };
+      mockNapsCollection.findOne.mockResolvedValue(mockNap);
+
+      const result = await bluestreak.findNap("workflow-1", "nap-1");
+
+      expect(result).toEqual(mockNap);
+      expect(mockNapsCollection.findOne).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        napId: "nap-1",
+      });
+    });
+
+    test("should return null if nap not found", async () => {
+      mockNapsCollection.findOne.mockResolvedValue(null);
+
+      const result = await bluestreak.findNap("workflow-1", "nap-1");
+
+      expect(result).toBe(null);
+    });
+  });
+
+  describe("findSignal", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should find signal by workflowId and signalName", async () => {
+      const mockSignal = {
+        workflowId: "workflow-1",
+        signalName: "approval",
+        payload: { approved: true },
+      };
+      mockSignalsCollection.findOne.mockResolvedValue(mockSignal);
+
+      const result = await bluestreak.findSignal("workflow-1", "approval");
+
+      expect(result).toEqual(mockSignal);
+      expect(mockSignalsCollection.findOne).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        signalName: "approval",
+      });
+    });
+  });
+
+  describe("signal", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should store the signal and wake a waiting workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "waiting",
+      });
+
+      const result = await bluestreak.signal("workflow-1", "approval", {
+        approved: true,
+      });
+
+      expect(result).toBe(true);
+      expect(mockSignalsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          signalName: "approval",
+          receivedAt: { $exists: false },
+        },
+        {
+          $set: {
+            payload: { approved: true },
+            receivedAt: new Date(mockTime),
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+    });
+
+    test("should return false if the signal was already received", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "waiting",
+      });
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockSignalsCollection.updateOne.mockRejectedValue(error);
+
+      const result = await bluestreak.signal("workflow-1", "approval", {});
+
+      expect(result).toBe(false);
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("should rethrow other errors", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "waiting",
+      });
+      mockSignalsCollection.updateOne.mockRejectedValue(
+        new Error("Connection error")
+      );
+
+      await expect(
+        bluestreak.signal("workflow-1", "approval", {})
+      ).rejects.toThrow("Connection error");
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(
+        bluestreak.signal("workflow-1", "approval", {})
+      ).rejects.toThrow(WorkflowNotFound);
+      expect(mockSignalsCollection.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancel", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValue({ status: "running" });
+    });
+
+    test("should cancel a running workflow without releasing its lease", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        modifiedCount: 1,
+      });
+
+      const result = await bluestreak.cancel("workflow-1", "not needed");
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: { $in: ["running"] } },
+        { $set: { status: "cancelling", cancelReason: "not needed" } }
+      );
+    });
+
+    test("should cancel a workflow that hasn't started without running it", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "idle",
+        parentId: "parent-1",
+      });
+      mockWorkflowsCollection.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await bluestreak.cancel("workflow-1", "not needed");
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "idle" },
+        { $set: { status: "cancelled", cancelReason: "not needed" } }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "parent-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+    });
+
+    test("should reschedule a workflow that is not running", async () => {
+      mockWorkflowsCollection.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await bluestreak.cancel("workflow-1", "not needed");
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          status: { $in: ["failed", "waiting"] },
+        },
+        {
+          $set: {
+            status: "cancelling",
+            cancelReason: "not needed",
+            timeoutAt: new Date(mockTime),
+          },
+        }
+      );
+    });
+
+    test("should return false if the workflow already completed", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await bluestreak.cancel("workflow-1");
+
+      expect(result).toBe(false);
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(bluestreak.cancel("workflow-1")).rejects.toThrow(
+        WorkflowNotFound
+      );
+    });
+  });
+
+  describe("reschedule", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValue({ status: "idle" });
+    });
+
+    test("should move the start of a workflow that hasn't started", async () => {
+      const startAt = new Date(mockTime + 60000);
+
+      const result = await bluestreak.reschedule("workflow-1", startAt);
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "idle" },
+        { $set: { timeoutAt: startAt } }
+      );
+    });
+
+    test("should return false if the workflow already started", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      const result = await bluestreak.reschedule(
+        "workflow-1",
+        new Date(mockTime)
+      );
+
+      expect(result).toBe(false);
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(
+        bluestreak.reschedule("workflow-1", new Date(mockTime))
+      ).rejects.toThrow(WorkflowNotFound);
+    });
+  });
+
+  describe("retry", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValue({ status: "aborted" });
+    });
+
+    test("should requeue a failed or aborted workflow without failures", async () => {
+      const result = await bluestreak.retry("workflow-1");
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: { $in: ["failed", "aborted"] } },
+        {
+          $set: {
+            status: "waiting",
+            timeoutAt: new Date(mockTime),
+            failures: 0,
+          },
+          $unset: { result: "" },
+        }
+      );
+      expect(mockEventsCollection.insertOne).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        type: "Retried",
+        at: new Date(mockTime),
+      });
+    });
+
+    test("should return false if the workflow is neither failed nor aborted", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      expect(await bluestreak.retry("workflow-1")).toBe(false);
+      expect(mockEventsCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(bluestreak.retry("workflow-1")).rejects.toThrow(
+        WorkflowNotFound
+      );
+    });
+
+    test("should retry the matching workflows page by page", async () => {
+      const workflows = Array.from({ length: 101 }, (_, i) => ({
+        workflowId: `workflow-${i}`,
+        createdAt: new Date(mockTime - i),
+      }));
+      const cursor = {
+        sort: jest.fn(() => cursor),
+        limit: jest.fn(() => cursor),
+        toArray: jest
+          .fn()
+          .mockResolvedValueOnce(workflows.slice(0, 100))
+          .mockResolvedValueOnce(workflows.slice(100)),
+      };
+      mockWorkflowsCollection.find.mockReturnValue(cursor);
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      const count = await bluestreak.retryAll({ handlerId: "handler-1" });
+
+      expect(count).toBe(100);
+      expect(mockWorkflowsCollection.find).toHaveBeenNthCalledWith(1, {
+        status: { $in: ["failed", "aborted"] },
+        handlerId: { $in: ["handler-1"] },
+      });
+      expect(mockWorkflowsCollection.find).toHaveBeenNthCalledWith(2, {
+        status: { $in: ["failed", "aborted"] },
+        handlerId: { $in: ["handler-1"] },
+        $or: expect.any(Array),
+      });
+      expect(cursor.limit).toHaveBeenCalledWith(100);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-100", status: { $in: ["failed", "aborted"] } },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe("resetToStep", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+      mockWorkflowsCollection.findOne.mockResolvedValue({ status: "failed" });
+      mockStepsCollection.findOne.mockResolvedValue({
+        stepId: "charge",
+        output: "charged",
+        attempts: 1,
+        sequence: 2,
+      });
+    });
+
+    test("should delete the step and what came after it, then wake the workflow", async () => {
+      const result = await bluestreak.resetToStep("workflow-1", "charge");
+
+      expect(result).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenNthCalledWith(
+        1,
+        {
+          workflowId: "workflow-1",
+          status: { $in: ["failed", "aborted", "waiting", "finished"] },
+        },
+        {
+          $set: {
+            status: "waiting",
+            timeoutAt: new Date(mockTime + 10000),
+            failures: 0,
+          },
+          $unset: { result: "" },
+        }
+      );
+      expect(mockStepsCollection.deleteMany).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        $or: [{ output: { $exists: false } }, { sequence: { $gte: 2 } }],
+      });
+      expect(mockNapsCollection.deleteMany).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        sequence: { $gte: 2 },
+      });
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenNthCalledWith(
+        2,
+        { workflowId: "workflow-1" },
+        { $set: { completedAt: null, expireAt: null } }
+      );
+      expect(mockStepsCollection.updateMany).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { expireAt: null } }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenNthCalledWith(
+        3,
+        { workflowId: "workflow-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+      expect(mockEventsCollection.insertOne).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        type: "Reset",
+        at: new Date(mockTime),
+        stepId: "charge",
+      });
+    });
+
+    test("should leave running workflows alone", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      const result = await bluestreak.resetToStep("workflow-1", "charge");
+
+      expect(result).toBe(false);
+      expect(mockStepsCollection.deleteMany).not.toHaveBeenCalled();
+      expect(mockNapsCollection.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test("should throw StepNotFound for a step that hasn't completed", async () => {
+      mockStepsCollection.findOne.mockResolvedValue({
+        stepId: "charge",
+        attempts: 2,
+      });
+
+      await expect(
+        bluestreak.resetToStep("workflow-1", "charge")
+      ).rejects.toThrow(StepNotFound);
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("should throw StepNotResettable for a step stored without its position", async () => {
+      mockStepsCollection.findOne.mockResolvedValue({
+        stepId: "charge",
+        output: "charged",
+        attempts: 1,
+      });
+
+      await expect(
+        bluestreak.resetToStep("workflow-1", "charge")
+      ).rejects.toThrow(StepNotResettable);
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockStepsCollection.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(
+        bluestreak.resetToStep("workflow-1", "charge")
+      ).rejects.toThrow(WorkflowNotFound);
+    });
+  });
+
+  describe("schedules", () => {
+    // mockTime is 1970-01-01T00:16:40Z
+    const definition = {
+      cronExpression: "*/30 * * * *",
+      timezone: "UTC",
+      handlerId: "report",
+      overlapPolicy: "skip",
+    };
+    const storedSchedule = (fields = {}) => ({
+      scheduleId: "reports",
+      ...definition,
+      paused: false,
+      nextFireAt: new Date("1970-01-01T00:30:00Z"),
+      lastWorkflowId: null,
+      timeoutAt: new Date(mockTime),
+      ...fields,
+    });
+
+    const pollOnce = async (params = {}) => {
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        workerId: "worker-1",
+        shouldStop: jest.fn().mockReturnValueOnce(false).mockReturnValue(true),
+        ...params,
+      });
+      await bluestreak.init();
+      return bluestreak;
+    };
+
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should create a schedule", async () => {
+      const result = await bluestreak.schedule(
+        "reports",
+        "*/30 * * * *",
+        "report"
+      );
+
+      expect(result).toBe(true);
+      expect(mockSchedulesCollection.insertOne).toHaveBeenCalledWith(
+        storedSchedule()
+      );
+    });
+
+    test("should update the definition of an existing schedule", async () => {
+      mockSchedulesCollection.findOne.mockResolvedValue(storedSchedule());
+
+      const result = await bluestreak.schedule(
+        "reports",
+        "*/30 * * * *",
+        "report",
+        undefined,
+        { overlapPolicy: "allow" }
+      );
+
+      expect(result).toBe(false);
+      expect(mockSchedulesCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports" },
+        { $set: { ...definition, overlapPolicy: "allow" } }
+      );
+    });
+
+    test("should recompute the next fire time when the expression changes", async () => {
+      mockSchedulesCollection.findOne.mockResolvedValue(storedSchedule());
+
+      await bluestreak.schedule("reports", "@hourly", "report");
+
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports" },
+        {
+          $set: {
+            ...definition,
+            cronExpression: "@hourly",
+            nextFireAt: new Date("1970-01-01T01:00:00Z"),
+          },
+        }
+      );
+    });
+
+    test("should update a schedule created concurrently", async () => {
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockSchedulesCollection.insertOne.mockRejectedValue(error);
+      mockSchedulesCollection.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(storedSchedule());
+
+      const result = await bluestreak.schedule(
+        "reports",
+        "*/30 * * * *",
+        "report"
+      );
+
+      expect(result).toBe(false);
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports" },
+        { $set: definition }
+      );
+    });
+
+    test("should reject an invalid cron expression", async () => {
+      await expect(
+        bluestreak.schedule("reports", "*/30 * *", "report")
+      ).rejects.toThrow(InvalidCronExpression);
+      expect(mockSchedulesCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    test("should pause a schedule", async () => {
+      await bluestreak.pauseSchedule("reports");
+
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports" },
+        { $set: { paused: true } }
+      );
+    });
+
+    test("should throw ScheduleNotFound when pausing a missing schedule", async () => {
+      mockSchedulesCollection.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(bluestreak.pauseSchedule("reports")).rejects.toThrow(
+        ScheduleNotFound
+      );
+    });
+
+    test("should resume a paused schedule from now", async () => {
+      mockSchedulesCollection.findOne.mockResolvedValue(
+        storedSchedule({ paused: true, nextFireAt: new Date(0) })
+      );
+
+      await bluestreak.resumeSchedule("reports");
+
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports" },
+        {
+          $set: {
+            paused: false,
+            nextFireAt: new Date("1970-01-01T00:30:00Z"),
+          },
+        }
+      );
+    });
+
+    test("should list upcoming fire times", async () => {
+      mockSchedulesCollection.findOne.mockResolvedValue(storedSchedule());
+
+      const fireTimes = await bluestreak.getUpcomingFireTimes("reports", 3);
+
+      expect(fireTimes).toEqual([
+        new Date("1970-01-01T00:30:00Z"),
+        new Date("1970-01-01T01:00:00Z"),
+        new Date("1970-01-01T01:30:00Z"),
+      ]);
+    });
+
+    test("should only backfill schedules defined on this instance", async () => {
+      mockSchedulesCollection.findOne.mockResolvedValue(storedSchedule());
+
+      await expect(
+        bluestreak.backfillSchedule("reports", new Date(0), new Date(mockTime))
+      ).rejects.toThrow(ScheduleNotFound);
+    });
+
+    test("should not claim ticks without schedules defined", async () => {
+      await pollOnce();
+
+      await bluestreak.poll();
+
+      expect(mockSchedulesCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should claim a due tick and start its workflow", async () => {
+      const fireAt = new Date("1970-01-01T00:00:00Z");
+      await pollOnce();
+      bluestreak.registerHandler("report", async () => "done");
+      await bluestreak.schedule(
+        "reports",
+        "*/30 * * * *",
+        "report",
+        (date) => ({ date })
+      );
+      mockSchedulesCollection.findOneAndUpdate.mockResolvedValueOnce(
+        storedSchedule({ nextFireAt: fireAt, leaseToken: 4 })
+      );
+
+      await bluestreak.poll();
+
+      expect(mockSchedulesCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          scheduleId: { $in: ["reports"] },
+          paused: false,
+          nextFireAt: { $lte: new Date(mockTime) },
+          timeoutAt: { $lt: new Date(mockTime) },
+        },
+        {
+          $set: { timeoutAt: new Date(mockTime + 10000), workerId: "worker-1" },
+          $inc: { leaseToken: 1 },
+        },
+        {
+          projection: { _id: 0 },
+          sort: { nextFireAt: 1 },
+          returnDocument: "after",
+        }
+      );
+      expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith({
+        workflowId: "reports@1970-01-01T00:00:00.000Z",
+        handlerId: "report",
+        version: null,
+        input: { date: fireAt },
+        parentId: null,
+        priority: 0,
+        tags: [],
+        failures: 0,
+        status: "idle",
+        timeoutAt: new Date(mockTime),
+        createdAt: new Date(mockTime),
+      });
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports", leaseToken: 4 },
+        {
+          $set: {
+            nextFireAt: new Date("1970-01-01T00:30:00Z"),
+            lastWorkflowId: "reports@1970-01-01T00:00:00.000Z",
+            timeoutAt: fireAt,
+          },
+        }
+      );
+    });
+
+    test("should skip a tick while the previous workflow is not completed", async () => {
+      await pollOnce();
+      await bluestreak.schedule("reports", "*/30 * * * *", "report");
+      mockSchedulesCollection.findOneAndUpdate.mockResolvedValueOnce(
+        storedSchedule({
+          nextFireAt: new Date(0),
+          lastWorkflowId: "reports@previous",
+          leaseToken: 1,
+        })
+      );
+      mockWorkflowsCollection.findOne.mockResolvedValue({ status: "running" });
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockSchedulesCollection.updateOne).toHaveBeenCalledWith(
+        { scheduleId: "reports", leaseToken: 1 },
+        {
+          $set: {
+            nextFireAt: new Date("1970-01-01T00:30:00Z"),
+            lastWorkflowId: "reports@previous",
+            timeoutAt: new Date(0),
+          },
+        }
+      );
+    });
+
+    test("should report errors and retry the tick once its lease times out", async () => {
+      const errorCallback = jest.fn();
+      const error = new Error("no input");
+      await pollOnce({ errorCallback });
+      await bluestreak.schedule("reports", "*/30 * * * *", "report", () => {
+        throw error;
+      });
+      mockSchedulesCollection.findOneAndUpdate.mockResolvedValueOnce(
+        storedSchedule({ nextFireAt: new Date(0), leaseToken: 1 })
+      );
+      mockSchedulesCollection.updateOne.mockClear();
+
+      await bluestreak.poll();
+
+      expect(errorCallback).toHaveBeenCalledWith(
+        "reports@1970-01-01T00:00:00.000Z",
+        error
+      );
+      expect(mockWorkflowsCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockSchedulesCollection.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("wait", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should return result when workflow is finished", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "finished",
+        result: { success: true },
+      });
+
+      const result = await bluestreak.wait("workflow-1", 3, 100);
+
+      expect(result).toEqual({ success: true });
+      expect(mockWorkflowsCollection.findOne).toHaveBeenCalled();
+    });
+
+    test("should throw WaitTimeout after retries", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "running",
+        result: null,
+      });
+
+      await expect(bluestreak.wait("workflow-1", 3, 100)).rejects.toThrow(
+        WaitTimeout
+      );
+      expect(mockWorkflowsCollection.findOne.mock.calls.length).toBe(3);
+    });
+
+    test("should throw WorkflowNotFound for non-existent workflow", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(bluestreak.wait("workflow-1", 3, 100)).rejects.toThrow(
+        WorkflowNotFound
+      );
+    });
+  });
+
+  describe("poll", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should stop when shouldStop returns true", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 1;
+        },
+        pollInterval: 5000,
+      });
+      await bluestreak.init();
+
+      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValue(null);
+
+      await bluestreak.poll();
+
+      expect(callCount).toBeGreaterThan(1);
+    });
+
+    test("should remove the abort listeners of idle passes", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 5;
+        },
+        pollInterval: 5000,
+      });
+      await bluestreak.init();
+      const add = jest.spyOn(AbortSignal.prototype, "addEventListener");
+      const remove = jest.spyOn(AbortSignal.prototype, "removeEventListener");
+
+      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValue(null);
+
+      try {
+        await bluestreak.poll();
+
+        expect(add).toHaveBeenCalled();
+        expect(remove.mock.calls).toEqual(
+          add.mock.calls.map(([type, fn]) => [type, fn])
+        );
+      } finally {
+        add.mockRestore();
+        remove.mockRestore();
+      }
+    });
+
+    test("should claim and run workflows", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        pollInterval: 5000,
+      });
+      await bluestreak.init();
+
+      const handler = jest.fn(async () => "result");
+      bluestreak.registerHandler("test-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValue(null);
+
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "test-handler",
+        input: { data: "test" },
+        failures: 0,
+      });
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalled();
+      expect(handler).toHaveBeenCalledWith(expect.any(Object), {
+        data: "test",
+      });
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "result" } }
+      );
+    });
+
+    test("should stop claiming while maxConcurrentWorkflows runs are in flight", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 3;
+        },
+        pollInterval: 5000,
+        maxConcurrentWorkflows: 1,
+      });
+      await bluestreak.init();
+
+      let release;
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+      const handler = jest
+        .fn()
+        .mockImplementationOnce(async () => {
+          await blocked;
+          return "first";
+        })
+        .mockImplementationOnce(async () => "second");
+      bluestreak.registerHandler("test-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValueOnce({ workflowId: "workflow-2" })
+        .mockResolvedValue(null);
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "test-handler",
+        input: {},
+        failures: 0,
+      });
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(bluestreak.getInFlightCount()).toBe(1);
+
+      release();
+      await polling;
+      await flushPromises();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should not limit concurrency by default", () => {
+      expect(bluestreak.getParams().maxConcurrentWorkflows).toBe(Infinity);
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should reject a maxConcurrentWorkflows that isn't a positive integer", () => {
+      for (const maxConcurrentWorkflows of [0, -1, 1.5, NaN, "2"]) {
+        expect(() => new Bluestreak({ maxConcurrentWorkflows })).toThrow(
+          RangeError
+        );
+      }
+      expect(
+        new Bluestreak({ maxConcurrentWorkflows: 3 }).getParams()
+          .maxConcurrentWorkflows
+      ).toBe(3);
+    });
+
+    test("should reject on HandlerNotFound", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        pollInterval: 5000,
+      });
+      await bluestreak.init();
+      // The workflow was started with a handler of another worker
+      bluestreak.registerHandler("other-handler", jest.fn());
+
+      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "missing-handler",
+        input: {},
+        failures: 0,
+      });
+
+      await expect(bluestreak.poll()).rejects.toThrow(HandlerNotFound);
+    });
+
+    test("should reject on WorkflowNotFound", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        pollInterval: 5000,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("test-handler", jest.fn());
+
+      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await expect(bluestreak.poll()).rejects.toThrow(WorkflowNotFound);
+    });
+  });
+
+  describe("pollOnce", () => {
+    let errorCallback;
+
+    beforeEach(async () => {
+      errorCallback = jest.fn();
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        pollInterval: 5000,
+        maxConcurrentWorkflows: 2,
+        errorCallback,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("test-handler", async () => "result");
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "test-handler",
+        input: {},
+        failures: 0,
+      });
+    });
+
+    test("should claim the ready workflows and return", async () => {
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValue(null);
+
+      expect(await bluestreak.pollOnce()).toBe(1);
+      await flushPromises();
+
+      expect(global.setTimeout).not.toHaveBeenCalledWith(
+        expect.any(Function),
+        5000
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "result" } }
+      );
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should stop claiming while maxConcurrentWorkflows runs are in flight", async () => {
+      bluestreak.registerHandler("test-handler", () => new Promise(() => {}));
+      let claims = 0;
+      mockWorkflowsCollection.findOneAndUpdate.mockImplementation(async () => ({
+        workflowId: `workflow-${++claims}`,
+      }));
+
+      expect(await bluestreak.pollOnce()).toBe(2);
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      await flushPromises();
+    });
+
+    test("should report the runs that fail to start", async () => {
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValue(null);
+      mockWorkflowsCollection.findOne.mockReset();
+      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+
+      await bluestreak.pollOnce();
+      await flushPromises();
+
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(WorkflowNotFound)
+      );
+    });
+
+    test("should not claim after shutdown", async () => {
+      await bluestreak.shutdown();
+
+      expect(await bluestreak.pollOnce()).toBe(0);
+      expect(mockWorkflowsCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("shutdown", () => {
+    let release;
+
+    beforeEach(async () => {
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => false,
+        pollInterval: 5000,
+        maxConcurrentWorkflows: 1,
+      });
+      await bluestreak.init();
+
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+      bluestreak.registerHandler("blocked", async () => {
+        await blocked;
+        return "done";
+      });
+      bluestreak.registerHandler("sleeper", async (ctx) => {
+        await ctx.sleep("nap", 60000);
+        return "awake";
+      });
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
+        .mockResolvedValue(null);
+    });
+
+    test("should drain runs in flight before closing", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "blocked",
+        input: {},
+        failures: 0,
+      });
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+      expect(bluestreak.getInFlightCount()).toBe(1);
+
+      // The drain timeout never fires
+      global.setTimeout.mockImplementationOnce(() => 2);
+      const shuttingDown = bluestreak.shutdown();
+      await flushPromises();
+
+      expect(global.setTimeout).toHaveBeenCalledWith(
+        expect.any(Function),
+        10000
+      );
+      expect(mockClient.close).not.toHaveBeenCalled();
+
+      release();
+      await shuttingDown;
+      await polling;
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "done" } }
+      );
+      expect(mockClient.close).toHaveBeenCalled();
+      expect(bluestreak.getInFlightCount()).toBe(0);
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test("should release the leases of runs that don't drain in time", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "blocked",
+        input: {},
+        failures: 0,
+      });
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+
+      await bluestreak.shutdown({ drainTimeoutMs: 500 });
+      await polling;
+
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 500);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { timeoutAt: new Date(mockTime) }, $inc: { leaseToken: 1 } }
+      );
+      expect(mockClient.close).toHaveBeenCalled();
+    });
+
+    test("should wait for a claim in progress and release its lease", async () => {
+      let claim;
+      mockWorkflowsCollection.findOneAndUpdate.mockReset();
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockReturnValueOnce(
+          new Promise((resolve) => {
+            claim = resolve;
+          })
+        )
+        .mockResolvedValue(null);
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "blocked",
+        input: {},
+        failures: 0,
+      });
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+      const shuttingDown = bluestreak.shutdown();
+      await flushPromises();
+
+      expect(mockClient.close).not.toHaveBeenCalled();
+
+      claim({ workflowId: "workflow-1", leaseToken: 1 });
+      await shuttingDown;
+      await polling;
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { timeoutAt: new Date(mockTime) }, $inc: { leaseToken: 1 } }
+      );
+      expect(mockWorkflowsCollection.findOne).not.toHaveBeenCalled();
+      expect(mockClient.close).toHaveBeenCalled();
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should abandon the runs whose leases are released", async () => {
+      const errorCallback = jest.fn();
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => false,
+        pollInterval: 5000,
+        maxConcurrentWorkflows: 1,
+        errorCallback,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("blocked", async (ctx) => {
+        await blocked;
+        return await ctx.step("after", async () => "after");
+      });
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+      mockWorkflowsCollection.findOneAndUpdate.mockReset();
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ workflowId: "workflow-1", leaseToken: 1 })
+        .mockResolvedValue(null);
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "blocked",
+        input: {},
+        failures: 0,
+      });
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+      await bluestreak.shutdown({ drainTimeoutMs: 500 });
+      await polling;
+      release();
+      await flushPromises();
+
+      // Claimable right away, and fenced from the abandoned run
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { timeoutAt: new Date(mockTime) }, $inc: { leaseToken: 1 } }
+      );
+      expect(mockStepsCollection.updateOne).not.toHaveBeenCalled();
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(LeaseLost)
+      );
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should suspend sleeping runs until their wake-up time", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "sleeper",
+        input: {},
+        failures: 0,
+        status: "running",
+      });
+
+      // Neither the nap nor the drain timeout fire
+      global.setTimeout
+        .mockImplementationOnce(() => 2)
+        .mockImplementationOnce(() => 3);
+      const polling = bluestreak.poll();
+      await flushPromises();
+      expect(global.setTimeout).toHaveBeenCalledWith(
+        expect.any(Function),
+        60000
+      );
+
+      await bluestreak.shutdown();
+      await polling;
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "waiting", timeoutAt: new Date(mockTime + 60000) } }
+      );
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+      expect(mockClient.close).toHaveBeenCalled();
+      expect(bluestreak.getInFlightCount()).toBe(0);
+    });
+
+    test("should stop an idle poll loop", async () => {
+      mockWorkflowsCollection.findOneAndUpdate.mockReset();
+      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValue(null);
+      // The poll interval never elapses
+      global.setTimeout.mockImplementationOnce(() => 2);
+
+      const polling = bluestreak.poll();
+      await flushPromises();
+      await bluestreak.shutdown();
+      await polling;
+
+      // One claim of the single candidate
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockClient.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("workflow execution with steps", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should execute steps and save to steps collection", async () => {
+      const stepFn = jest.fn(async () => "step-result");
+      const handler = jest.fn(async (ctx) => {
+        const result = await ctx.step("step-1", stepFn);
+        return result;
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "step-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockStepsCollection.findOne.mockResolvedValueOnce(null); // No cached step
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("step-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 1,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      // Give async work time to complete
+      await flushPromises();
+
+      expect(stepFn).toHaveBeenCalled();
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          output: { $exists: false },
+          leaseToken: fencedBy(1),
+        },
+        {
+          $set: {
+            output: "step-result",
+            attempts: 1,
+            sequence: 0,
+            compensable: false,
+            leaseToken: 1,
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        {
+          $set: {
+            timeoutAt: new Date(mockTime + 10000),
+          },
+        }
+      );
+    });
+
+    test("should use cached step results from steps collection", async () => {
+      const stepFn = jest.fn(async () => "new-result");
+      const handler = jest.fn(async (ctx) => {
+        return await ctx.step("step-1", stepFn);
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "cached-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockStepsCollection.findOne.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+        stepId: "step-1",
+        output: "cached-result",
+      });
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("cached-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      // Give async work time to complete
+      await flushPromises();
+
+      expect(stepFn).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "cached-result" } }
+      );
+    });
+
+    test("should handle multiple steps in sequence", async () => {
+      let resolveHandler;
+      const handlerComplete = new Promise((resolve) => {
+        resolveHandler = resolve;
+      });
+
+      const step1Fn = jest.fn(async () => "result-1");
+      const step2Fn = jest.fn(async () => "result-2");
+      const handler = jest.fn(async (ctx) => {
+        const r1 = await ctx.step("step-1", step1Fn);
+        const r2 = await ctx.step("step-2", step2Fn);
+        resolveHandler();
+        return `${r1}-${r2}`;
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "multi-step-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockStepsCollection.findOne
+        .mockResolvedValueOnce(null) // step-1 not cached
+        .mockResolvedValueOnce(null); // step-2 not cached
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("multi-step-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
+
+      const pollPromise = bluestreak.poll();
+      await handlerComplete;
+      await flushPromises();
+
+      expect(step1Fn).toHaveBeenCalled();
+      expect(step2Fn).toHaveBeenCalled();
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledTimes(2);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "result-1-result-2" } }
+      );
+    });
+  });
+
+  describe("workflow execution with step retries", () => {
+    let errorCallback;
+
+    const runOnce = async (handler) => {
+      errorCallback = jest.fn();
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+        errorCallback,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("retry-handler", handler);
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "retry-handler",
+        input: {},
+        failures: 0,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 1,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    test("should retry a failing step with exponential backoff", async () => {
+      const stepFn = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("flaky"))
+        .mockRejectedValueOnce(new Error("flaky"))
+        .mockResolvedValueOnce("ok");
+
+      await runOnce(async (ctx) =>
+        ctx.step("step-1", stepFn, {
+          retries: 3,
+          initialInterval: 100,
+          backoffCoefficient: 3,
+        })
+      );
+
+      expect(stepFn).toHaveBeenCalledTimes(3);
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 100);
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 300);
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          leaseToken: fencedBy(1),
+        },
+        { $set: { attempts: 2, leaseToken: 1 } },
+        { upsert: true }
+      );
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          output: { $exists: false },
+          leaseToken: fencedBy(1),
+        },
+        {
+          $set: {
+            output: "ok",
+            attempts: 3,
+            sequence: 0,
+            compensable: false,
+            leaseToken: 1,
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { timeoutAt: new Date(mockTime + 300 + 10000) } }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "ok" } }
+      );
+    });
+
+    test("should cap the interval at maxInterval", async () => {
+      const stepFn = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("flaky"))
+        .mockRejectedValueOnce(new Error("flaky"))
+        .mockResolvedValueOnce("ok");
+
+      await runOnce(async (ctx) =>
+        ctx.step("step-1", stepFn, {
+          retries: 2,
+          initialInterval: 100,
+          maxInterval: 150,
+        })
+      );
+
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 100);
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 150);
+    });
+
+    test("should fail the workflow once retries are exhausted", async () => {
+      const error = new Error("down");
+      const stepFn = jest.fn().mockRejectedValue(error);
+
+      await runOnce(async (ctx) => ctx.step("step-1", stepFn, { retries: 1 }));
+
+      expect(stepFn).toHaveBeenCalledTimes(2);
+      expect(global.setTimeout).toHaveBeenCalledWith(
+        expect.any(Function),
+        1000
+      );
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          leaseToken: fencedBy(1),
+        },
+        { $set: { attempts: 2, leaseToken: 1 } },
+        { upsert: true }
+      );
+      expect(errorCallback).toHaveBeenCalledWith("workflow-1", error);
+    });
+
+    test("should fail an attempt that exceeds timeoutMs and abort its signal", async () => {
+      let signal;
+      const stepFn = jest.fn((stepCtx) => {
+        signal = stepCtx.signal;
+        return new Promise(() => {});
+      });
+
+      await runOnce(async (ctx) =>
+        ctx.step("step-1", stepFn, { retries: 0, timeoutMs: 500 })
+      );
+
+      expect(stepFn).toHaveBeenCalledTimes(1);
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 500);
+      const [workflowId, error] = errorCallback.mock.calls[0];
+      expect(workflowId).toBe("workflow-1");
+      expect(error).toBeInstanceOf(StepTimeout);
+      expect(error.stepId).toBe("step-1");
+      expect(error.timeoutMs).toBe(500);
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toBe(error);
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          leaseToken: fencedBy(1),
+        },
+        { $set: { attempts: 1, leaseToken: 1 } },
+        { upsert: true }
+      );
+    });
+
+    test("should complete a step that settles within timeoutMs", async () => {
+      let signal;
+      const stepFn = jest.fn(async (stepCtx) => {
+        signal = stepCtx.signal;
+        return "ok";
+      });
+      const fire = global.setTimeout.getMockImplementation();
+      // The step timeout never fires
+      global.setTimeout.mockImplementation((fn, ms) =>
+        ms === 500 ? 2 : fire(fn)
+      );
+
+      try {
+        await runOnce(async (ctx) =>
+          ctx.step("step-1", stepFn, { timeoutMs: 500 })
+        );
+      } finally {
+        global.setTimeout.mockImplementation(fire);
+      }
+
+      expect(stepFn).toHaveBeenCalledTimes(1);
+      expect(signal.aborted).toBe(false);
+      expect(errorCallback).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "ok" } }
+      );
+    });
+
+    test("should continue counting attempts persisted by previous runs", async () => {
+      mockStepsCollection.findOne.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+        stepId: "step-1",
+        attempts: 4,
+      });
+      const stepFn = jest.fn().mockRejectedValue(new Error("down"));
+
+      await runOnce(async (ctx) => ctx.step("step-1", stepFn));
+
+      expect(stepFn).toHaveBeenCalledTimes(1);
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "step-1",
+          leaseToken: fencedBy(1),
+        },
+        { $set: { attempts: 5, leaseToken: 1 } },
+        { upsert: true }
+      );
+    });
+
+    test("should not retry nonRetryable errors", async () => {
+      class ValidationError extends Error {}
+      const error = new ValidationError("invalid");
+      const stepFn = jest.fn().mockRejectedValue(error);
+
+      await runOnce(async (ctx) =>
+        ctx.step("step-1", stepFn, {
+          retries: 5,
+          nonRetryable: [TypeError, ValidationError],
+        })
+      );
+
+      expect(stepFn).toHaveBeenCalledTimes(1);
+      expect(errorCallback).toHaveBeenCalledWith("workflow-1", error);
+    });
+
+    test("should ignore a step completed concurrently", async () => {
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockStepsCollection.updateOne.mockRejectedValueOnce(error);
+
+      await runOnce(async (ctx) => ctx.step("step-1", async () => "ok"));
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "ok" } }
+      );
+    });
+
+    test("should rethrow other errors when storing the output", async () => {
+      const error = new Error("Connection error");
+      mockStepsCollection.updateOne.mockRejectedValueOnce(error);
+
+      await runOnce(async (ctx) => ctx.step("step-1", async () => "ok"));
+
+      expect(errorCallback).toHaveBeenCalledWith("workflow-1", error);
+    });
+  });
+
+  describe("lease heartbeats", () => {
+    let errorCallback;
+    let renew;
+
+    beforeEach(() => {
+      renew = undefined;
+      jest.spyOn(global, "setInterval").mockImplementation((fn) => {
+        renew = fn;
+        return { unref: jest.fn() };
+      });
+      jest.spyOn(global, "clearInterval").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      global.setInterval.mockRestore();
+      global.clearInterval.mockRestore();
+    });
+
+    const startRun = async (handler, params = {}) => {
+      errorCallback = jest.fn();
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+        errorCallback,
+        ...params,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("heartbeat-handler", handler);
+
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "heartbeat-handler",
+        input: {},
+        failures: 0,
+        status: "running",
+        leaseToken: 1,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 1,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    test("should default the heartbeat interval to half the timeout interval", () => {
+      expect(bluestreak.getParams().heartbeatInterval).toBe(5000);
+    });
+
+    test("should renew the lease while the handler is running", async () => {
+      let release;
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+
+      await startRun(async () => {
+        await blocked;
+        return "done";
+      });
+
+      expect(global.setInterval).toHaveBeenCalledWith(
+        expect.any(Function),
+        5000
+      );
+
+      mockTime += 7000;
+      renew();
+      await flushPromises();
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { timeoutAt: new Date(mockTime + 10000) } }
+      );
+      expect(global.clearInterval).not.toHaveBeenCalled();
+
+      release();
+      await flushPromises();
+
+      expect(global.clearInterval).toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "done" } }
+      );
+    });
+
+    test("should skip renewals while one is in progress", async () => {
+      let finishRenewal;
+      mockWorkflowsCollection.updateOne.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishRenewal = resolve;
+          })
+      );
+
+      await startRun(() => new Promise(() => {}));
+      renew();
+      renew();
+      await flushPromises();
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+
+      finishRenewal();
+      await flushPromises();
+      renew();
+      await flushPromises();
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    test("should abandon the run once a renewal is rejected", async () => {
+      await startRun(() => new Promise(() => {}));
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+      renew();
+      await flushPromises();
+
+      expect(errorCallback).toHaveBeenCalledTimes(1);
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(LeaseLost)
+      );
+      expect(bluestreak.getInFlightCount()).toBe(0);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not finish the workflow if the renewal in progress is rejected", async () => {
+      let finishRenewal;
+      mockWorkflowsCollection.updateOne.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishRenewal = resolve;
+          })
+      );
+      let release;
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+
+      await startRun(async () => {
+        await blocked;
+        return "done";
+      });
+      renew();
+      release();
+      await flushPromises();
+      finishRenewal({ matchedCount: 0 });
+      await flushPromises();
+
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(LeaseLost)
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    test("should report failed renewals to the error callback", async () => {
+      const error = new Error("connection lost");
+      mockWorkflowsCollection.updateOne.mockRejectedValueOnce(error);
+
+      await startRun(() => new Promise(() => {}));
+      renew();
+      await flushPromises();
+
+      expect(errorCallback).toHaveBeenCalledWith("workflow-1", error);
+    });
+
+    test("should not renew leases when disabled", async () => {
+      await startRun(async () => "done", { heartbeatInterval: Infinity });
+
+      expect(global.setInterval).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "done" } }
+      );
+    });
+
+    test("should let steps heartbeat with progress", async () => {
+      await startRun(async (ctx) => {
+        return await ctx.step("long-step", async ({ heartbeat }) => {
+          mockTime += 8000;
+          await heartbeat({ processed: 50 });
+          await heartbeat();
+          return "done";
+        });
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { timeoutAt: new Date(mockTime + 10000) } }
+      );
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "long-step",
+          leaseToken: fencedBy(1),
+        },
+        { $set: { progress: { processed: 50 }, leaseToken: 1 } },
+        { upsert: true }
+      );
+      const progressUpdates = mockStepsCollection.updateOne.mock.calls.filter(
+        ([, update]) => "progress" in update.$set
+      );
+      expect(progressUpdates).toHaveLength(1);
+    });
+  });
+
+  describe("lease fencing", () => {
+    let errorCallback;
+
+    const startRun = async (handler, workflow = {}) => {
+      errorCallback = jest.fn();
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+        heartbeatInterval: Infinity,
+        errorCallback,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("fenced-handler", handler);
 
       mockWorkflowsCollection.findOne.mockResolvedValue({
-        handlerId: "test-handler",
-        input: { data: "test" },
+        handlerId: "fenced-handler",
+        input: {},
+        failures: 0,
+        parentId: null,
+        status: "running",
+        leaseToken: 3,
+        ...workflow,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 3,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    const expectLeaseLost = () => {
+      expect(errorCallback).toHaveBeenCalledTimes(1);
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(LeaseLost)
+      );
+    };
+
+    test("should condition workflow writes on the lease token", async () => {
+      await startRun(async (ctx) => {
+        return await ctx.step("step-1", async () => "done");
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        { $set: { timeoutAt: new Date(mockTime + 10000) } }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        { $set: { status: "finished", result: "done" } }
+      );
+      expect(errorCallback).not.toHaveBeenCalled();
+    });
+
+    test("should not store a step output after losing the lease", async () => {
+      const after = jest.fn(async () => "after");
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(async (ctx) => {
+        await ctx.step("step-1", async () => "done");
+        await ctx.step("step-2", after);
+      });
+
+      expect(mockStepsCollection.updateOne).not.toHaveBeenCalled();
+      expect(after).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should not store a nap after losing the lease", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(async (ctx) => {
+        await ctx.sleep("nap-1", 60000);
+      });
+
+      expect(mockNapsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockEventsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should append the events of a run unless a newer claim was recorded", async () => {
+      await startRun(async (ctx) => {
+        await ctx.step("step-1", async () => "done");
+      });
+
+      expect(mockEventsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", type: "Claimed", leaseToken: { $gt: 3 } },
+        {
+          $setOnInsert: {
+            workflowId: "workflow-1",
+            type: "StepCompleted",
+            at: new Date(mockTime),
+            stepId: "step-1",
+            attempts: 1,
+          },
+        },
+        { upsert: true }
+      );
+    });
+
+    test("should abandon the run once a newer claim rejects its event", async () => {
+      const after = jest.fn(async () => "after");
+      mockEventsCollection.updateOne.mockResolvedValueOnce({
+        acknowledged: true,
+        matchedCount: 1,
+      });
+
+      await startRun(async (ctx) => {
+        await ctx.step("step-1", async () => "done");
+        await ctx.step("step-2", after);
+      });
+
+      expect(after).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          $set: expect.objectContaining({ status: "finished" }),
+        })
+      );
+      expectLeaseLost();
+    });
+
+    test("should abandon the run if a newer run stored the step first", async () => {
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockStepsCollection.updateOne.mockRejectedValueOnce(error);
+      mockStepsCollection.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ leaseToken: 4 });
+
+      await startRun(async (ctx) => {
+        return await ctx.step("step-1", async () => "stale");
+      });
+
+      expect(mockStepsCollection.findOne).toHaveBeenLastCalledWith(
+        { workflowId: "workflow-1", stepId: "step-1" },
+        { projection: { _id: 0, leaseToken: 1 } }
+      );
+      expect(mockEventsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should not retry a step once a newer run rejects its attempts", async () => {
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockStepsCollection.updateOne.mockRejectedValueOnce(error);
+      const stepFn = jest.fn().mockRejectedValue(new Error("flaky"));
+
+      await startRun(async (ctx) => {
+        return await ctx.step("step-1", stepFn, { retries: 3 });
+      });
+
+      expect(stepFn).toHaveBeenCalledTimes(1);
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", stepId: "step-1", leaseToken: fencedBy(3) },
+        { $set: { attempts: 1, leaseToken: 3 } },
+        { upsert: true }
+      );
+      expectLeaseLost();
+    });
+
+    test("should abandon a handler that swallows LeaseLost", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(async (ctx) => {
+        try {
+          await ctx.step("step-1", async () => "done");
+        } catch {
+          return await ctx.step("step-2", async () => "swallowed");
+        }
+      });
+
+      expect(mockStepsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should throw LeaseLost once another worker has claimed the workflow", async () => {
+      const stepFn = jest.fn(async () => "done");
+
+      await startRun(
+        async (ctx) => {
+          return await ctx.step("step-1", stepFn);
+        },
+        { leaseToken: 4 }
+      );
+
+      expect(stepFn).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalled();
+      expectLeaseLost();
+    });
+
+    test("should not wake the parent if the final write is rejected", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(async () => "done", { parentId: "parent-1" });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should report LeaseLost instead of the failure if the failure is rejected", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(async () => {
+        throw new Error("boom");
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        expect.objectContaining({
+          $set: expect.objectContaining({ status: "failed", failures: 1 }),
+        })
+      );
+      expectLeaseLost();
+    });
+
+    test("should not mark the workflow as waiting if the lease was lost", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+      mockSignalsCollection.findOne.mockResolvedValue(null);
+
+      await startRun(async (ctx) => {
+        return await ctx.waitForSignal("approved");
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expect(mockSignalsCollection.findOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should not mark the workflow as cancelled if the lease was lost", async () => {
+      const cleanup = jest.fn();
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun(
+        async (ctx) => {
+          ctx.onCancel(cleanup);
+          await ctx.step("step-1", async () => "done");
+        },
+        { status: "cancelling", parentId: "parent-1" }
+      );
+
+      expect(cleanup).toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledTimes(1);
+      expectLeaseLost();
+    });
+
+    test("should release the leases of undrained runs with their token", async () => {
+      await startRun(() => new Promise(() => {}));
+
+      await bluestreak.shutdown({ drainTimeoutMs: 0 });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        { $set: { timeoutAt: new Date(mockTime) }, $inc: { leaseToken: 1 } }
+      );
+    });
+  });
+
+  describe("handler versions", () => {
+    let errorCallback;
+
+    const startRun = async (register, workflow = {}) => {
+      errorCallback = jest.fn();
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        heartbeatInterval: Infinity,
+        errorCallback,
+      });
+      await bluestreak.init();
+      register(bluestreak);
+
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        handlerId: "versioned-handler",
+        input: {},
+        failures: 0,
+        parentId: null,
+        status: "running",
+        leaseToken: 3,
+        ...workflow,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 3,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    beforeEach(async () => {
+      await bluestreak.init();
+      mockStepsCollection.countDocuments.mockResolvedValue(0);
+      mockNapsCollection.countDocuments.mockResolvedValue(0);
+    });
+
+    test("should only pin new workflows to an explicit version", async () => {
+      bluestreak.registerHandler("handler-1", jest.fn(), { version: 3 });
+      bluestreak.registerHandler("handler-1", jest.fn(), { version: 2 });
+
+      await bluestreak.start("workflow-1", "handler-1", {});
+      await bluestreak.start("workflow-2", "handler-1", {}, { version: 2 });
+
+      expect(mockWorkflowsCollection.insertOne.mock.calls[0][0].version).toBe(
+        null
+      );
+      expect(mockWorkflowsCollection.insertOne.mock.calls[1][0].version).toBe(
+        2
+      );
+    });
+
+    test("should only claim workflows of the registered versions", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => ++callCount > 1,
+        priorityAgingInterval: Infinity,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("handler-1", jest.fn(), { version: 2 });
+      bluestreak.registerHandler("handler-1", jest.fn(), { version: 3 });
+      bluestreak.registerHandler("handler-2", jest.fn());
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          $or: [
+            { handlerId: "handler-1", version: { $in: [2, 3] } },
+            { handlerId: "handler-1", version: null, leaseToken: null },
+            { handlerId: "handler-2", version: { $in: [1, null] } },
+            { handlerId: "handler-2", version: null, leaseToken: null },
+          ],
+        }),
+        [
+          expect.objectContaining({
+            $set: expect.objectContaining({
+              version: expect.objectContaining({
+                $ifNull: [
+                  "$version",
+                  expect.objectContaining({
+                    $cond: expect.arrayContaining([
+                      {
+                        $switch: {
+                          branches: [
+                            {
+                              case: { $eq: ["$handlerId", "handler-1"] },
+                              then: 3,
+                            },
+                            {
+                              case: { $eq: ["$handlerId", "handler-2"] },
+                              then: 1,
+                            },
+                          ],
+                          default: null,
+                        },
+                      },
+                    ]),
+                  }),
+                ],
+              }),
+            }),
+          }),
+        ],
+        expect.any(Object)
+      );
+    });
+
+    test("should not claim anything without registered handlers", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => ++callCount > 1,
+      });
+      await bluestreak.init();
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should run a workflow on the version it started with", async () => {
+      const v1 = jest.fn(async () => "v1");
+      const v2 = jest.fn(async () => "v2");
+
+      await startRun(
+        (instance) => {
+          instance.registerHandler("versioned-handler", v1);
+          instance.registerHandler("versioned-handler", v2, { version: 2 });
+        },
+        { version: 1 }
+      );
+
+      expect(v1).toHaveBeenCalled();
+      expect(v2).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        { $set: { status: "finished", result: "v1" } }
+      );
+    });
+
+    test("should run workflows without a version on version 1", async () => {
+      const v1 = jest.fn(async () => "v1");
+
+      await startRun((instance) => {
+        instance.registerHandler("versioned-handler", v1);
+      });
+
+      expect(v1).toHaveBeenCalled();
+    });
+
+    test("should record the patches of workflows that reach a change first", async () => {
+      let patched;
+
+      await startRun((instance) => {
+        instance.registerHandler("versioned-handler", async (ctx) => {
+          await ctx.step("step-1", async () => "done");
+          patched = await ctx.patched("change-1");
+        });
+      });
+
+      expect(patched).toBe(true);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 3 },
+        { $addToSet: { patches: "change-1" } }
+      );
+    });
+
+    test("should keep recorded patches without querying the store", async () => {
+      let patched;
+
+      await startRun(
+        (instance) => {
+          instance.registerHandler("versioned-handler", async (ctx) => {
+            patched = await ctx.patched("change-1");
+          });
+        },
+        { patches: ["change-1"] }
+      );
+
+      expect(patched).toBe(true);
+      expect(mockStepsCollection.countDocuments).not.toHaveBeenCalled();
+    });
+
+    test("should keep the old code path while replaying past a change", async () => {
+      let patched;
+      mockStepsCollection.findOne.mockResolvedValue({
+        output: "cached",
+        attempts: 1,
+      });
+      mockStepsCollection.countDocuments.mockResolvedValue(2);
+
+      await startRun((instance) => {
+        instance.registerHandler("versioned-handler", async (ctx) => {
+          await ctx.step("step-1", async () => "done");
+          patched = await ctx.patched("change-1");
+        });
+      });
+
+      expect(patched).toBe(false);
+      expect(mockStepsCollection.countDocuments).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+        output: { $exists: true },
+      });
+      expect(mockNapsCollection.countDocuments).toHaveBeenCalledWith({
+        workflowId: "workflow-1",
+      });
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        expect.anything(),
+        { $addToSet: { patches: "change-1" } }
+      );
+    });
+
+    test("should abandon the run if recording a patch loses the lease", async () => {
+      mockWorkflowsCollection.updateOne.mockResolvedValueOnce({
+        matchedCount: 0,
+      });
+
+      await startRun((instance) => {
+        instance.registerHandler("versioned-handler", async (ctx) => {
+          await ctx.patched("change-1");
+        });
+      });
+
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        expect.any(LeaseLost)
+      );
+    });
+  });
+
+  describe("workflow execution with sleep", () => {
+    beforeEach(async () => {
+      await bluestreak.init();
+    });
+
+    test("should sleep for specified duration and save to naps collection", async () => {
+      const handler = jest.fn(async (ctx) => {
+        await ctx.sleep("nap-1", 5000);
+        return "done";
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "sleep-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockNapsCollection.findOne.mockResolvedValueOnce(null); // No existing nap
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("sleep-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 1,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      // Give async work time to complete
+      await flushPromises();
+
+      expect(mockNapsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", napId: "nap-1", leaseToken: fencedBy(1) },
+        {
+          $setOnInsert: {
+            workflowId: "workflow-1",
+            napId: "nap-1",
+            wakeUpAt: new Date(mockTime + 5000),
+            sequence: 0,
+            leaseToken: 1,
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        {
+          $set: {
+            timeoutAt: new Date(mockTime + 5000 + 10000),
+          },
+        }
+      );
+    });
+
+    test("should resume from existing sleep in naps collection", async () => {
+      mockTime = 1000000;
+      const wakeUpTime = new Date(mockTime + 5000);
+
+      const handler = jest.fn(async (ctx) => {
+        await ctx.sleep("nap-1", 5000);
+        return "done";
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "resume-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockNapsCollection.findOne.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+        napId: "nap-1",
+        wakeUpAt: wakeUpTime,
+      });
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("resume-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      // Give async work time to complete
+      await flushPromises();
+
+      expect(global.setTimeout).toHaveBeenCalled();
+      // Should not insert new nap since it already exists
+      expect(mockNapsCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("should skip sleep if wakeUpAt time has passed", async () => {
+      mockTime = 1000000;
+      const wakeUpTime = new Date(mockTime - 5000); // Wake up time in the past
+
+      const handler = jest.fn(async (ctx) => {
+        await ctx.sleep("nap-1", 5000);
+        return "done";
+      });
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "past-handler",
+        input: {},
+        failures: 0,
+      });
+
+      mockNapsCollection.findOne.mockResolvedValueOnce({
+        workflowId: "workflow-1",
+        napId: "nap-1",
+        wakeUpAt: wakeUpTime,
+      });
+
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("past-handler", handler);
+
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+
+      // Should complete without actually sleeping
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "done" } }
+      );
+    });
+  });
+
+  describe("workflow execution with signals", () => {
+    const runOnce = async (handler) => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        timeoutInterval: 10000,
+        errorCallback: jest.fn(),
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("signal-handler", handler);
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "signal-handler",
+        input: {},
         failures: 0,
       });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          leaseToken: 1,
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    test("should return the payload of a received signal", async () => {
+      mockSignalsCollection.findOne.mockResolvedValue({
+        workflowId: "workflow-1",
+        signalName: "approval",
+        expiresAt: null,
+        payload: { approved: true },
+        receivedAt: new Date(mockTime - 1000),
+      });
+
+      await runOnce(async (ctx) => await ctx.waitForSignal("approval"));
+
+      expect(mockSignalsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: { approved: true } } }
+      );
+    });
+
+    test("should record the wait and suspend the workflow", async () => {
+      const afterWait = jest.fn();
+
+      await runOnce(async (ctx) => {
+        await ctx.waitForSignal("approval", { timeoutMs: 60000 });
+        afterWait();
+      });
+
+      expect(afterWait).not.toHaveBeenCalled();
+      expect(mockSignalsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          signalName: "approval",
+          leaseToken: fencedBy(1),
+        },
+        {
+          $setOnInsert: {
+            workflowId: "workflow-1",
+            signalName: "approval",
+            expiresAt: new Date(mockTime + 60000),
+            leaseToken: 1,
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        {
+          $set: {
+            status: "waiting",
+            timeoutAt: new Date(mockTime + 60000),
+          },
+        }
+      );
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "waiting" },
+        expect.anything()
+      );
+    });
 
-      await bluestreak.poll();
+    test("should wait forever when no timeout is given", async () => {
+      await runOnce(async (ctx) => await ctx.waitForSignal("approval"));
 
-      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalled();
-      expect(handler).toHaveBeenCalledWith(expect.any(Object), {
-        data: "test",
-      });
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
-        { workflowId: "workflow-1" },
-        { $set: { status: "finished", result: "result" } }
+        { workflowId: "workflow-1", leaseToken: 1 },
+        {
+          $set: {
+            status: "waiting",
+            timeoutAt: new Date(8_640_000_000_000_000),
+          },
+        }
       );
     });
 
-    test("should reject on HandlerNotFound", async () => {
-      let callCount = 0;
-      bluestreak = new Bluestreak({
-        dbUrl: "mongodb://localhost:27017",
-        dbName: "test-db",
-        shouldStop: () => {
-          callCount++;
-          return callCount > 2;
-        },
-        pollInterval: 5000,
-      });
-      await bluestreak.init();
+    test("should wake the workflow if the signal arrived while suspending", async () => {
+      mockSignalsCollection.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+          signalName: "approval",
+          expiresAt: null,
+          payload: {},
+          receivedAt: new Date(mockTime),
+        });
 
-      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValueOnce({
+      await runOnce(async (ctx) => await ctx.waitForSignal("approval"));
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+    });
+
+    test("should throw SignalTimeout once the deadline has passed", async () => {
+      let caught;
+      mockSignalsCollection.findOne.mockResolvedValue({
         workflowId: "workflow-1",
+        signalName: "approval",
+        expiresAt: new Date(mockTime - 1000),
+        payload: {},
+        receivedAt: new Date(mockTime - 500),
       });
 
-      mockWorkflowsCollection.findOne.mockResolvedValue({
-        handlerId: "missing-handler",
-        input: {},
-        failures: 0,
+      await runOnce(async (ctx) => {
+        try {
+          await ctx.waitForSignal("approval", { timeoutMs: 60000 });
+        } catch (err) {
+          caught = err;
+        }
+        return "timed-out";
       });
 
-      await expect(bluestreak.poll()).rejects.toThrow(HandlerNotFound);
+      expect(caught).toBeInstanceOf(SignalTimeout);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: "timed-out" } }
+      );
     });
+  });
 
-    test("should reject on WorkflowNotFound", async () => {
+  describe("workflow execution with child workflows", () => {
+    const runOnce = async (handler, runData = {}) => {
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
@@ -492,39 +4120,139 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
-        pollInterval: 5000,
+        maxFailures: 0,
       });
       await bluestreak.init();
+      bluestreak.registerHandler("parent-handler", handler);
 
-      mockWorkflowsCollection.findOneAndUpdate.mockResolvedValueOnce({
-        workflowId: "workflow-1",
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "parent-handler",
+        input: {},
+        failures: 0,
+        parentId: null,
+        ...runData,
       });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
 
-      mockWorkflowsCollection.findOne.mockResolvedValue(null);
+      await bluestreak.poll();
+      await flushPromises();
+    };
 
-      await expect(bluestreak.poll()).rejects.toThrow(WorkflowNotFound);
+    test("should start a child workflow linked to its parent", async () => {
+      await runOnce(async (ctx) => {
+        await ctx.startChild("child-1", "child-handler", { n: 1 });
+        return "started";
+      });
+
+      expect(mockWorkflowsCollection.insertOne).toHaveBeenCalledWith({
+        workflowId: "child-1",
+        handlerId: "child-handler",
+        version: null,
+        input: { n: 1 },
+        parentId: "workflow-1",
+        priority: 0,
+        tags: [],
+        failures: 0,
+        status: "idle",
+        timeoutAt: new Date(mockTime),
+        createdAt: new Date(mockTime),
+      });
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "started" } }
+      );
     });
-  });
 
-  describe("workflow execution with steps", () => {
-    beforeEach(async () => {
-      await bluestreak.init();
+    test("should not start a child twice on replay", async () => {
+      const error = new Error("Duplicate key");
+      error.name = "MongoServerError";
+      error.code = 11000;
+      mockWorkflowsCollection.insertOne.mockRejectedValue(error);
+
+      await runOnce(async (ctx) => {
+        await ctx.startChild("child-1", "child-handler", {});
+        return "replayed";
+      });
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "replayed" } }
+      );
     });
 
-    test("should execute steps and save to steps collection", async () => {
-      const stepFn = jest.fn(async () => "step-result");
-      const handler = jest.fn(async (ctx) => {
-        const result = await ctx.step("step-1", stepFn);
-        return result;
+    test("should return the result of a finished child", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "finished",
+        result: "child-result",
       });
 
-      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "step-handler",
-        input: {},
-        failures: 0,
+      await runOnce(
+        async (ctx) => await ctx.executeChild("child-1", "child-handler", {})
+      );
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "child-result" } }
+      );
+    });
+
+    test("should throw ChildWorkflowFailed for an aborted child", async () => {
+      let caught;
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "aborted",
       });
 
-      mockStepsCollection.findOne.mockResolvedValueOnce(null); // No cached step
+      await runOnce(async (ctx) => {
+        try {
+          await ctx.executeChild("child-1", "child-handler", {});
+        } catch (err) {
+          caught = err;
+        }
+      });
+
+      expect(caught).toBeInstanceOf(ChildWorkflowFailed);
+      expect(caught.workflowId).toBe("child-1");
+    });
+
+    test("should suspend the parent while the child is running", async () => {
+      mockWorkflowsCollection.findOne.mockResolvedValue({
+        status: "running",
+      });
+
+      await runOnce(
+        async (ctx) => await ctx.executeChild("child-1", "child-handler", {})
+      );
+
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        {
+          $set: {
+            status: "waiting",
+            timeoutAt: new Date(8_640_000_000_000_000),
+          },
+        }
+      );
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "waiting" },
+        expect.anything()
+      );
+    });
+
+    test("should wake the parent if the child finished while suspending", async () => {
+      mockWorkflowsCollection.findOne
+        .mockResolvedValueOnce({
+          handlerId: "parent-handler",
+          input: {},
+          failures: 0,
+          parentId: null,
+        })
+        .mockResolvedValueOnce({ status: "running" }) // cancellation check
+        .mockResolvedValueOnce({ status: "running" })
+        .mockResolvedValueOnce({ status: "finished", result: "done" });
 
       let callCount = 0;
       bluestreak = new Bluestreak({
@@ -534,61 +4262,66 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
-        timeoutInterval: 10000,
       });
       await bluestreak.init();
-      bluestreak.registerHandler("step-handler", handler);
-
+      bluestreak.registerHandler(
+        "parent-handler",
+        async (ctx) => await ctx.executeChild("child-1", "child-handler", {})
+      );
       mockWorkflowsCollection.findOneAndUpdate
-        .mockResolvedValueOnce({
-          workflowId: "workflow-1",
-        })
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
-      expect(stepFn).toHaveBeenCalled();
-      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
-        { workflowId: "workflow-1", stepId: "step-1" },
-        {
-          $setOnInsert: {
-            workflowId: "workflow-1",
-            stepId: "step-1",
-            output: "step-result",
-          },
-        },
-        { upsert: true }
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
       );
+    });
+
+    test("should wake the parent when a child finishes", async () => {
+      await runOnce(async () => "child-result", { parentId: "parent-1" });
+
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        {
-          $set: {
-            timeoutAt: new Date(mockTime + 10000),
-          },
-        }
+        { $set: { status: "finished", result: "child-result" } }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "parent-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
       );
     });
 
-    test("should use cached step results from steps collection", async () => {
-      const stepFn = jest.fn(async () => "new-result");
-      const handler = jest.fn(async (ctx) => {
-        return await ctx.step("step-1", stepFn);
-      });
+    test("should wake the parent when a child is aborted", async () => {
+      await runOnce(
+        async () => {
+          throw new Error("Child failed");
+        },
+        { parentId: "parent-1" }
+      );
 
-      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "cached-handler",
-        input: {},
-        failures: 0,
-      });
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        failedRunUpdate({
+          status: "aborted",
+          timeoutAt: new Date(mockTime + 1000),
+          failures: 1,
+        })
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "parent-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+    });
+  });
 
-      mockStepsCollection.findOne.mockResolvedValueOnce({
-        workflowId: "workflow-1",
-        stepId: "step-1",
-        output: "cached-result",
-      });
+  describe("workflow execution with cancellation", () => {
+    let errorCallback;
 
+    const runOnce = async (handler, runData = {}) => {
+      errorCallback = jest.fn();
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
@@ -597,10 +4330,20 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
+        errorCallback,
       });
       await bluestreak.init();
-      bluestreak.registerHandler("cached-handler", handler);
+      bluestreak.registerHandler("cancel-handler", handler);
 
+      mockWorkflowsCollection.findOne
+        .mockResolvedValueOnce({
+          handlerId: "cancel-handler",
+          input: {},
+          failures: 0,
+          parentId: null,
+          ...runData,
+        })
+        .mockResolvedValue({ status: "cancelling", cancelReason: "stop" });
       mockWorkflowsCollection.findOneAndUpdate
         .mockResolvedValueOnce({
           workflowId: "workflow-1",
@@ -608,92 +4351,134 @@ describe("Bluestreak", () => {
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
+    };
+
+    test("should throw WorkflowCancelled from ctx.step and run cleanups", async () => {
+      const stepFn = jest.fn();
+      const cleanups = [];
+      let caught;
+
+      await runOnce(async (ctx) => {
+        ctx.onCancel(async (reason) => cleanups.push(`first:${reason}`));
+        ctx.onCancel(async (reason) => cleanups.push(`second:${reason}`));
+        try {
+          await ctx.step("step-1", stepFn);
+        } catch (err) {
+          caught = err;
+          throw err;
+        }
+      });
 
       expect(stepFn).not.toHaveBeenCalled();
+      expect(caught).toBeInstanceOf(WorkflowCancelled);
+      expect(caught.reason).toBe("stop");
+      expect(cleanups).toEqual(["second:stop", "first:stop"]);
+      expect(errorCallback).not.toHaveBeenCalled();
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        { $set: { status: "finished", result: "cached-result" } }
+        { $set: { status: "cancelled" } }
       );
     });
 
-    test("should handle multiple steps in sequence", async () => {
-      let resolveHandler;
-      const handlerComplete = new Promise((resolve) => {
-        resolveHandler = resolve;
-      });
-
-      const step1Fn = jest.fn(async () => "result-1");
-      const step2Fn = jest.fn(async () => "result-2");
-      const handler = jest.fn(async (ctx) => {
-        const r1 = await ctx.step("step-1", step1Fn);
-        const r2 = await ctx.step("step-2", step2Fn);
-        resolveHandler();
-        return `${r1}-${r2}`;
+    test("should replay completed steps to reach the cleanups registered after them", async () => {
+      mockStepsCollection.findOne.mockResolvedValue({
+        output: "charged",
+        attempts: 1,
+        sequence: 0,
       });
+      const stepFn = jest.fn();
+      const cleanup = jest.fn();
 
-      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "multi-step-handler",
-        input: {},
-        failures: 0,
+      await runOnce(async (ctx) => {
+        await ctx.step("step-1", stepFn);
+        ctx.onCancel(cleanup);
+        await ctx.waitForSignal("approval");
       });
 
-      mockStepsCollection.findOne
-        .mockResolvedValueOnce(null) // step-1 not cached
-        .mockResolvedValueOnce(null); // step-2 not cached
+      expect(stepFn).not.toHaveBeenCalled();
+      expect(cleanup).toHaveBeenCalledWith("stop");
+      expect(mockSignalsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "cancelled" } }
+      );
+    });
 
-      let callCount = 0;
-      bluestreak = new Bluestreak({
-        dbUrl: "mongodb://localhost:27017",
-        dbName: "test-db",
-        shouldStop: () => {
-          callCount++;
-          return callCount > 2;
-        },
-        timeoutInterval: 10000,
+    test("should throw WorkflowCancelled from ctx.sleep", async () => {
+      await runOnce(async (ctx) => {
+        await ctx.sleep("nap-1", 1000);
       });
-      await bluestreak.init();
-      bluestreak.registerHandler("multi-step-handler", handler);
 
-      mockWorkflowsCollection.findOneAndUpdate
-        .mockResolvedValueOnce({
-          workflowId: "workflow-1",
-        })
-        .mockResolvedValue(null);
+      expect(mockNapsCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "cancelled" } }
+      );
+    });
 
-      const pollPromise = bluestreak.poll();
-      await handlerComplete;
-      await new Promise((resolve) => setTimeout(resolve, 0));
+    test("should cancel even if the handler swallows the error", async () => {
+      await runOnce(async (ctx) => {
+        try {
+          await ctx.waitForSignal("approval");
+        } catch {
+          // ignored on purpose
+        }
+        return "done";
+      });
 
-      expect(step1Fn).toHaveBeenCalled();
-      expect(step2Fn).toHaveBeenCalled();
-      expect(mockStepsCollection.updateOne).toHaveBeenCalledTimes(2);
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        { $set: { status: "finished", result: "result-1-result-2" } }
+        { $set: { status: "cancelled" } }
+      );
+      expect(mockWorkflowsCollection.updateOne).not.toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "finished", result: "done" } }
       );
     });
-  });
 
-  describe("workflow execution with sleep", () => {
-    beforeEach(async () => {
-      await bluestreak.init();
+    test("should report failing cleanups and keep running the others", async () => {
+      const cleanupError = new Error("cleanup failed");
+      const cleanup = jest.fn();
+
+      await runOnce(async (ctx) => {
+        ctx.onCancel(cleanup);
+        ctx.onCancel(() => {
+          throw cleanupError;
+        });
+        await ctx.executeChild("child-1", "child-handler", {});
+      });
+
+      expect(cleanup).toHaveBeenCalledWith("stop");
+      expect(errorCallback).toHaveBeenCalledWith("workflow-1", cleanupError);
+      expect(mockWorkflowsCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        { $set: { status: "cancelled" } }
+      );
     });
 
-    test("should sleep for specified duration and save to naps collection", async () => {
-      const handler = jest.fn(async (ctx) => {
-        await ctx.sleep("nap-1", 5000);
-        return "done";
+    test("should wake the parent of a cancelled child", async () => {
+      await runOnce(async (ctx) => await ctx.step("step-1", jest.fn()), {
+        parentId: "parent-1",
       });
 
-      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "sleep-handler",
-        input: {},
-        failures: 0,
-      });
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "parent-1", status: "waiting" },
+        { $set: { timeoutAt: new Date(mockTime) } }
+      );
+    });
 
-      mockNapsCollection.findOne.mockResolvedValueOnce(null); // No existing nap
+    test("should throw ChildWorkflowFailed for a cancelled child", async () => {
+      let caught;
+      mockWorkflowsCollection.findOne
+        .mockResolvedValueOnce({
+          handlerId: "parent-handler",
+          input: {},
+          failures: 0,
+          parentId: null,
+        })
+        .mockResolvedValueOnce({ status: "cancelled" });
 
       let callCount = 0;
       bluestreak = new Bluestreak({
@@ -703,63 +4488,36 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
-        timeoutInterval: 10000,
       });
       await bluestreak.init();
-      bluestreak.registerHandler("sleep-handler", handler);
-
+      bluestreak.registerHandler("parent-handler", async (ctx) => {
+        try {
+          await ctx.executeChild("child-1", "child-handler", {});
+        } catch (err) {
+          caught = err;
+        }
+      });
       mockWorkflowsCollection.findOneAndUpdate
-        .mockResolvedValueOnce({
-          workflowId: "workflow-1",
-        })
+        .mockResolvedValueOnce({ workflowId: "workflow-1" })
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
-      expect(mockNapsCollection.updateOne).toHaveBeenCalledWith(
-        { workflowId: "workflow-1", napId: "nap-1" },
-        {
-          $setOnInsert: {
-            workflowId: "workflow-1",
-            napId: "nap-1",
-            wakeUpAt: new Date(mockTime + 5000),
-          },
-        },
-        { upsert: true }
-      );
-      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
-        { workflowId: "workflow-1" },
-        {
-          $set: {
-            timeoutAt: new Date(mockTime + 5000 + 10000),
-          },
-        }
-      );
+      expect(caught).toBeInstanceOf(ChildWorkflowFailed);
     });
+  });
 
-    test("should resume from existing sleep in naps collection", async () => {
-      mockTime = 1000000;
-      const wakeUpTime = new Date(mockTime + 5000);
-
-      const handler = jest.fn(async (ctx) => {
-        await ctx.sleep("nap-1", 5000);
-        return "done";
-      });
-
+  describe("workflow execution with parallel steps", () => {
+    test("should map items to steps and share lease renewals", async () => {
+      const handler = async (ctx) =>
+        await ctx.map("double", [1, 2], async (n) => n * 2);
       mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "resume-handler",
+        handlerId: "map-handler",
         input: {},
         failures: 0,
       });
 
-      mockNapsCollection.findOne.mockResolvedValueOnce({
-        workflowId: "workflow-1",
-        napId: "nap-1",
-        wakeUpAt: wakeUpTime,
-      });
-
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
@@ -768,46 +4526,53 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
+        timeoutInterval: 10000,
       });
       await bluestreak.init();
-      bluestreak.registerHandler("resume-handler", handler);
-
+      bluestreak.registerHandler("map-handler", handler);
       mockWorkflowsCollection.findOneAndUpdate
         .mockResolvedValueOnce({
           workflowId: "workflow-1",
+          leaseToken: 1,
         })
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
-      expect(global.setTimeout).toHaveBeenCalled();
-      // Should not insert new nap since it already exists
-      expect(mockNapsCollection.updateOne).not.toHaveBeenCalled();
+      for (const [index, output] of [2, 4].entries()) {
+        expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+          {
+            workflowId: "workflow-1",
+            stepId: `double:${index}`,
+            output: { $exists: false },
+            leaseToken: fencedBy(1),
+          },
+          {
+            $set: {
+              output,
+              attempts: 1,
+              sequence: index,
+              compensable: false,
+              leaseToken: 1,
+            },
+          },
+          { upsert: true }
+        );
+      }
+      const renewals = mockWorkflowsCollection.updateOne.mock.calls.filter(
+        ([, update]) => update.$set && "timeoutAt" in update.$set
+      );
+      expect(renewals).toHaveLength(1);
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "finished", result: [2, 4] } }
+      );
     });
+  });
 
-    test("should skip sleep if wakeUpAt time has passed", async () => {
-      mockTime = 1000000;
-      const wakeUpTime = new Date(mockTime - 5000); // Wake up time in the past
-
-      const handler = jest.fn(async (ctx) => {
-        await ctx.sleep("nap-1", 5000);
-        return "done";
-      });
-
-      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
-        handlerId: "past-handler",
-        input: {},
-        failures: 0,
-      });
-
-      mockNapsCollection.findOne.mockResolvedValueOnce({
-        workflowId: "workflow-1",
-        napId: "nap-1",
-        wakeUpAt: wakeUpTime,
-      });
-
+  describe("workflow execution with compensations", () => {
+    const runOnce = async (handler, runData, params = {}) => {
       let callCount = 0;
       bluestreak = new Bluestreak({
         dbUrl: "mongodb://localhost:27017",
@@ -816,23 +4581,102 @@ describe("Bluestreak", () => {
           callCount++;
           return callCount > 2;
         },
+        errorCallback: jest.fn(),
+        ...params,
       });
       await bluestreak.init();
-      bluestreak.registerHandler("past-handler", handler);
+      bluestreak.registerHandler("saga-handler", handler);
 
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "saga-handler",
+        input: {},
+        failures: 0,
+        parentId: null,
+        ...runData,
+      });
       mockWorkflowsCollection.findOneAndUpdate
         .mockResolvedValueOnce({
           workflowId: "workflow-1",
+          leaseToken: 1,
         })
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
+    };
 
-      // Should complete without actually sleeping
+    test("should start compensating aborted workflows with compensable steps", async () => {
+      mockStepsCollection.countDocuments.mockResolvedValueOnce(1);
+
+      await runOnce(
+        async () => {
+          throw new Error("Handler failed");
+        },
+        {},
+        { maxFailures: 0 }
+      );
+
+      expect(mockStepsCollection.countDocuments).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          output: { $exists: true },
+          compensable: true,
+        },
+        { limit: 1 }
+      );
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
-        { workflowId: "workflow-1" },
-        { $set: { status: "finished", result: "done" } }
+        { workflowId: "workflow-1", leaseToken: 1 },
+        failedRunUpdate(
+          {
+            status: "compensating",
+            timeoutAt: new Date(mockTime),
+            failures: 0,
+          },
+          1
+        )
+      );
+    });
+
+    test("should compensate completed steps and mark the workflow as compensated", async () => {
+      const bookFn = jest.fn();
+      const payFn = jest.fn();
+      const compensate = jest.fn(async () => "refunded");
+      mockStepsCollection.findOne
+        .mockResolvedValueOnce({ output: "hotel-1", attempts: 1, sequence: 0 })
+        .mockResolvedValue(null);
+
+      await runOnce(
+        async (ctx) => {
+          await ctx.step("book", bookFn, { compensate });
+          await ctx.step("pay", payFn);
+        },
+        { status: "compensating" }
+      );
+
+      expect(bookFn).not.toHaveBeenCalled();
+      expect(payFn).not.toHaveBeenCalled();
+      expect(compensate).toHaveBeenCalledWith("hotel-1", expect.anything());
+      expect(mockStepsCollection.updateOne).toHaveBeenCalledWith(
+        {
+          workflowId: "workflow-1",
+          stepId: "compensate:book",
+          output: { $exists: false },
+          leaseToken: fencedBy(1),
+        },
+        {
+          $set: {
+            output: "refunded",
+            attempts: 1,
+            sequence: 1,
+            compensable: false,
+            leaseToken: 1,
+          },
+        },
+        { upsert: true }
+      );
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1", leaseToken: 1 },
+        { $set: { status: "compensated" } }
       );
     });
   });
@@ -877,7 +4721,7 @@ describe("Bluestreak", () => {
 
       await bluestreak.poll();
       // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
       expect(errorCallback).toHaveBeenCalledWith(
         "workflow-1",
@@ -885,13 +4729,11 @@ describe("Bluestreak", () => {
       );
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        {
-          $set: {
-            status: "failed",
-            timeoutAt: new Date(mockTime + 1000),
-            failures: 1,
-          },
-        }
+        failedRunUpdate({
+          status: "failed",
+          timeoutAt: new Date(mockTime + 1000),
+          failures: 1,
+        })
       );
     });
 
@@ -928,17 +4770,15 @@ describe("Bluestreak", () => {
 
       await bluestreak.poll();
       // Give async work time to complete
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        {
-          $set: {
-            status: "aborted",
-            timeoutAt: new Date(mockTime + 1000),
-            failures: 4,
-          },
-        }
+        failedRunUpdate({
+          status: "aborted",
+          timeoutAt: new Date(mockTime + 1000),
+          failures: 4,
+        })
       );
     });
 
@@ -974,19 +4814,129 @@ describe("Bluestreak", () => {
         .mockResolvedValue(null);
 
       await bluestreak.poll();
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
       // Should still update status to failed
       expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
         { workflowId: "workflow-1" },
-        {
-          $set: {
-            status: "failed",
-            timeoutAt: new Date(mockTime + 1000),
-            failures: 1,
-          },
-        }
+        failedRunUpdate({
+          status: "failed",
+          timeoutAt: new Date(mockTime + 1000),
+          failures: 1,
+        })
+      );
+    });
+  });
+
+  describe("workflow retry policy", () => {
+    let registerOptions;
+
+    const failOnce = async (params, failures) => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 2;
+        },
+        waitRetryInterval: 1000,
+        ...params,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler(
+        "policy-handler",
+        async () => {
+          throw new Error("down");
+        },
+        registerOptions
+      );
+
+      mockWorkflowsCollection.findOne.mockResolvedValueOnce({
+        handlerId: "policy-handler",
+        input: {},
+        failures,
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce({
+          workflowId: "workflow-1",
+        })
+        .mockResolvedValue(null);
+
+      await bluestreak.poll();
+      await flushPromises();
+    };
+
+    const expectStatus = (status, delay, failures) => {
+      expect(mockWorkflowsCollection.updateOne).toHaveBeenCalledWith(
+        { workflowId: "workflow-1" },
+        failedRunUpdate({
+          status,
+          timeoutAt: new Date(mockTime + delay),
+          failures,
+        })
+      );
+    };
+
+    beforeEach(() => {
+      registerOptions = undefined;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should grow the retry interval exponentially", async () => {
+      await failOnce({ retryPolicy: { backoffCoefficient: 2 } }, 3);
+
+      expectStatus("failed", 8000, 4);
+    });
+
+    test("should cap the retry interval at maxInterval", async () => {
+      await failOnce(
+        { retryPolicy: { backoffCoefficient: 2, maxInterval: 5000 } },
+        3
+      );
+
+      expectStatus("failed", 5000, 4);
+    });
+
+    test("should subtract a random fraction of the interval as jitter", async () => {
+      jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+      await failOnce(
+        { retryPolicy: { backoffCoefficient: 2, jitter: 0.2 } },
+        1
+      );
+
+      expectStatus("failed", 1800, 2);
+    });
+
+    test("should abort once maxRetryDuration is exceeded", async () => {
+      // Intervals: 1000 + 2000 + 4000 = 7000 > 5000
+      await failOnce(
+        { retryPolicy: { backoffCoefficient: 2, maxRetryDuration: 5000 } },
+        2
+      );
+
+      expectStatus("aborted", 4000, 3);
+    });
+
+    test("should keep retrying within maxRetryDuration", async () => {
+      await failOnce(
+        { retryPolicy: { backoffCoefficient: 2, maxRetryDuration: 5000 } },
+        1
       );
+
+      expectStatus("failed", 2000, 2);
+    });
+
+    test("should let handlers override the retry policy", async () => {
+      registerOptions = { retryPolicy: { maxInterval: 3000 } };
+
+      await failOnce({ retryPolicy: { backoffCoefficient: 10 } }, 2);
+
+      expectStatus("failed", 3000, 3);
     });
   });
 
@@ -1018,29 +4968,166 @@ describe("Bluestreak", () => {
           return callCount > 2;
         },
         timeoutInterval: 10000,
+        workerId: "worker-1",
       });
       await bluestreak.init();
       bluestreak.registerHandler("test-handler", handler);
 
       await bluestreak.poll();
 
-      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledWith(
-        {
-          status: { $in: ["idle", "running", "failed"] },
-          timeoutAt: { $lt: new Date(mockTime) },
+      const filter = {
+        status: {
+          $in: [
+            "idle",
+            "running",
+            "failed",
+            "waiting",
+            "cancelling",
+            "compensating",
+          ],
         },
+        $or: [
+          { handlerId: "test-handler", version: { $in: [1, null] } },
+          { handlerId: "test-handler", version: null, leaseToken: null },
+        ],
+        timeoutAt: { $lt: new Date(mockTime) },
+      };
+      const update = [
         {
           $set: {
-            status: "running",
+            status: {
+              $cond: [
+                { $in: ["$status", ["cancelling", "compensating"]] },
+                "$status",
+                "running",
+              ],
+            },
+            version: {
+              $ifNull: [
+                "$version",
+                {
+                  $cond: [
+                    { $eq: [{ $ifNull: ["$leaseToken", null] }, null] },
+                    {
+                      $switch: {
+                        branches: [
+                          {
+                            case: { $eq: ["$handlerId", "test-handler"] },
+                            then: 1,
+                          },
+                        ],
+                        default: null,
+                      },
+                    },
+                    "$$REMOVE",
+                  ],
+                },
+              ],
+            },
             timeoutAt: new Date(mockTime + 10000),
+            workerId: { $literal: "worker-1" },
+            leaseToken: { $add: [{ $ifNull: ["$leaseToken", 0] }, 1] },
           },
         },
+      ];
+      const options = {
+        projection: {
+          _id: 0,
+          workflowId: 1,
+          leaseToken: 1,
+        },
+        returnDocument: "after",
+      };
+      // Ready workflows are ranked by their priority raised by aging
+      expect(mockWorkflowsCollection.aggregate).toHaveBeenNthCalledWith(1, [
+        { $match: filter },
         {
-          projection: {
-            _id: 0,
-            workflowId: 1,
+          $set: {
+            effectivePriority: {
+              $add: [
+                { $ifNull: ["$priority", 0] },
+                {
+                  $floor: {
+                    $divide: [
+                      { $subtract: [new Date(mockTime), "$timeoutAt"] },
+                      60000,
+                    ],
+                  },
+                },
+              ],
+            },
           },
-        }
+        },
+        { $sort: { effectivePriority: -1, timeoutAt: 1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, workflowId: 1 } },
+      ]);
+      // Then the best candidate is claimed
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { ...filter, workflowId: "workflow-1" },
+        update,
+        { ...options, sort: {} }
+      );
+    });
+
+    test("should claim the next candidate if another worker claimed the first", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => ++callCount > 1,
+        maxConcurrentWorkflows: 1,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("test-handler", jest.fn());
+      mockWorkflowsCollection.aggregate.mockReturnValueOnce({
+        toArray: jest
+          .fn()
+          .mockResolvedValue([
+            { workflowId: "workflow-1" },
+            { workflowId: "workflow-2" },
+          ]),
+      });
+      mockWorkflowsCollection.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ workflowId: "workflow-2", leaseToken: 1 });
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenLastCalledWith(
+        expect.objectContaining({ workflowId: "workflow-2" }),
+        expect.any(Object),
+        expect.any(Object)
+      );
+      expect(mockEventsCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ workflowId: "workflow-2", type: "Claimed" })
+      );
+    });
+
+    test("should only claim by priority when aging is disabled", async () => {
+      let callCount = 0;
+      bluestreak = new Bluestreak({
+        dbUrl: "mongodb://localhost:27017",
+        dbName: "test-db",
+        shouldStop: () => {
+          callCount++;
+          return callCount > 1;
+        },
+        priorityAgingInterval: Infinity,
+      });
+      await bluestreak.init();
+      bluestreak.registerHandler("test-handler", jest.fn());
+
+      await bluestreak.poll();
+
+      expect(mockWorkflowsCollection.aggregate).not.toHaveBeenCalled();
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockWorkflowsCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ timeoutAt: { $lt: new Date(mockTime) } }),
+        expect.any(Object),
+        expect.objectContaining({ sort: { priority: -1, timeoutAt: 1 } })
       );
     });
   });
@@ -1094,7 +5181,7 @@ describe("Bluestreak", () => {
 
       const pollPromise = bluestreak.poll();
       await handlerComplete;
-      await new Promise((resolve) => setTimeout(resolve, 0));
+      await flushPromises();
 
       expect(stepFn).toHaveBeenCalled();
       expect(mockStepsCollection.updateOne).toHaveBeenCalled();
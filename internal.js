@@ -0,0 +1,43 @@
+/**
+ * Internals shared by Bluestreak and TestWorkflowEnvironment. Not part of the
+ * public API.
+ */
+
+/**
+ * Latest representable date, used as the timeoutAt of workflows that wait
+ * for an external event without a deadline.
+ */
+export const NEVER = new Date(8_640_000_000_000_000);
+
+/**
+ * Statuses of workflows that will never run again, unless retried or reset.
+ */
+export const FINAL_STATUSES = Object.freeze([
+  "finished",
+  "aborted",
+  "cancelled",
+  "compensated",
+]);
+
+/**
+ * Builds a map function, as in ctx.map, on top of an all function, as in
+ * ctx.all.
+ *
+ * The step of the item at index i has the ID "<prefix>:<i>".
+ *
+ * @param {(steps: import("./index.js").ParallelStep[], options?: import("./index.js").ParallelOptions) => Promise<any[]>} all - The all function to execute the steps with
+ * @returns {(prefix: string, items: any[], fn: (item: any, stepCtx: import("./index.js").StepContext) => Promise<any>, options?: import("./index.js").MapOptions) => Promise<any[]>} The map function
+ */
+export function mapSteps(all) {
+  return async (prefix, items, fn, options = {}) => {
+    const { concurrency, ...stepOptions } = options;
+    return await all(
+      items.map((item, index) => ({
+        stepId: `${prefix}:${index}`,
+        fn: (stepCtx) => fn(item, stepCtx),
+        options: stepOptions,
+      })),
+      { concurrency }
+    );
+  };
+}
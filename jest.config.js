@@ -2,7 +2,14 @@ export default {
   testEnvironment: "node",
   transform: {},
   testMatch: ["**/*.test.js"],
-  collectCoverageFrom: ["index.js"],
+  collectCoverageFrom: [
+    "index.js",
+    "mongo-store.js",
+    "memory-store.js",
+    "test-environment.js",
+    "cron.js",
+    "internal.js",
+  ],
   coveragePathIgnorePatterns: ["/node_modules/"],
   testTimeout: 30000,
   coverageThreshold: {
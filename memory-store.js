@@ -0,0 +1,1105 @@
+/**
+ * MemoryStore - An in-memory storage backend of Bluestreak.
+ *
+ * Implements the same store interface as MongoStore, keeping workflows, steps,
+ * naps, signals and schedules in maps and events in an array. Documents are
+ * cloned on the way in and out so that handlers can't mutate stored state,
+ * just like with a real database. Useful for unit tests and local
+ * development; nothing survives the process.
+ *
+ * Expiry times are stored but, as the store never reads the clock, expired
+ * records are only deleted by purging them. Purged workflows are archived in
+ * memory, readable with listArchived.
+ */
+export class MemoryStore {
+  #workflows;
+  #steps;
+  #naps;
+  #signals;
+  #events;
+  #schedules;
+  #archive;
+
+  /**
+   * Creates a new MemoryStore instance.
+   */
+  constructor() {
+    this.#workflows = new Map();
+    this.#steps = new Map();
+    this.#naps = new Map();
+    this.#signals = new Map();
+    this.#events = [];
+    this.#archive = new Map();
+    this.#schedules = new Map();
+  }
+
+  /**
+   * Does nothing, the maps are ready as soon as the store is created.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Does nothing, there is no connection to close.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Inserts a new workflow.
+   *
+   * @param {Object} workflow - The workflow document
+   * @returns {Promise<boolean>} Returns true if workflow was inserted, false if it already exists
+   */
+  async insertWorkflow(workflow) {
+    if (this.#workflows.has(workflow.workflowId)) {
+      return false;
+    }
+    this.#workflows.set(workflow.workflowId, structuredClone(workflow));
+    return true;
+  }
+
+  /**
+   * Finds a workflow by its ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} The workflow document or null if not found
+   */
+  async findWorkflow(workflowId) {
+    return this.#clone(this.#workflows.get(workflowId));
+  }
+
+  /**
+   * Finds the child workflows started by a workflow.
+   *
+   * @param {string} parentId - The ID of the parent workflow
+   * @returns {Promise<Object[]>} The child workflow documents
+   */
+  async findChildren(parentId) {
+    return [...this.#workflows.values()]
+      .filter((workflow) => workflow.parentId === parentId)
+      .map((workflow) => structuredClone(workflow));
+  }
+
+  /**
+   * Lists the workflows matching a query, by descending createdAt then
+   * workflowId. Workflows stored without a createdAt come last.
+   *
+   * @param {import("./index.js").WorkflowQuery} query - The filter and page
+   * @returns {Promise<Object[]>} The workflow documents
+   */
+  async listWorkflows(query) {
+    return [...this.#workflows.values()]
+      .filter(
+        (workflow) =>
+          this.#matches(workflow, query) &&
+          (!query.after || this.#compareWorkflows(workflow, query.after) > 0)
+      )
+      .sort((a, b) => this.#compareWorkflows(a, b))
+      .slice(0, query.limit)
+      .map((workflow) => structuredClone(workflow));
+  }
+
+  /**
+   * Counts the workflows matching a query by handler and status.
+   *
+   * @param {import("./index.js").WorkflowQuery} query - The filter
+   * @returns {Promise<{handlerId: string, status: string, count: number}[]>} The non-empty groups, sorted by handlerId then status
+   */
+  async countWorkflows(query) {
+    const groups = new Map();
+    for (const workflow of this.#workflows.values()) {
+      if (this.#matches(workflow, query)) {
+        const key = this.#key(workflow.handlerId, workflow.status);
+        const group = groups.get(key) || {
+          handlerId: workflow.handlerId,
+          status: workflow.status,
+          count: 0,
+        };
+        group.count++;
+        groups.set(key, group);
+      }
+    }
+    return [...groups.values()].sort(
+      (a, b) =>
+        this.#compareIds(a.handlerId, b.handlerId) ||
+        this.#compareIds(a.status, b.status)
+    );
+  }
+
+  /**
+   * Finds the data needed to run a workflow (status, handlerId, version,
+   * input, failures, parentId, patches).
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status, handlerId, version, input, failures, parentId and patches, or null if not found
+   */
+  async findRunData(workflowId) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow) {
+      return null;
+    }
+    return structuredClone({
+      status: workflow.status,
+      handlerId: workflow.handlerId,
+      version: workflow.version,
+      input: workflow.input,
+      failures: workflow.failures,
+      parentId: workflow.parentId,
+      patches: workflow.patches,
+    });
+  }
+
+  /**
+   * Finds the status and result of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status and result, or null if not found
+   */
+  async findStatusAndResult(workflowId) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow) {
+      return null;
+    }
+    return structuredClone({
+      status: workflow.status,
+      result: workflow.result,
+    });
+  }
+
+  /**
+   * Finds the status, cancellation reason and lease token of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status, cancelReason and leaseToken, or null if not found
+   */
+  async findStatusAndCancelReason(workflowId) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow) {
+      return null;
+    }
+    return {
+      status: workflow.status,
+      cancelReason: workflow.cancelReason,
+      leaseToken: workflow.leaseToken,
+    };
+  }
+
+  /**
+   * Finds the last failure and the failure history of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with lastFailure, null if the workflow never failed, and failureHistory, or null if not found
+   */
+  async findFailure(workflowId) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow) {
+      return null;
+    }
+    return structuredClone({
+      lastFailure: workflow.lastFailure ?? null,
+      failureHistory: workflow.failureHistory ?? [],
+    });
+  }
+
+  /**
+   * Claims a workflow that is ready to run.
+   *
+   * Looks for a workflow with one of the given statuses and handler versions
+   * that has timed out (timeoutAt < now), updates its status to "running"
+   * unless it is "cancelling" or "compensating", sets a new timeout, records
+   * the claiming worker and increments the lease token. A workflow without a
+   * version that was never claimed matches any version of its handler, and
+   * is pinned to the highest one.
+   *
+   * The workflow with the highest effective priority is claimed, and the
+   * oldest one among equal effective priorities. The effective priority is
+   * the priority of the workflow plus one for every agingInterval it has
+   * been ready for.
+   *
+   * @param {Object} query - The claim query
+   * @param {string[]} query.statuses - The statuses a claimable workflow may have
+   * @param {{handlerId: string, versions: Array<number|null>}[]} query.handlers - The handler IDs and versions a claimable workflow may have, null matching claimed workflows without a version
+   * @param {Date} query.now - The current time
+   * @param {number|null} query.agingInterval - Milliseconds of readiness that raise the effective priority of a workflow by one, null to always follow priorities
+   * @param {Date} query.timeoutAt - The new timeout of the claimed workflow
+   * @param {string} query.workerId - The ID of the claiming worker
+   * @returns {Promise<Object|undefined>} Object with workflowId and leaseToken if claimed, undefined otherwise
+   */
+  async claim({ statuses, handlers, now, agingInterval, timeoutAt, workerId }) {
+    const unpinned = (workflow) =>
+      (workflow.version ?? null) === null && workflow.leaseToken === undefined;
+    let claimed;
+    let claimedVersions;
+    for (const workflow of this.#workflows.values()) {
+      const versions = handlers.find(
+        ({ handlerId }) => handlerId === workflow.handlerId
+      )?.versions;
+      if (
+        statuses.includes(workflow.status) &&
+        versions &&
+        (versions.includes(workflow.version ?? null) || unpinned(workflow)) &&
+        workflow.timeoutAt.getTime() < now.getTime() &&
+        (!claimed || this.#claimsBefore(workflow, claimed, now, agingInterval))
+      ) {
+        claimed = workflow;
+        claimedVersions = versions;
+      }
+    }
+    if (!claimed) {
+      return undefined;
+    }
+    if (unpinned(claimed)) {
+      claimed.version = Math.max(
+        ...claimedVersions.filter((version) => version !== null)
+      );
+    }
+    if (!["cancelling", "compensating"].includes(claimed.status)) {
+      claimed.status = "running";
+    }
+    claimed.timeoutAt = timeoutAt;
+    claimed.workerId = workerId;
+    claimed.leaseToken = (claimed.leaseToken || 0) + 1;
+    return {
+      workflowId: claimed.workflowId,
+      leaseToken: claimed.leaseToken,
+    };
+  }
+
+  /**
+   * Checks whether a claimable workflow should be claimed before another.
+   *
+   * @param {Object} a - The first workflow
+   * @param {Object} b - The second workflow
+   * @param {Date} now - The current time
+   * @param {number|null} agingInterval - Milliseconds of readiness that raise the effective priority by one, null to always follow priorities
+   * @returns {boolean} True if a should be claimed before b
+   */
+  #claimsBefore(a, b, now, agingInterval) {
+    const effectivePriority = (workflow) =>
+      (workflow.priority ?? 0) +
+      (agingInterval === null
+        ? 0
+        : Math.floor(
+            (now.getTime() - workflow.timeoutAt.getTime()) / agingInterval
+          ));
+    const priorityA = effectivePriority(a);
+    const priorityB = effectivePriority(b);
+    if (priorityA !== priorityB) {
+      return priorityA > priorityB;
+    }
+    return a.timeoutAt.getTime() < b.timeoutAt.getTime();
+  }
+
+  /**
+   * Marks a workflow as finished and stores its result.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {any} result - The workflow result
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsFinished(workflowId, result, leaseToken) {
+    return this.#update(workflowId, { status: "finished", result }, leaseToken);
+  }
+
+  /**
+   * Moves a workflow to the "cancelling" status if it has one of the given statuses.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be cancelled from
+   * @param {string} [reason] - The reason of the cancellation
+   * @param {Date|null} timeoutAt - The new timeout timestamp, or null to keep the current one
+   * @returns {Promise<boolean>} True if the workflow was updated
+   */
+  async setAsCancelling(workflowId, statuses, reason, timeoutAt) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow || !statuses.includes(workflow.status)) {
+      return false;
+    }
+    workflow.status = "cancelling";
+    workflow.cancelReason = reason;
+    if (timeoutAt) {
+      workflow.timeoutAt = timeoutAt;
+    }
+    return true;
+  }
+
+  /**
+   * Marks a workflow that hasn't started yet (status "idle") as cancelled.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} [reason] - The reason of the cancellation
+   * @returns {Promise<boolean>} True if the workflow was updated
+   */
+  async setAsCancelledIfIdle(workflowId, reason) {
+    const workflow = this.#workflows.get(workflowId);
+    if (workflow?.status !== "idle") {
+      return false;
+    }
+    workflow.status = "cancelled";
+    workflow.cancelReason = reason;
+    return true;
+  }
+
+  /**
+   * Marks a workflow as cancelled.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsCancelled(workflowId, leaseToken) {
+    return this.#update(workflowId, { status: "cancelled" }, leaseToken);
+  }
+
+  /**
+   * Marks a workflow as compensated.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsCompensated(workflowId, leaseToken) {
+    return this.#update(workflowId, { status: "compensated" }, leaseToken);
+  }
+
+  /**
+   * Marks a workflow as waiting until the given time.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - When the workflow should be resumed at the latest
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsWaiting(workflowId, timeoutAt, leaseToken) {
+    return this.#update(
+      workflowId,
+      { status: "waiting", timeoutAt },
+      leaseToken
+    );
+  }
+
+  /**
+   * Makes a waiting workflow claimable right away.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} now - The current time
+   * @returns {Promise<void>}
+   */
+  async wake(workflowId, now) {
+    const workflow = this.#workflows.get(workflowId);
+    if (workflow?.status === "waiting") {
+      workflow.timeoutAt = now;
+    }
+  }
+
+  /**
+   * Moves the start of a workflow that hasn't started yet (status "idle").
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new start time
+   * @returns {Promise<boolean>} True if the workflow hasn't started yet
+   */
+  async reschedule(workflowId, timeoutAt) {
+    const workflow = this.#workflows.get(workflowId);
+    if (workflow?.status !== "idle") {
+      return false;
+    }
+    workflow.timeoutAt = timeoutAt;
+    return true;
+  }
+
+  /**
+   * Moves a workflow with one of the given statuses back to "waiting" until
+   * the given time, clearing its failure count and result.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be requeued from
+   * @param {Date} timeoutAt - When the workflow becomes claimable
+   * @returns {Promise<boolean>} True if the workflow had one of the statuses
+   */
+  async requeue(workflowId, statuses, timeoutAt) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow || !statuses.includes(workflow.status)) {
+      return false;
+    }
+    workflow.status = "waiting";
+    workflow.timeoutAt = timeoutAt;
+    workflow.failures = 0;
+    delete workflow.result;
+    return true;
+  }
+
+  /**
+   * Updates the status, timeoutAt, and failure count of a workflow, and
+   * records the failure of the run, if any, as the last one and at the end of
+   * the failure history.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} status - The new status ("failed", "aborted" or "compensating")
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} failures - The updated failure count
+   * @param {number} leaseToken - The lease token of the run
+   * @param {import("./index.js").Failure} [failure] - The failure of the run
+   * @param {number} [historySize] - The number of failures the history keeps
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateStatus(
+    workflowId,
+    status,
+    timeoutAt,
+    failures,
+    leaseToken,
+    failure,
+    historySize
+  ) {
+    const fields = { status, timeoutAt, failures };
+    if (failure) {
+      const history = this.#workflows.get(workflowId)?.failureHistory || [];
+      fields.lastFailure = failure;
+      fields.failureHistory = [...history, failure].slice(-historySize);
+    }
+    return this.#update(workflowId, fields, leaseToken);
+  }
+
+  /**
+   * Updates only the timeoutAt field of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateTimeoutAt(workflowId, timeoutAt, leaseToken) {
+    return this.#update(workflowId, { timeoutAt }, leaseToken);
+  }
+
+  /**
+   * Makes a workflow claimable at timeoutAt and increments its lease token,
+   * so that the run holding the lease can't write anymore.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async releaseLease(workflowId, timeoutAt, leaseToken) {
+    return this.#update(
+      workflowId,
+      { timeoutAt, leaseToken: leaseToken + 1 },
+      leaseToken
+    );
+  }
+
+  /**
+   * Records that a workflow took the patched code path of a change.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} changeId - The ID of the change
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async addPatch(workflowId, changeId, leaseToken) {
+    const patches = this.#workflows.get(workflowId)?.patches || [];
+    return this.#update(
+      workflowId,
+      {
+        patches: patches.includes(changeId) ? patches : [...patches, changeId],
+      },
+      leaseToken
+    );
+  }
+
+  /**
+   * Counts the completed steps and the naps of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<number>} The number of completed steps and naps
+   */
+  async countRecords(workflowId) {
+    let count = 0;
+    for (const step of this.#steps.values()) {
+      if (step.workflowId === workflowId && "output" in step) {
+        count++;
+      }
+    }
+    for (const nap of this.#naps.values()) {
+      if (nap.workflowId === workflowId) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Tells whether a workflow completed steps that have a compensation.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<boolean>} True if at least one completed step has a compensation
+   */
+  async hasCompensations(workflowId) {
+    for (const step of this.#steps.values()) {
+      if (
+        step.workflowId === workflowId &&
+        "output" in step &&
+        step.compensable
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Deletes the completed steps and the naps of a workflow from a position in
+   * the run on, and the steps that haven't completed.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} sequence - The position of the first step or nap to delete
+   * @returns {Promise<void>}
+   */
+  async deleteRecordsFrom(workflowId, sequence) {
+    for (const [key, step] of this.#steps) {
+      if (
+        step.workflowId === workflowId &&
+        (!("output" in step) || step.sequence >= sequence)
+      ) {
+        this.#steps.delete(key);
+      }
+    }
+    for (const [key, nap] of this.#naps) {
+      if (nap.workflowId === workflowId && nap.sequence >= sequence) {
+        this.#naps.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Lists the steps of a workflow, in the order they were first stored.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The step documents
+   */
+  async listSteps(workflowId) {
+    return [...this.#steps.values()]
+      .filter((step) => step.workflowId === workflowId)
+      .map((step) => structuredClone(step));
+  }
+
+  /**
+   * Finds a step by workflow ID and step ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @returns {Promise<Object|null>} The step document or null if not found
+   */
+  async findStep(workflowId, stepId) {
+    return this.#clone(this.#steps.get(this.#key(workflowId, stepId)));
+  }
+
+  /**
+   * Stores the output of a step, unless the step was already completed.
+   *
+   * An undefined output is stored as null, as the MongoDB driver does.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {any} output - The step output to store
+   * @param {number} attempts - The number of attempts it took to complete the step
+   * @param {number} sequence - The position of the step among the steps and naps of the run
+   * @param {boolean} compensable - Whether the step has a compensation
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertStep(
+    workflowId,
+    stepId,
+    output,
+    attempts,
+    sequence,
+    compensable,
+    leaseToken
+  ) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    const key = this.#key(workflowId, stepId);
+    const step = this.#steps.get(key) || { workflowId, stepId };
+    if ("output" in step) {
+      return true;
+    }
+    step.output = structuredClone(output ?? null);
+    step.attempts = attempts;
+    step.sequence = sequence;
+    step.compensable = compensable;
+    this.#steps.set(key, step);
+    return true;
+  }
+
+  /**
+   * Records the number of attempts of a step that failed.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {number} attempts - The number of attempts so far
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateAttempts(workflowId, stepId, attempts, leaseToken) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    const key = this.#key(workflowId, stepId);
+    const step = this.#steps.get(key) || { workflowId, stepId };
+    step.attempts = attempts;
+    this.#steps.set(key, step);
+    return true;
+  }
+
+  /**
+   * Records the progress reported by a step that is still running.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {any} progress - The progress details
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateProgress(workflowId, stepId, progress, leaseToken) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    const key = this.#key(workflowId, stepId);
+    const step = this.#steps.get(key) || { workflowId, stepId };
+    step.progress = structuredClone(progress);
+    this.#steps.set(key, step);
+    return true;
+  }
+
+  /**
+   * Lists the naps of a workflow, in the order they were stored.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The nap documents
+   */
+  async listNaps(workflowId) {
+    return [...this.#naps.values()]
+      .filter((nap) => nap.workflowId === workflowId)
+      .map((nap) => structuredClone(nap));
+  }
+
+  /**
+   * Finds a nap (sleep) by workflow ID and nap ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} napId - The nap ID
+   * @returns {Promise<Object|null>} The nap document or null if not found
+   */
+  async findNap(workflowId, napId) {
+    return this.#clone(this.#naps.get(this.#key(workflowId, napId)));
+  }
+
+  /**
+   * Stores a nap (sleep), unless it was already started.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} napId - The nap ID
+   * @param {Date} wakeUpAt - The time to wake up
+   * @param {number} sequence - The position of the nap among the steps and naps of the run
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertNap(workflowId, napId, wakeUpAt, sequence, leaseToken) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    const key = this.#key(workflowId, napId);
+    if (!this.#naps.has(key)) {
+      this.#naps.set(key, { workflowId, napId, wakeUpAt, sequence });
+    }
+    return true;
+  }
+
+  /**
+   * Finds a signal by workflow ID and signal name.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @returns {Promise<Object|null>} The signal document or null if not found
+   */
+  async findSignal(workflowId, signalName) {
+    return this.#clone(this.#signals.get(this.#key(workflowId, signalName)));
+  }
+
+  /**
+   * Records a received signal, unless it was already received.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @param {any} payload - The signal payload
+   * @param {Date} receivedAt - When the signal was received
+   * @returns {Promise<boolean>} Returns true if the signal was stored, false if it was already received
+   */
+  async insertSignal(workflowId, signalName, payload, receivedAt) {
+    const key = this.#key(workflowId, signalName);
+    const signal = this.#signals.get(key) || { workflowId, signalName };
+    if (signal.receivedAt) {
+      return false;
+    }
+    signal.payload = structuredClone(payload);
+    signal.receivedAt = receivedAt;
+    this.#signals.set(key, signal);
+    return true;
+  }
+
+  /**
+   * Records the deadline of a signal wait, unless the signal already arrived
+   * or the wait was already recorded.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @param {Date|null} expiresAt - The wait deadline, or null to wait forever
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertSignalWait(workflowId, signalName, expiresAt, leaseToken) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    const key = this.#key(workflowId, signalName);
+    if (!this.#signals.has(key)) {
+      this.#signals.set(key, { workflowId, signalName, expiresAt });
+    }
+    return true;
+  }
+
+  /**
+   * Stamps a workflow with its completion time, and it and its steps, naps,
+   * signals and events with their expiry time.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date|null} completedAt - When the workflow completed, or null to clear it
+   * @param {Date|null} expireAt - When the records expire, or null to keep them
+   * @returns {Promise<void>}
+   */
+  async setCompletion(workflowId, completedAt, expireAt) {
+    const workflow = this.#workflows.get(workflowId);
+    if (workflow) {
+      workflow.completedAt = completedAt;
+      workflow.expireAt = expireAt;
+    }
+    for (const record of this.#recordsOf(workflowId)) {
+      record.expireAt = expireAt;
+    }
+  }
+
+  /**
+   * Deletes a workflow with one of the given statuses, and its steps, naps,
+   * signals and events, after archiving them if asked to.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be deleted with
+   * @param {boolean} archive - Whether to archive the documents first
+   * @returns {Promise<boolean>} True if the workflow was deleted
+   */
+  async deleteWorkflow(workflowId, statuses, archive) {
+    const workflow = this.#workflows.get(workflowId);
+    if (!workflow || !statuses.includes(workflow.status)) {
+      return false;
+    }
+    if (archive) {
+      this.#archiveDocs("workflows", [workflow]);
+      this.#archiveDocs("steps", this.#recordsOf(workflowId, this.#steps));
+      this.#archiveDocs("naps", this.#recordsOf(workflowId, this.#naps));
+      this.#archiveDocs("signals", this.#recordsOf(workflowId, this.#signals));
+      this.#archiveDocs(
+        "events",
+        this.#events.filter((event) => event.workflowId === workflowId)
+      );
+    }
+    this.#workflows.delete(workflowId);
+    for (const records of [this.#steps, this.#naps, this.#signals]) {
+      for (const [key, record] of records) {
+        if (record.workflowId === workflowId) {
+          records.delete(key);
+        }
+      }
+    }
+    this.#events = this.#events.filter(
+      (event) => event.workflowId !== workflowId
+    );
+    return true;
+  }
+
+  /**
+   * Lists the archived documents of a workflow.
+   *
+   * @param {string} name - The name of the archived collection, e.g. "steps"
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The archived documents, in archiving order
+   */
+  async listArchived(name, workflowId) {
+    return (this.#archive.get(name) || [])
+      .filter((doc) => doc.workflowId === workflowId)
+      .map((doc) => structuredClone(doc));
+  }
+
+  /**
+   * Appends an event to the history of a workflow.
+   *
+   * @param {import("./index.js").HistoryEvent} event - The event
+   * @param {number} [leaseToken] - The lease token of the run appending the event, if any
+   * @returns {Promise<boolean>} False if the lease of the run is no longer held
+   */
+  async insertEvent(event, leaseToken) {
+    if (
+      leaseToken !== undefined &&
+      !this.#holdsLease(event.workflowId, leaseToken)
+    ) {
+      return false;
+    }
+    this.#events.push(structuredClone(event));
+    return true;
+  }
+
+  /**
+   * Lists the events of a workflow by time, then in insertion order.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<import("./index.js").HistoryEvent[]>} The events
+   */
+  async listEvents(workflowId) {
+    return this.#events
+      .filter((event) => event.workflowId === workflowId)
+      .sort((a, b) => a.at.getTime() - b.at.getTime())
+      .map((event) => structuredClone(event));
+  }
+
+  /**
+   * Inserts a new schedule.
+   *
+   * @param {Object} schedule - The schedule document
+   * @returns {Promise<boolean>} Returns true if the schedule was inserted, false if it already exists
+   */
+  async insertSchedule(schedule) {
+    if (this.#schedules.has(schedule.scheduleId)) {
+      return false;
+    }
+    this.#schedules.set(schedule.scheduleId, structuredClone(schedule));
+    return true;
+  }
+
+  /**
+   * Finds a schedule by its ID.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<Object|null>} The schedule document or null if not found
+   */
+  async findSchedule(scheduleId) {
+    return this.#clone(this.#schedules.get(scheduleId));
+  }
+
+  /**
+   * Sets fields of a schedule.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @param {Object} fields - The fields to set
+   * @returns {Promise<boolean>} True if the schedule exists
+   */
+  async updateSchedule(scheduleId, fields) {
+    const schedule = this.#schedules.get(scheduleId);
+    if (!schedule) {
+      return false;
+    }
+    Object.assign(schedule, structuredClone(fields));
+    return true;
+  }
+
+  /**
+   * Claims the earliest due tick of one of the given schedules.
+   *
+   * Looks for an unpaused schedule whose nextFireAt has passed and whose lease
+   * has timed out (timeoutAt < now), sets a new timeout, records the claiming
+   * worker and increments the lease token, like claiming a workflow.
+   *
+   * @param {Object} query - The claim query
+   * @param {string[]} query.scheduleIds - The IDs of the schedules that may be claimed
+   * @param {Date} query.now - The current time
+   * @param {Date} query.timeoutAt - The new timeout of the claimed schedule
+   * @param {string} query.workerId - The ID of the claiming worker
+   * @returns {Promise<Object|undefined>} The claimed schedule document, undefined if none was claimed
+   */
+  async claimSchedule({ scheduleIds, now, timeoutAt, workerId }) {
+    let claimed;
+    for (const schedule of this.#schedules.values()) {
+      if (
+        scheduleIds.includes(schedule.scheduleId) &&
+        !schedule.paused &&
+        schedule.nextFireAt &&
+        schedule.nextFireAt.getTime() <= now.getTime() &&
+        schedule.timeoutAt.getTime() < now.getTime() &&
+        (!claimed ||
+          schedule.nextFireAt.getTime() < claimed.nextFireAt.getTime())
+      ) {
+        claimed = schedule;
+      }
+    }
+    if (!claimed) {
+      return undefined;
+    }
+    claimed.timeoutAt = timeoutAt;
+    claimed.workerId = workerId;
+    claimed.leaseToken = (claimed.leaseToken || 0) + 1;
+    return structuredClone(claimed);
+  }
+
+  /**
+   * Sets fields of a claimed schedule if its lease token still matches.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @param {Object} fields - The fields to set
+   * @param {number} leaseToken - The lease token of the claim
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async advanceSchedule(scheduleId, fields, leaseToken) {
+    const schedule = this.#schedules.get(scheduleId);
+    if (!schedule || schedule.leaseToken !== leaseToken) {
+      return false;
+    }
+    Object.assign(schedule, structuredClone(fields));
+    return true;
+  }
+
+  /**
+   * Checks whether a workflow exists and its lease token matches.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {boolean} True if the run holds the lease of the workflow
+   */
+  #holdsLease(workflowId, leaseToken) {
+    const workflow = this.#workflows.get(workflowId);
+    return Boolean(workflow) && workflow.leaseToken === leaseToken;
+  }
+
+  /**
+   * Sets fields of a workflow, if it exists and its lease token matches.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Object} fields - The fields to set
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {boolean} True if the workflow was updated
+   */
+  #update(workflowId, fields, leaseToken) {
+    if (!this.#holdsLease(workflowId, leaseToken)) {
+      return false;
+    }
+    Object.assign(this.#workflows.get(workflowId), structuredClone(fields));
+    return true;
+  }
+
+  /**
+   * Checks whether a workflow matches the filter of a query.
+   *
+   * @param {Object} workflow - The stored workflow document
+   * @param {import("./index.js").WorkflowQuery} query - The query
+   * @returns {boolean} True if the workflow matches
+   */
+  #matches(workflow, query) {
+    const createdAt = workflow.createdAt?.getTime();
+    return (
+      (!query.statuses || query.statuses.includes(workflow.status)) &&
+      (!query.handlerIds || query.handlerIds.includes(workflow.handlerId)) &&
+      (!query.tags ||
+        query.tags.every((tag) => workflow.tags?.includes(tag))) &&
+      (!query.createdAfter || createdAt > query.createdAfter.getTime()) &&
+      (!query.createdBefore || createdAt < query.createdBefore.getTime())
+    );
+  }
+
+  /**
+   * Compares the positions of two workflows in listWorkflows.
+   *
+   * @param {{createdAt?: Date|null, workflowId: string}} a - The first workflow
+   * @param {{createdAt?: Date|null, workflowId: string}} b - The second workflow
+   * @returns {number} Negative if a comes first, positive if b does
+   */
+  #compareWorkflows(a, b) {
+    const createdA = a.createdAt?.getTime() ?? -Infinity;
+    const createdB = b.createdAt?.getTime() ?? -Infinity;
+    if (createdA !== createdB) {
+      return createdB - createdA;
+    }
+    return this.#compareIds(b.workflowId, a.workflowId);
+  }
+
+  /**
+   * Compares two IDs by code units, as MongoDB compares strings.
+   *
+   * @param {string} a - The first ID
+   * @param {string} b - The second ID
+   * @returns {number} Negative if a sorts first, positive if b does
+   */
+  #compareIds(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Finds the records of a workflow, in one map or in all of them.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Map<string, Object>} [records] - The map to look in, defaults to the steps, naps, signals and events
+   * @returns {Object[]} The stored documents, not cloned
+   */
+  #recordsOf(workflowId, records) {
+    const docs = records
+      ? [...records.values()]
+      : [
+          ...this.#steps.values(),
+          ...this.#naps.values(),
+          ...this.#signals.values(),
+          ...this.#events,
+        ];
+    return docs.filter((doc) => doc.workflowId === workflowId);
+  }
+
+  /**
+   * Copies documents to the archive of a collection.
+   *
+   * @param {string} name - The name of the collection
+   * @param {Object[]} docs - The documents to copy
+   */
+  #archiveDocs(name, docs) {
+    if (!this.#archive.has(name)) {
+      this.#archive.set(name, []);
+    }
+    this.#archive.get(name).push(...docs.map((doc) => structuredClone(doc)));
+  }
+
+  /**
+   * Builds the map key of a record that belongs to a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} id - The ID of the record within the workflow
+   * @returns {string} The map key
+   */
+  #key(workflowId, id) {
+    return JSON.stringify([workflowId, id]);
+  }
+
+  /**
+   * Clones a stored document so that callers can't mutate it.
+   *
+   * @param {Object|undefined} doc - The stored document
+   * @returns {Object|null} A copy of the document, or null if not found
+   */
+  #clone(doc) {
+    return doc ? structuredClone(doc) : null;
+  }
+}
@@ -0,0 +1,1204 @@
+import { jest } from "@jest/globals";
+import { MemoryStore } from "./memory-store.js";
+import { Bluestreak } from "./index.js";
+
+describe("MemoryStore", () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  const workflow = (workflowId, fields = {}) => ({
+    workflowId,
+    handlerId: "handler-1",
+    version: 1,
+    input: { value: 1 },
+    parentId: null,
+    failures: 0,
+    status: "idle",
+    timeoutAt: new Date(1000),
+    ...fields,
+  });
+
+  describe("workflows", () => {
+    it("should insert a workflow once", async () => {
+      expect(await store.insertWorkflow(workflow("workflow-1"))).toBe(true);
+      expect(await store.insertWorkflow(workflow("workflow-1"))).toBe(false);
+      expect(await store.findWorkflow("workflow-1")).toEqual(
+        workflow("workflow-1")
+      );
+    });
+
+    it("should return null for unknown workflows", async () => {
+      expect(await store.findWorkflow("missing")).toBeNull();
+      expect(await store.findRunData("missing")).toBeNull();
+      expect(await store.findStatusAndResult("missing")).toBeNull();
+      expect(await store.findStatusAndCancelReason("missing")).toBeNull();
+    });
+
+    it("should not share documents with callers", async () => {
+      const doc = workflow("workflow-1");
+      await store.insertWorkflow(doc);
+      doc.input.value = 2;
+      const found = await store.findWorkflow("workflow-1");
+      found.input.value = 3;
+
+      expect((await store.findRunData("workflow-1")).input).toEqual({
+        value: 1,
+      });
+    });
+
+    it("should find run data, status and result", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { parentId: "p" }));
+      await store.setAsFinished("workflow-1", { ok: true });
+
+      expect(await store.findRunData("workflow-1")).toEqual({
+        status: "finished",
+        handlerId: "handler-1",
+        version: 1,
+        input: { value: 1 },
+        failures: 0,
+        parentId: "p",
+      });
+      expect(await store.findStatusAndResult("workflow-1")).toEqual({
+        status: "finished",
+        result: { ok: true },
+      });
+    });
+
+    it("should find children", async () => {
+      await store.insertWorkflow(workflow("parent"));
+      await store.insertWorkflow(workflow("child-1", { parentId: "parent" }));
+      await store.insertWorkflow(workflow("child-2", { parentId: "parent" }));
+
+      const children = await store.findChildren("parent");
+
+      expect(children.map((child) => child.workflowId)).toEqual([
+        "child-1",
+        "child-2",
+      ]);
+    });
+
+    it("should claim only timed out workflows with a claimable status", async () => {
+      await store.insertWorkflow(workflow("finished", { status: "finished" }));
+      await store.insertWorkflow(
+        workflow("future", { timeoutAt: new Date(5000) })
+      );
+      await store.insertWorkflow(workflow("ready"));
+
+      const lease = await store.claim({
+        statuses: ["idle"],
+        handlers: [{ handlerId: "handler-1", versions: [1] }],
+        now: new Date(2000),
+        agingInterval: null,
+        timeoutAt: new Date(12000),
+        workerId: "worker-1",
+      });
+
+      expect(lease).toEqual({ workflowId: "ready", leaseToken: 1 });
+      expect(await store.findWorkflow("ready")).toMatchObject({
+        status: "running",
+        timeoutAt: new Date(12000),
+        workerId: "worker-1",
+        leaseToken: 1,
+      });
+      expect(
+        await store.claim({
+          statuses: ["idle"],
+          handlers: [{ handlerId: "handler-1", versions: [1] }],
+          now: new Date(2000),
+          agingInterval: null,
+          timeoutAt: new Date(12000),
+        })
+      ).toBeUndefined();
+    });
+
+    it("should claim only workflows of the given handlers", async () => {
+      await store.insertWorkflow(
+        workflow("workflow-1", { handlerId: "handler-2" })
+      );
+      const claim = (handlers) =>
+        store.claim({
+          statuses: ["idle"],
+          handlers,
+          now: new Date(2000),
+          agingInterval: null,
+          timeoutAt: new Date(12000),
+          workerId: "worker-1",
+        });
+
+      expect(
+        await claim([{ handlerId: "handler-1", versions: [1] }])
+      ).toBeUndefined();
+      expect(await claim([])).toBeUndefined();
+      expect(
+        await claim([
+          { handlerId: "handler-1", versions: [1] },
+          { handlerId: "handler-2", versions: [1] },
+        ])
+      ).toEqual({
+        workflowId: "workflow-1",
+        leaseToken: 1,
+      });
+    });
+
+    it("should claim only workflows of the given handler versions", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { version: 2 }));
+      await store.insertWorkflow(workflow("workflow-2", { version: null }));
+      await store.insertWorkflow(
+        workflow("workflow-3", { version: undefined, leaseToken: 1 })
+      );
+      const claim = async (versions) =>
+        (
+          await store.claim({
+            statuses: ["idle"],
+            handlers: [{ handlerId: "handler-1", versions }],
+            now: new Date(2000),
+            agingInterval: null,
+            timeoutAt: new Date(12000),
+            workerId: "worker-1",
+          })
+        )?.workflowId;
+
+      expect(await claim([3])).toBe("workflow-2");
+      expect((await store.findRunData("workflow-2")).version).toBe(3);
+      expect(await claim([3])).toBeUndefined();
+      expect(await claim([1, null])).toBe("workflow-3");
+      expect(await claim([1, 2])).toBe("workflow-1");
+    });
+
+    it("should claim by priority, then oldest first", async () => {
+      await store.insertWorkflow(workflow("low", { priority: 0 }));
+      await store.insertWorkflow(
+        workflow("high-newer", { priority: 5, timeoutAt: new Date(1500) })
+      );
+      await store.insertWorkflow(workflow("high-older", { priority: 5 }));
+      const claim = async () =>
+        (
+          await store.claim({
+            statuses: ["idle"],
+            handlers: [{ handlerId: "handler-1", versions: [1] }],
+            now: new Date(2000),
+            agingInterval: null,
+            timeoutAt: new Date(12000),
+            workerId: "worker-1",
+          })
+        )?.workflowId;
+
+      expect(await claim()).toBe("high-older");
+      expect(await claim()).toBe("high-newer");
+      expect(await claim()).toBe("low");
+    });
+
+    it("should claim by priority raised by the time spent ready", async () => {
+      await store.insertWorkflow(
+        workflow("bulk-0", { timeoutAt: new Date(300) })
+      );
+      await store.insertWorkflow(
+        workflow("bulk-1", { timeoutAt: new Date(400) })
+      );
+      await store.insertWorkflow(
+        workflow("urgent", { priority: 5, timeoutAt: new Date(1900) })
+      );
+      await store.insertWorkflow(
+        workflow("starved", { timeoutAt: new Date(-5000) })
+      );
+      const claim = async () =>
+        (
+          await store.claim({
+            statuses: ["idle"],
+            handlers: [{ handlerId: "handler-1", versions: [1] }],
+            now: new Date(2000),
+            agingInterval: 1000,
+            timeoutAt: new Date(12000),
+            workerId: "worker-1",
+          })
+        )?.workflowId;
+
+      // Effective priorities: starved 7, urgent 5, bulk-0 and bulk-1 1
+      expect(await claim()).toBe("starved");
+      expect(await claim()).toBe("urgent");
+      expect(await claim()).toBe("bulk-0");
+      expect(await claim()).toBe("bulk-1");
+    });
+
+    it("should increment the lease token on every claim", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      const claim = (now, workerId) =>
+        store.claim({
+          statuses: ["running"],
+          handlers: [{ handlerId: "handler-1", versions: [1] }],
+          now: new Date(now),
+          agingInterval: null,
+          timeoutAt: new Date(now + 1000),
+          workerId,
+        });
+      await store.updateStatus("workflow-1", "running", new Date(0), 0);
+
+      expect(await claim(1000, "worker-1")).toEqual({
+        workflowId: "workflow-1",
+        leaseToken: 1,
+      });
+      expect(await claim(3000, "worker-2")).toEqual({
+        workflowId: "workflow-1",
+        leaseToken: 2,
+      });
+      expect((await store.findWorkflow("workflow-1")).workerId).toBe(
+        "worker-2"
+      );
+    });
+
+    it("should keep the cancelling and compensating statuses when claiming", async () => {
+      await store.insertWorkflow(
+        workflow("cancelling", { status: "cancelling" })
+      );
+      await store.insertWorkflow(
+        workflow("compensating", { status: "compensating" })
+      );
+      const claim = () =>
+        store.claim({
+          statuses: ["cancelling", "compensating"],
+          handlers: [{ handlerId: "handler-1", versions: [1] }],
+          now: new Date(2000),
+          agingInterval: null,
+          timeoutAt: new Date(3000),
+          workerId: "worker-1",
+        });
+      await claim();
+      await claim();
+
+      expect((await store.findWorkflow("cancelling")).status).toBe(
+        "cancelling"
+      );
+      expect((await store.findWorkflow("compensating")).status).toBe(
+        "compensating"
+      );
+      expect(await store.setAsCompensated("compensating", 1)).toBe(true);
+      expect((await store.findWorkflow("compensating")).status).toBe(
+        "compensated"
+      );
+    });
+
+    it("should reject writes with a stale lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.claim({
+        statuses: ["idle"],
+        handlers: [{ handlerId: "handler-1", versions: [1] }],
+        now: new Date(2000),
+        agingInterval: null,
+        timeoutAt: new Date(3000),
+        workerId: "worker-1",
+      });
+      await store.claim({
+        statuses: ["running"],
+        handlers: [{ handlerId: "handler-1", versions: [1] }],
+        now: new Date(4000),
+        agingInterval: null,
+        timeoutAt: new Date(5000),
+        workerId: "worker-2",
+      });
+
+      expect(await store.updateTimeoutAt("workflow-1", new Date(9000), 1)).toBe(
+        false
+      );
+      expect(await store.setAsFinished("workflow-1", "stale", 1)).toBe(false);
+      expect(await store.setAsWaiting("workflow-1", new Date(9000), 1)).toBe(
+        false
+      );
+      expect(await store.setAsCancelled("workflow-1", 1)).toBe(false);
+      expect(await store.setAsCompensated("workflow-1", 1)).toBe(false);
+      expect(
+        await store.updateStatus("workflow-1", "failed", new Date(9000), 1, 1)
+      ).toBe(false);
+      expect(await store.findWorkflow("workflow-1")).toMatchObject({
+        status: "running",
+        timeoutAt: new Date(5000),
+        failures: 0,
+      });
+
+      expect(await store.setAsFinished("workflow-1", "fresh", 2)).toBe(true);
+      expect(await store.findStatusAndResult("workflow-1")).toEqual({
+        status: "finished",
+        result: "fresh",
+      });
+    });
+
+    it("should revoke the lease of a released workflow", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.claim({
+        statuses: ["idle"],
+        handlers: [{ handlerId: "handler-1", versions: [1] }],
+        now: new Date(2000),
+        agingInterval: null,
+        timeoutAt: new Date(3000),
+        workerId: "worker-1",
+      });
+
+      expect(await store.releaseLease("workflow-1", new Date(2500), 2)).toBe(
+        false
+      );
+      expect(await store.releaseLease("workflow-1", new Date(2500), 1)).toBe(
+        true
+      );
+      expect(await store.findWorkflow("workflow-1")).toMatchObject({
+        timeoutAt: new Date(2500),
+        leaseToken: 2,
+      });
+      expect(await store.updateTimeoutAt("workflow-1", new Date(9000), 1)).toBe(
+        false
+      );
+    });
+
+    it("should update status, timeout and failures", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.updateStatus("workflow-1", "failed", new Date(3000), 1);
+      await store.updateTimeoutAt("workflow-1", new Date(4000));
+
+      expect(await store.findWorkflow("workflow-1")).toMatchObject({
+        status: "failed",
+        timeoutAt: new Date(4000),
+        failures: 1,
+      });
+    });
+
+    it("should record failures in a capped history", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      const failure = (attempt) => ({
+        name: "Error",
+        message: "boom",
+        attempt,
+      });
+
+      expect(await store.findFailure("workflow-1")).toEqual({
+        lastFailure: null,
+        failureHistory: [],
+      });
+      for (const attempt of [1, 2, 3]) {
+        await store.updateStatus(
+          "workflow-1",
+          "failed",
+          new Date(3000),
+          attempt,
+          undefined,
+          failure(attempt),
+          2
+        );
+      }
+
+      expect(await store.findFailure("workflow-1")).toEqual({
+        lastFailure: failure(3),
+        failureHistory: [failure(2), failure(3)],
+      });
+      expect(await store.findFailure("missing")).toBeNull();
+    });
+
+    it("should requeue only workflows with one of the given statuses", async () => {
+      await store.insertWorkflow(
+        workflow("finished", { status: "finished", failures: 2, result: 1 })
+      );
+      await store.insertWorkflow(workflow("running", { status: "running" }));
+
+      expect(
+        await store.requeue("finished", ["finished"], new Date(2000))
+      ).toBe(true);
+      expect(await store.requeue("running", ["finished"], new Date(2000))).toBe(
+        false
+      );
+      expect(await store.requeue("missing", ["finished"], new Date(2000))).toBe(
+        false
+      );
+
+      const requeued = await store.findWorkflow("finished");
+      expect(requeued).toMatchObject({
+        status: "waiting",
+        timeoutAt: new Date(2000),
+        failures: 0,
+      });
+      expect(requeued).not.toHaveProperty("result");
+      expect((await store.findWorkflow("running")).status).toBe("running");
+    });
+
+    it("should ignore updates of unknown workflows", async () => {
+      await store.setAsFinished("missing", 1);
+      await store.wake("missing", new Date());
+
+      expect(await store.findWorkflow("missing")).toBeNull();
+    });
+
+    it("should wake only waiting workflows", async () => {
+      await store.insertWorkflow(workflow("waiting"));
+      await store.insertWorkflow(workflow("running", { status: "running" }));
+      await store.setAsWaiting("waiting", new Date(9000));
+
+      await store.wake("waiting", new Date(2000));
+      await store.wake("running", new Date(2000));
+
+      expect((await store.findWorkflow("waiting")).timeoutAt).toEqual(
+        new Date(2000)
+      );
+      expect((await store.findWorkflow("running")).timeoutAt).toEqual(
+        new Date(1000)
+      );
+    });
+
+    it("should cancel only workflows with one of the given statuses", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+
+      expect(
+        await store.setAsCancelling("workflow-1", ["running"], "why", null)
+      ).toBe(false);
+      expect(
+        await store.setAsCancelling("missing", ["idle"], "why", null)
+      ).toBe(false);
+      expect(
+        await store.setAsCancelling(
+          "workflow-1",
+          ["idle"],
+          "why",
+          new Date(2000)
+        )
+      ).toBe(true);
+      expect(await store.findStatusAndCancelReason("workflow-1")).toEqual({
+        status: "cancelling",
+        cancelReason: "why",
+      });
+      expect((await store.findWorkflow("workflow-1")).timeoutAt).toEqual(
+        new Date(2000)
+      );
+
+      await store.setAsCancelled("workflow-1");
+
+      expect((await store.findWorkflow("workflow-1")).status).toBe("cancelled");
+    });
+
+    it("should cancel and reschedule only workflows that haven't started", async () => {
+      await store.insertWorkflow(workflow("idle"));
+      await store.insertWorkflow(workflow("running", { status: "running" }));
+
+      expect(await store.reschedule("idle", new Date(5000))).toBe(true);
+      expect(await store.reschedule("running", new Date(5000))).toBe(false);
+      expect(await store.reschedule("missing", new Date(5000))).toBe(false);
+      expect((await store.findWorkflow("idle")).timeoutAt).toEqual(
+        new Date(5000)
+      );
+
+      expect(await store.setAsCancelledIfIdle("running", "why")).toBe(false);
+      expect(await store.setAsCancelledIfIdle("idle", "why")).toBe(true);
+      expect(await store.findStatusAndCancelReason("idle")).toMatchObject({
+        status: "cancelled",
+        cancelReason: "why",
+      });
+      expect(await store.reschedule("idle", new Date(6000))).toBe(false);
+    });
+
+    it("should keep the timeout when cancelling a running workflow", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { status: "running" }));
+
+      await store.setAsCancelling("workflow-1", ["running"], undefined, null);
+
+      expect((await store.findWorkflow("workflow-1")).timeoutAt).toEqual(
+        new Date(1000)
+      );
+    });
+  });
+
+  describe("listing", () => {
+    beforeEach(async () => {
+      await store.insertWorkflow(
+        workflow("workflow-1", { createdAt: new Date(1000), tags: ["a"] })
+      );
+      await store.insertWorkflow(
+        workflow("workflow-2", {
+          createdAt: new Date(2000),
+          tags: ["a", "b"],
+          status: "running",
+        })
+      );
+      await store.insertWorkflow(
+        workflow("workflow-3", {
+          createdAt: new Date(2000),
+          handlerId: "handler-2",
+        })
+      );
+      await store.insertWorkflow(workflow("workflow-0"));
+    });
+
+    const ids = (workflows) => workflows.map(({ workflowId }) => workflowId);
+
+    it("should list workflows newest first, those without createdAt last", async () => {
+      expect(ids(await store.listWorkflows({}))).toEqual([
+        "workflow-3",
+        "workflow-2",
+        "workflow-1",
+        "workflow-0",
+      ]);
+    });
+
+    it("should list the workflows after a position", async () => {
+      expect(
+        ids(
+          await store.listWorkflows({
+            after: { createdAt: new Date(2000), workflowId: "workflow-3" },
+            limit: 2,
+          })
+        )
+      ).toEqual(["workflow-2", "workflow-1"]);
+      expect(
+        ids(
+          await store.listWorkflows({
+            after: { createdAt: new Date(1000), workflowId: "workflow-1" },
+          })
+        )
+      ).toEqual(["workflow-0"]);
+      expect(
+        ids(
+          await store.listWorkflows({
+            after: { createdAt: null, workflowId: "workflow-0" },
+          })
+        )
+      ).toEqual([]);
+    });
+
+    it("should filter workflows", async () => {
+      expect(ids(await store.listWorkflows({ statuses: ["running"] }))).toEqual(
+        ["workflow-2"]
+      );
+      expect(
+        ids(await store.listWorkflows({ handlerIds: ["handler-2"] }))
+      ).toEqual(["workflow-3"]);
+      expect(ids(await store.listWorkflows({ tags: ["a", "b"] }))).toEqual([
+        "workflow-2",
+      ]);
+      expect(
+        ids(
+          await store.listWorkflows({
+            createdAfter: new Date(1000),
+            createdBefore: new Date(3000),
+          })
+        )
+      ).toEqual(["workflow-3", "workflow-2"]);
+    });
+
+    it("should count workflows by handler and status", async () => {
+      expect(await store.countWorkflows({})).toEqual([
+        { handlerId: "handler-1", status: "idle", count: 2 },
+        { handlerId: "handler-1", status: "running", count: 1 },
+        { handlerId: "handler-2", status: "idle", count: 1 },
+      ]);
+      expect(await store.countWorkflows({ tags: ["a"] })).toEqual([
+        { handlerId: "handler-1", status: "idle", count: 1 },
+        { handlerId: "handler-1", status: "running", count: 1 },
+      ]);
+    });
+
+    it("should list the steps and naps of a workflow in storage order", async () => {
+      await store.updateAttempts("workflow-1", "step-2", 1);
+      await store.insertStep("workflow-1", "step-1", "output", 1, 0);
+      await store.insertStep("workflow-2", "step-1", "output", 1, 0);
+      await store.insertStep("workflow-1", "step-2", "output", 2, 1);
+      await store.insertNap("workflow-1", "nap-1", new Date(2000), 2);
+      await store.insertNap("workflow-2", "nap-1", new Date(2000), 1);
+
+      expect(
+        (await store.listSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual(["step-2", "step-1"]);
+      expect(await store.listNaps("workflow-1")).toEqual([
+        {
+          workflowId: "workflow-1",
+          napId: "nap-1",
+          wakeUpAt: new Date(2000),
+          sequence: 2,
+        },
+      ]);
+      expect(await store.listSteps("workflow-3")).toEqual([]);
+    });
+  });
+
+  describe("patches", () => {
+    it("should record each change once with a matching lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { leaseToken: 1 }));
+
+      expect(await store.addPatch("workflow-1", "change-1", 1)).toBe(true);
+      expect(await store.addPatch("workflow-1", "change-1", 1)).toBe(true);
+      expect(await store.addPatch("workflow-1", "change-2", 2)).toBe(false);
+      expect(await store.addPatch("workflow-2", "change-2", 1)).toBe(false);
+
+      expect((await store.findRunData("workflow-1")).patches).toEqual([
+        "change-1",
+      ]);
+    });
+
+    it("should count the completed steps and the naps of a workflow", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertWorkflow(workflow("workflow-2"));
+      await store.insertStep("workflow-1", "step-1", "output", 1);
+      await store.updateAttempts("workflow-1", "step-2", 2);
+      await store.insertNap("workflow-1", "nap-1", new Date(2000));
+      await store.insertStep("workflow-2", "step-1", "output", 1);
+
+      expect(await store.countRecords("workflow-1")).toBe(2);
+      expect(await store.countRecords("workflow-3")).toBe(0);
+    });
+
+    it("should tell whether completed steps have a compensation", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertWorkflow(workflow("workflow-2"));
+      await store.insertWorkflow(workflow("workflow-3"));
+      await store.insertStep("workflow-1", "step-1", "output", 1, 0, false);
+      await store.insertStep("workflow-2", "step-1", "output", 1, 0, true);
+      await store.updateAttempts("workflow-3", "step-1", 2);
+
+      expect(await store.hasCompensations("workflow-1")).toBe(false);
+      expect(await store.hasCompensations("workflow-2")).toBe(true);
+      expect(await store.hasCompensations("workflow-3")).toBe(false);
+    });
+
+    it("should delete the steps and naps from a position on", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertWorkflow(workflow("workflow-2"));
+      await store.insertStep("workflow-1", "step-1", "output", 1, 0);
+      await store.insertNap("workflow-1", "nap-1", new Date(2000), 1);
+      await store.insertStep("workflow-1", "step-2", "output", 1, 2);
+      await store.updateAttempts("workflow-1", "step-3", 2);
+      await store.insertNap("workflow-1", "nap-2", new Date(3000), 3);
+      await store.insertStep("workflow-2", "step-2", "output", 1, 2);
+
+      await store.deleteRecordsFrom("workflow-1", 1);
+
+      expect(
+        (await store.listSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual(["step-1"]);
+      expect(await store.listNaps("workflow-1")).toEqual([]);
+      expect(await store.findStep("workflow-2", "step-2")).not.toBeNull();
+    });
+  });
+
+  describe("steps", () => {
+    it("should store the output of a step once", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.updateAttempts("workflow-1", "step-1", 2);
+      await store.insertStep("workflow-1", "step-1", { a: 1 }, 3, 0);
+      await store.insertStep("workflow-1", "step-1", { a: 2 }, 4, 1);
+
+      expect(await store.findStep("workflow-1", "step-1")).toEqual({
+        workflowId: "workflow-1",
+        stepId: "step-1",
+        output: { a: 1 },
+        attempts: 3,
+        sequence: 0,
+      });
+    });
+
+    it("should record the progress of a running step", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.updateProgress("workflow-1", "step-1", { processed: 10 });
+      await store.updateProgress("workflow-1", "step-1", { processed: 20 });
+      await store.insertStep("workflow-1", "step-1", "done", 1);
+
+      expect(await store.findStep("workflow-1", "step-1")).toEqual({
+        workflowId: "workflow-1",
+        stepId: "step-1",
+        progress: { processed: 20 },
+        output: "done",
+        attempts: 1,
+      });
+    });
+
+    it("should store an undefined output as null", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertStep("workflow-1", "step-1", undefined, 1);
+
+      expect((await store.findStep("workflow-1", "step-1")).output).toBeNull();
+    });
+
+    it("should reject step writes with a stale lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { leaseToken: 2 }));
+
+      expect(await store.updateAttempts("workflow-1", "step-1", 2, 1)).toBe(
+        false
+      );
+      expect(
+        await store.updateProgress("workflow-1", "step-1", { done: 1 }, 1)
+      ).toBe(false);
+      expect(
+        await store.insertStep("workflow-1", "step-1", "stale", 3, 0, false, 1)
+      ).toBe(false);
+      expect(await store.findStep("workflow-1", "step-1")).toBeNull();
+
+      expect(
+        await store.insertStep("workflow-1", "step-1", "fresh", 1, 0, false, 2)
+      ).toBe(true);
+      expect((await store.findStep("workflow-1", "step-1")).output).toBe(
+        "fresh"
+      );
+    });
+
+    it("should return null for unknown steps", async () => {
+      expect(await store.findStep("workflow-1", "step-1")).toBeNull();
+    });
+  });
+
+  describe("naps", () => {
+    it("should store a nap once", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertNap("workflow-1", "nap-1", new Date(2000), 0);
+      await store.insertNap("workflow-1", "nap-1", new Date(3000), 1);
+
+      expect(await store.findNap("workflow-1", "nap-1")).toEqual({
+        workflowId: "workflow-1",
+        napId: "nap-1",
+        wakeUpAt: new Date(2000),
+        sequence: 0,
+      });
+      expect(await store.findNap("workflow-1", "nap-2")).toBeNull();
+    });
+
+    it("should reject a nap with a stale lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { leaseToken: 2 }));
+
+      expect(
+        await store.insertNap("workflow-1", "nap-1", new Date(2000), 0, 1)
+      ).toBe(false);
+      expect(await store.findNap("workflow-1", "nap-1")).toBeNull();
+    });
+  });
+
+  describe("events", () => {
+    it("should list the events of a workflow by time", async () => {
+      await store.insertEvent({
+        workflowId: "workflow-1",
+        type: "Finished",
+        at: new Date(3000),
+      });
+      await store.insertEvent({
+        workflowId: "workflow-1",
+        type: "Claimed",
+        at: new Date(2000),
+      });
+      await store.insertEvent({
+        workflowId: "workflow-2",
+        type: "Claimed",
+        at: new Date(1000),
+      });
+      await store.insertEvent({
+        workflowId: "workflow-1",
+        type: "StepCompleted",
+        at: new Date(2000),
+      });
+
+      expect(
+        (await store.listEvents("workflow-1")).map(({ type }) => type)
+      ).toEqual(["Claimed", "StepCompleted", "Finished"]);
+      expect(await store.listEvents("workflow-3")).toEqual([]);
+    });
+
+    it("should reject an event with a stale lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { leaseToken: 2 }));
+      const event = (type) => ({
+        workflowId: "workflow-1",
+        type,
+        at: new Date(1000),
+      });
+
+      expect(await store.insertEvent(event("StepCompleted"), 1)).toBe(false);
+      expect(await store.insertEvent(event("NapStarted"), 2)).toBe(true);
+      expect(await store.insertEvent(event("Cancelled"))).toBe(true);
+
+      expect(
+        (await store.listEvents("workflow-1")).map(({ type }) => type)
+      ).toEqual(["NapStarted", "Cancelled"]);
+    });
+  });
+
+  describe("retention", () => {
+    beforeEach(async () => {
+      await store.insertWorkflow(
+        workflow("workflow-1", { status: "finished" })
+      );
+      await store.insertStep("workflow-1", "step-1", "output", 1, 0);
+      await store.insertNap("workflow-1", "nap-1", new Date(2000), 1);
+      await store.insertSignal(
+        "workflow-1",
+        "go",
+        { ok: true },
+        new Date(3000)
+      );
+      await store.insertEvent({
+        workflowId: "workflow-1",
+        type: "Finished",
+        at: new Date(4000),
+      });
+      await store.insertWorkflow(workflow("workflow-2", { status: "running" }));
+      await store.insertStep("workflow-2", "step-1", "output", 1, 0);
+    });
+
+    it("should stamp a workflow and its records with an expiry", async () => {
+      await store.setCompletion("workflow-1", new Date(4000), new Date(9000));
+
+      expect(await store.findWorkflow("workflow-1")).toMatchObject({
+        completedAt: new Date(4000),
+        expireAt: new Date(9000),
+      });
+      expect((await store.findStep("workflow-1", "step-1")).expireAt).toEqual(
+        new Date(9000)
+      );
+      expect((await store.findNap("workflow-1", "nap-1")).expireAt).toEqual(
+        new Date(9000)
+      );
+      expect((await store.findSignal("workflow-1", "go")).expireAt).toEqual(
+        new Date(9000)
+      );
+      expect((await store.listEvents("workflow-1"))[0].expireAt).toEqual(
+        new Date(9000)
+      );
+      expect(
+        (await store.findStep("workflow-2", "step-1")).expireAt
+      ).toBeUndefined();
+    });
+
+    it("should delete only workflows with one of the given statuses", async () => {
+      expect(
+        await store.deleteWorkflow("workflow-2", ["finished"], false)
+      ).toBe(false);
+      expect(
+        await store.deleteWorkflow("workflow-1", ["finished"], false)
+      ).toBe(true);
+      expect(
+        await store.deleteWorkflow("workflow-1", ["finished"], false)
+      ).toBe(false);
+
+      expect(await store.findWorkflow("workflow-1")).toBeNull();
+      expect(await store.listSteps("workflow-1")).toEqual([]);
+      expect(await store.listNaps("workflow-1")).toEqual([]);
+      expect(await store.findSignal("workflow-1", "go")).toBeNull();
+      expect(await store.listEvents("workflow-1")).toEqual([]);
+      expect(await store.listArchived("workflows", "workflow-1")).toEqual([]);
+      expect(await store.listSteps("workflow-2")).toHaveLength(1);
+    });
+
+    it("should archive the documents of a deleted workflow", async () => {
+      await store.deleteWorkflow("workflow-1", ["finished"], true);
+
+      expect(await store.listArchived("workflows", "workflow-1")).toEqual([
+        workflow("workflow-1", { status: "finished" }),
+      ]);
+      for (const name of ["steps", "naps", "signals", "events"]) {
+        expect(await store.listArchived(name, "workflow-1")).toHaveLength(1);
+      }
+      expect(await store.listArchived("steps", "workflow-2")).toEqual([]);
+    });
+  });
+
+  describe("signals", () => {
+    it("should store a signal once", async () => {
+      expect(
+        await store.insertSignal("workflow-1", "go", { a: 1 }, new Date(2000))
+      ).toBe(true);
+      expect(
+        await store.insertSignal("workflow-1", "go", { a: 2 }, new Date(3000))
+      ).toBe(false);
+
+      expect(await store.findSignal("workflow-1", "go")).toEqual({
+        workflowId: "workflow-1",
+        signalName: "go",
+        payload: { a: 1 },
+        receivedAt: new Date(2000),
+      });
+    });
+
+    it("should keep the wait deadline of a signal", async () => {
+      await store.insertWorkflow(workflow("workflow-1"));
+      await store.insertSignalWait("workflow-1", "go", new Date(5000));
+      await store.insertSignalWait("workflow-1", "go", new Date(6000));
+      await store.insertSignal("workflow-1", "go", "payload", new Date(2000));
+
+      expect(await store.findSignal("workflow-1", "go")).toEqual({
+        workflowId: "workflow-1",
+        signalName: "go",
+        expiresAt: new Date(5000),
+        payload: "payload",
+        receivedAt: new Date(2000),
+      });
+    });
+
+    it("should reject a wait with a stale lease token", async () => {
+      await store.insertWorkflow(workflow("workflow-1", { leaseToken: 2 }));
+
+      expect(
+        await store.insertSignalWait("workflow-1", "go", new Date(5000), 1)
+      ).toBe(false);
+      expect(await store.findSignal("workflow-1", "go")).toBeNull();
+    });
+
+    it("should not record a wait for a received signal", async () => {
+      await store.insertSignal("workflow-1", "go", "payload", new Date(2000));
+      await store.insertSignalWait("workflow-1", "go", new Date(5000));
+
+      expect(
+        (await store.findSignal("workflow-1", "go")).expiresAt
+      ).toBeUndefined();
+    });
+  });
+
+  describe("schedules", () => {
+    const schedule = (scheduleId, fields = {}) => ({
+      scheduleId,
+      cronExpression: "* * * * *",
+      timezone: "UTC",
+      handlerId: "handler-1",
+      overlapPolicy: "skip",
+      paused: false,
+      nextFireAt: new Date(60_000),
+      lastWorkflowId: null,
+      timeoutAt: new Date(0),
+      ...fields,
+    });
+
+    it("should insert a schedule once", async () => {
+      expect(await store.insertSchedule(schedule("schedule-1"))).toBe(true);
+      expect(
+        await store.insertSchedule(schedule("schedule-1", { paused: true }))
+      ).toBe(false);
+
+      expect(await store.findSchedule("schedule-1")).toEqual(
+        schedule("schedule-1")
+      );
+      expect(await store.findSchedule("schedule-2")).toBeNull();
+    });
+
+    it("should update a schedule", async () => {
+      await store.insertSchedule(schedule("schedule-1"));
+
+      expect(await store.updateSchedule("schedule-1", { paused: true })).toBe(
+        true
+      );
+      expect(await store.updateSchedule("schedule-2", { paused: true })).toBe(
+        false
+      );
+      expect((await store.findSchedule("schedule-1")).paused).toBe(true);
+    });
+
+    it("should claim the earliest due tick of the given schedules", async () => {
+      await store.insertSchedule(
+        schedule("late", { nextFireAt: new Date(120_000) })
+      );
+      await store.insertSchedule(schedule("early"));
+      await store.insertSchedule(
+        schedule("other", { nextFireAt: new Date(0) })
+      );
+      await store.insertSchedule(
+        schedule("paused", { nextFireAt: new Date(0), paused: true })
+      );
+      const query = {
+        scheduleIds: ["late", "early", "paused"],
+        now: new Date(180_000),
+        timeoutAt: new Date(190_000),
+        workerId: "worker-1",
+      };
+
+      expect(await store.claimSchedule(query)).toMatchObject({
+        scheduleId: "early",
+        timeoutAt: new Date(190_000),
+        workerId: "worker-1",
+        leaseToken: 1,
+      });
+      expect(await store.claimSchedule(query)).toMatchObject({
+        scheduleId: "late",
+      });
+      expect(await store.claimSchedule(query)).toBeUndefined();
+    });
+
+    it("should not claim ticks that are not due", async () => {
+      await store.insertSchedule(schedule("schedule-1"));
+      await store.insertSchedule(schedule("schedule-2", { nextFireAt: null }));
+
+      expect(
+        await store.claimSchedule({
+          scheduleIds: ["schedule-1", "schedule-2"],
+          now: new Date(59_999),
+          timeoutAt: new Date(70_000),
+          workerId: "worker-1",
+        })
+      ).toBeUndefined();
+    });
+
+    it("should only advance a schedule with a matching lease token", async () => {
+      await store.insertSchedule(schedule("schedule-1"));
+      const { leaseToken } = await store.claimSchedule({
+        scheduleIds: ["schedule-1"],
+        now: new Date(60_000),
+        timeoutAt: new Date(70_000),
+        workerId: "worker-1",
+      });
+
+      expect(
+        await store.advanceSchedule(
+          "schedule-1",
+          { nextFireAt: new Date(120_000) },
+          leaseToken + 1
+        )
+      ).toBe(false);
+      expect(
+        await store.advanceSchedule(
+          "schedule-2",
+          { nextFireAt: new Date(120_000) },
+          leaseToken
+        )
+      ).toBe(false);
+      expect(
+        await store.advanceSchedule(
+          "schedule-1",
+          { nextFireAt: new Date(120_000) },
+          leaseToken
+        )
+      ).toBe(true);
+      expect((await store.findSchedule("schedule-1")).nextFireAt).toEqual(
+        new Date(120_000)
+      );
+    });
+  });
+
+  describe("with Bluestreak", () => {
+    let bluestreak;
+    let stopped;
+
+    beforeEach(async () => {
+      stopped = false;
+      bluestreak = new Bluestreak({
+        store,
+        pollInterval: 5,
+        waitRetryInterval: 5,
+        shouldStop: () => stopped,
+      });
+      await bluestreak.init();
+    });
+
+    afterEach(async () => {
+      await bluestreak.close();
+    });
+
+    const execute = async (workflowId) => {
+      const polling = bluestreak.poll();
+      try {
+        return await bluestreak.wait(workflowId, 100, 5);
+      } finally {
+        stopped = true;
+        await polling;
+      }
+    };
+
+    it("should run a workflow with steps, sleeps and signals", async () => {
+      bluestreak.registerHandler("greet", async (ctx, input) => {
+        const name = await ctx.step("name", async () => input.name);
+        await ctx.sleep("nap", 5);
+        const greeting = await ctx.waitForSignal("greeting");
+        return `${greeting}, ${name}!`;
+      });
+
+      await bluestreak.start("workflow-1", "greet", { name: "Ada" });
+      await bluestreak.signal("workflow-1", "greeting", "Hello");
+
+      expect(await execute("workflow-1")).toBe("Hello, Ada!");
+      expect(await bluestreak.findStep("workflow-1", "name")).toMatchObject({
+        output: "Ada",
+        attempts: 1,
+      });
+    });
+
+    it("should retry a failed workflow without repeating completed steps", async () => {
+      let runs = 0;
+      const first = jest.fn(async () => "first");
+      bluestreak.registerHandler("flaky", async (ctx) => {
+        const output = await ctx.step("first", first);
+        if (++runs === 1) {
+          throw new Error("boom");
+        }
+        return output;
+      });
+
+      await bluestreak.start("workflow-1", "flaky");
+
+      expect(await execute("workflow-1")).toBe("first");
+      expect(first).toHaveBeenCalledTimes(1);
+      expect((await bluestreak.findWorkflow("workflow-1")).failures).toBe(1);
+    });
+
+    it("should leave workflows of other handlers to other workers", async () => {
+      const other = new Bluestreak({
+        store,
+        pollInterval: 5,
+        shouldStop: () => stopped,
+      });
+      other.registerHandler("other", async () => "other");
+      bluestreak.registerHandler("local", async () => "local");
+
+      await bluestreak.start("workflow-1", "other");
+      await bluestreak.start("workflow-2", "local");
+      const pollings = [bluestreak.poll(), other.poll()];
+      try {
+        expect(await bluestreak.wait("workflow-1", 100, 5)).toBe("other");
+        expect(await bluestreak.wait("workflow-2", 100, 5)).toBe("local");
+      } finally {
+        stopped = true;
+        await Promise.all(pollings);
+      }
+    });
+
+    it("should run workflows on the handler version they are pinned to", async () => {
+      const legacy = new Bluestreak({
+        store,
+        pollInterval: 5,
+        shouldStop: () => stopped,
+      });
+      legacy.registerHandler("greet", async () => "v1");
+      bluestreak.registerHandler("greet", async () => "v2", { version: 2 });
+
+      await legacy.start("workflow-1", "greet", undefined, { version: 1 });
+      await bluestreak.start("workflow-2", "greet", undefined, { version: 2 });
+      const pollings = [bluestreak.poll(), legacy.poll()];
+      try {
+        expect(await bluestreak.wait("workflow-1", 100, 5)).toBe("v1");
+        expect(await bluestreak.wait("workflow-2", 100, 5)).toBe("v2");
+      } finally {
+        stopped = true;
+        await Promise.all(pollings);
+      }
+    });
+
+    it("should pin workflows started without a version when first claimed", async () => {
+      const client = new Bluestreak({ store });
+      bluestreak.registerHandler("greet", async () => "v1");
+      bluestreak.registerHandler("greet", async () => "v2", { version: 2 });
+      bluestreak.registerHandler("parent", async (ctx) => {
+        return await ctx.executeChild("child-1", "greet");
+      });
+
+      await client.start("workflow-1", "greet");
+      await client.start("workflow-2", "parent");
+
+      expect(await execute("workflow-1")).toBe("v2");
+      stopped = false;
+      expect(await execute("workflow-2")).toBe("v2");
+      expect((await store.findRunData("workflow-1")).version).toBe(2);
+      expect((await store.findRunData("child-1")).version).toBe(2);
+    });
+
+    it("should run child workflows", async () => {
+      bluestreak.registerHandler("double", async (ctx, input) => input * 2);
+      bluestreak.registerHandler("parent", async (ctx, input) => {
+        return await ctx.executeChild("child-1", "double", input);
+      });
+
+      await bluestreak.start("workflow-1", "parent", 21);
+
+      expect(await execute("workflow-1")).toBe(42);
+      expect(await bluestreak.findChildren("workflow-1")).toHaveLength(1);
+    });
+  });
+});
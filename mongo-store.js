@@ -0,0 +1,1476 @@
+import { MongoClient } from "mongodb";
+
+/**
+ * @typedef {Object} MongoStoreParams
+ * @property {string} [dbUrl="mongodb://localhost:27017"] - MongoDB connection URL
+ * @property {string} [dbName="bluestreak"] - MongoDB database name
+ */
+
+/**
+ * Number of workflows ranked by a claim with aging, tried in order until one
+ * isn't claimed by another worker first.
+ */
+const CLAIM_CANDIDATES = 10;
+
+/**
+ * Adds the lease fence to the write filter of a record of a workflow run:
+ * records are stamped with the lease token of the run that wrote them last,
+ * and the filter doesn't match a record written under a newer lease.
+ *
+ * @param {Object} filter - The filter of the record
+ * @param {number} leaseToken - The lease token of the run
+ * @returns {Object} The fenced filter
+ */
+function fenced(filter, leaseToken) {
+  return { ...filter, leaseToken: { $not: { $gt: leaseToken } } };
+}
+
+/**
+ * Checks whether an error is a MongoDB duplicate key error.
+ *
+ * @param {Error} err - The error to check
+ * @returns {boolean} True if the error is a duplicate key error (E11000)
+ */
+function isDuplicateKey(err) {
+  return err.name === "MongoServerError" && err.code === 11000;
+}
+
+/**
+ * MongoStore - The MongoDB storage backend of Bluestreak.
+ *
+ * Implements the store interface on top of six collections: workflows, steps,
+ * naps, signals, events and schedules. Purged workflows can be archived to
+ * the matching *_archive collections, e.g. workflows_archive.
+ *
+ * Writes to a workflow document are fenced by its lease token. As MongoDB
+ * can't check the workflow document when writing a step, nap or signal wait,
+ * those records carry the lease token of the run that wrote them, and a run
+ * can't write a record once a newer lease wrote it. An event appended by a
+ * run is rejected once the workflow was claimed with a newer lease.
+ */
+export class MongoStore {
+  #dbUrl;
+  #dbName;
+  #client;
+  #db;
+  #workflows;
+  #steps;
+  #naps;
+  #signals;
+  #events;
+  #schedules;
+
+  /**
+   * Creates a new MongoStore instance.
+   *
+   * @param {MongoStoreParams} [params] - Configuration parameters
+   */
+  constructor(params = {}) {
+    this.#dbUrl = params.dbUrl || "mongodb://localhost:27017";
+    this.#dbName = params.dbName || "bluestreak";
+    this.#client = null;
+    this.#db = null;
+    this.#workflows = null;
+    this.#steps = null;
+    this.#naps = null;
+    this.#signals = null;
+    this.#events = null;
+    this.#schedules = null;
+  }
+
+  /**
+   * Initializes the MongoDB connection and creates required indexes.
+   *
+   * Creates six collections:
+   * - workflows: Stores workflow state (status, timeoutAt, failures, input, result, parentId)
+   * - steps: Stores individual step outputs separately to avoid document size limits
+   * - naps: Stores sleep/nap state separately to avoid document size limits
+   * - signals: Stores received signals and signal wait deadlines
+   * - events: Stores the append-only history of each workflow
+   * - schedules: Stores recurring schedules and their next fire time
+   *
+   * The workflows, steps, naps, signals and events collections get a TTL
+   * index on expireAt, so that MongoDB deletes the records of completed
+   * workflows once their retention has passed.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.#client = new MongoClient(this.#dbUrl);
+    const db = this.#client.db(this.#dbName);
+    this.#db = db;
+    this.#workflows = db.collection("workflows");
+    await this.#workflows.createIndex({ workflowId: 1 }, { unique: true });
+    await this.#workflows.createIndex({
+      status: 1,
+      handlerId: 1,
+      timeoutAt: 1,
+    });
+    await this.#workflows.createIndex({
+      status: 1,
+      handlerId: 1,
+      priority: -1,
+      timeoutAt: 1,
+    });
+    await this.#workflows.createIndex({ parentId: 1 });
+    await this.#workflows.createIndex({ createdAt: -1, workflowId: -1 });
+    await this.#workflows.createIndex({
+      status: 1,
+      createdAt: -1,
+      workflowId: -1,
+    });
+    await this.#workflows.createIndex({
+      handlerId: 1,
+      createdAt: -1,
+      workflowId: -1,
+    });
+    await this.#workflows.createIndex({
+      tags: 1,
+      createdAt: -1,
+      workflowId: -1,
+    });
+    this.#steps = db.collection("steps");
+    await this.#steps.createIndex(
+      { workflowId: 1, stepId: 1 },
+      { unique: true }
+    );
+    this.#naps = db.collection("naps");
+    await this.#naps.createIndex({ workflowId: 1, napId: 1 }, { unique: true });
+    this.#signals = db.collection("signals");
+    await this.#signals.createIndex(
+      { workflowId: 1, signalName: 1 },
+      { unique: true }
+    );
+    this.#events = db.collection("events");
+    await this.#events.createIndex({ workflowId: 1, at: 1 });
+    for (const collection of [
+      this.#workflows,
+      ...Object.values(this.#records()),
+    ]) {
+      await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    }
+    this.#schedules = db.collection("schedules");
+    await this.#schedules.createIndex({ scheduleId: 1 }, { unique: true });
+    await this.#schedules.createIndex({ paused: 1, nextFireAt: 1 });
+  }
+
+  /**
+   * Closes the MongoDB connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.#client.close();
+  }
+
+  /**
+   * Inserts a new workflow into the workflows collection.
+   *
+   * @param {Object} workflow - The workflow document
+   * @returns {Promise<boolean>} Returns true if workflow was inserted, false if it already exists
+   */
+  async insertWorkflow(workflow) {
+    try {
+      await this.#workflows.insertOne(workflow);
+      return true;
+    } catch (err) {
+      if (isDuplicateKey(err)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Finds a workflow by its ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} The workflow document or null if not found
+   */
+  async findWorkflow(workflowId) {
+    return await this.#workflows.findOne({ workflowId });
+  }
+
+  /**
+   * Finds the child workflows started by a workflow.
+   *
+   * @param {string} parentId - The ID of the parent workflow
+   * @returns {Promise<Object[]>} The child workflow documents
+   */
+  async findChildren(parentId) {
+    return await this.#workflows.find({ parentId }).toArray();
+  }
+
+  /**
+   * Lists the workflows matching a query.
+   *
+   * Workflows are sorted by descending createdAt, then workflowId, which the
+   * createdAt indexes cover. Workflows stored without a createdAt sort last,
+   * so the page after one of them only holds others without a createdAt.
+   *
+   * @param {import("./index.js").WorkflowQuery} query - The filter and page
+   * @returns {Promise<Object[]>} The workflow documents
+   */
+  async listWorkflows(query) {
+    const filter = this.#workflowFilter(query);
+    const { after } = query;
+    if (after && after.createdAt) {
+      filter.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, workflowId: { $lt: after.workflowId } },
+        { createdAt: null },
+      ];
+    } else if (after) {
+      filter.$or = [{ createdAt: null, workflowId: { $lt: after.workflowId } }];
+    }
+    let cursor = this.#workflows
+      .find(filter)
+      .sort({ createdAt: -1, workflowId: -1 });
+    if (query.limit !== undefined) {
+      cursor = cursor.limit(query.limit);
+    }
+    return await cursor.toArray();
+  }
+
+  /**
+   * Counts the workflows matching a query by handler and status.
+   *
+   * @param {import("./index.js").WorkflowQuery} query - The filter
+   * @returns {Promise<{handlerId: string, status: string, count: number}[]>} The non-empty groups, sorted by handlerId then status
+   */
+  async countWorkflows(query) {
+    const groups = await this.#workflows
+      .aggregate([
+        { $match: this.#workflowFilter(query) },
+        {
+          $group: {
+            _id: { handlerId: "$handlerId", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { "_id.handlerId": 1, "_id.status": 1 } },
+      ])
+      .toArray();
+    return groups.map(({ _id, count }) => ({
+      handlerId: _id.handlerId,
+      status: _id.status,
+      count,
+    }));
+  }
+
+  /**
+   * Finds the data needed to run a workflow (status, handlerId, version,
+   * input, failures, parentId, patches).
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status, handlerId, version, input, failures, parentId and patches, or null if not found
+   */
+  async findRunData(workflowId) {
+    const workflow = await this.#workflows.findOne(
+      {
+        workflowId,
+      },
+      {
+        projection: {
+          _id: 0,
+          status: 1,
+          handlerId: 1,
+          version: 1,
+          input: 1,
+          failures: 1,
+          parentId: 1,
+          patches: 1,
+        },
+      }
+    );
+    if (!workflow) {
+      return null;
+    }
+    return {
+      status: workflow.status,
+      handlerId: workflow.handlerId,
+      version: workflow.version,
+      input: workflow.input,
+      failures: workflow.failures,
+      parentId: workflow.parentId,
+      patches: workflow.patches,
+    };
+  }
+
+  /**
+   * Finds the status and result of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status and result, or null if not found
+   */
+  async findStatusAndResult(workflowId) {
+    const workflow = await this.#workflows.findOne(
+      {
+        workflowId,
+      },
+      {
+        projection: {
+          _id: 0,
+          status: 1,
+          result: 1,
+        },
+      }
+    );
+    if (!workflow) {
+      return null;
+    }
+    return {
+      status: workflow.status,
+      result: workflow.result,
+    };
+  }
+
+  /**
+   * Finds the status, cancellation reason and lease token of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with status, cancelReason and leaseToken, or null if not found
+   */
+  async findStatusAndCancelReason(workflowId) {
+    return await this.#workflows.findOne(
+      {
+        workflowId,
+      },
+      {
+        projection: {
+          _id: 0,
+          status: 1,
+          cancelReason: 1,
+          leaseToken: 1,
+        },
+      }
+    );
+  }
+
+  /**
+   * Finds the last failure and the failure history of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object|null>} Object with lastFailure, null if the workflow never failed, and failureHistory, or null if not found
+   */
+  async findFailure(workflowId) {
+    const workflow = await this.#workflows.findOne(
+      {
+        workflowId,
+      },
+      {
+        projection: {
+          _id: 0,
+          lastFailure: 1,
+          failureHistory: 1,
+        },
+      }
+    );
+    if (!workflow) {
+      return null;
+    }
+    return {
+      lastFailure: workflow.lastFailure ?? null,
+      failureHistory: workflow.failureHistory ?? [],
+    };
+  }
+
+  /**
+   * Atomically claims a workflow that is ready to run.
+   *
+   * Looks for a workflow with one of the given statuses and handler versions
+   * that has timed out (timeoutAt < now), updates its status to "running"
+   * unless it is "cancelling" or "compensating", sets a new timeout, records
+   * the claiming worker and increments the lease token. A workflow without a
+   * version that was never claimed matches any version of its handler, and
+   * is pinned to the highest one. The update is a pipeline so that the
+   * status and version can depend on the current ones.
+   *
+   * The workflow with the highest effective priority is claimed, and the
+   * oldest one among equal effective priorities. The effective priority is
+   * the priority of the workflow plus one for every agingInterval it has
+   * been ready for. As it can't be sorted on by findOneAndUpdate, the ready
+   * workflows are ranked by an aggregation first, then claimed one by one
+   * until a claim succeeds.
+   *
+   * @param {Object} query - The claim query
+   * @param {string[]} query.statuses - The statuses a claimable workflow may have
+   * @param {{handlerId: string, versions: Array<number|null>}[]} query.handlers - The handler IDs and versions a claimable workflow may have, null matching claimed workflows without a version
+   * @param {Date} query.now - The current time
+   * @param {number|null} query.agingInterval - Milliseconds of readiness that raise the effective priority of a workflow by one, null to always follow priorities
+   * @param {Date} query.timeoutAt - The new timeout of the claimed workflow
+   * @param {string} query.workerId - The ID of the claiming worker
+   * @returns {Promise<Object|undefined>} Object with workflowId and leaseToken if claimed, undefined otherwise
+   */
+  async claim({ statuses, handlers, now, agingInterval, timeoutAt, workerId }) {
+    const filter = {
+      status: { $in: statuses },
+      $or: handlers.flatMap(({ handlerId, versions }) => [
+        { handlerId, version: { $in: versions } },
+        { handlerId, version: null, leaseToken: null },
+      ]),
+      timeoutAt: { $lt: now },
+    };
+    const version = {
+      $switch: {
+        branches: handlers.map(({ handlerId, versions }) => ({
+          case: { $eq: ["$handlerId", handlerId] },
+          then: Math.max(...versions.filter((pinned) => pinned !== null)),
+        })),
+        default: null,
+      },
+    };
+    if (agingInterval === null) {
+      return await this.#claimFirst(
+        filter,
+        { priority: -1, timeoutAt: 1 },
+        version,
+        timeoutAt,
+        workerId
+      );
+    }
+    const candidates = await this.#workflows
+      .aggregate([
+        { $match: filter },
+        {
+          $set: {
+            effectivePriority: {
+              $add: [
+                { $ifNull: ["$priority", 0] },
+                {
+                  $floor: {
+                    $divide: [
+                      { $subtract: [now, "$timeoutAt"] },
+                      agingInterval,
+                    ],
+                  },
+                },
+              ],
+            },
+          },
+        },
+        { $sort: { effectivePriority: -1, timeoutAt: 1 } },
+        { $limit: CLAIM_CANDIDATES },
+        { $project: { _id: 0, workflowId: 1 } },
+      ])
+      .toArray();
+    for (const { workflowId } of candidates) {
+      // The filter is checked again in case another worker claimed it first
+      const claimed = await this.#claimFirst(
+        { ...filter, workflowId },
+        {},
+        version,
+        timeoutAt,
+        workerId
+      );
+      if (claimed) {
+        return claimed;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Claims the first workflow matching a filter in the given sort order.
+   *
+   * @param {Object} filter - The filter of claimable workflows
+   * @param {Object} sort - The order in which workflows are claimed
+   * @param {Object} version - The expression of the version a never claimed workflow without one is pinned to
+   * @param {Date} timeoutAt - The new timeout of the claimed workflow
+   * @param {string} workerId - The ID of the claiming worker
+   * @returns {Promise<Object|undefined>} Object with workflowId and leaseToken if claimed, undefined otherwise
+   */
+  async #claimFirst(filter, sort, version, timeoutAt, workerId) {
+    const workflow = await this.#workflows.findOneAndUpdate(
+      filter,
+      [
+        {
+          $set: {
+            status: {
+              $cond: [
+                { $in: ["$status", ["cancelling", "compensating"]] },
+                "$status",
+                "running",
+              ],
+            },
+            version: {
+              $ifNull: [
+                "$version",
+                {
+                  $cond: [
+                    { $eq: [{ $ifNull: ["$leaseToken", null] }, null] },
+                    version,
+                    "$$REMOVE",
+                  ],
+                },
+              ],
+            },
+            timeoutAt,
+            workerId: { $literal: workerId },
+            leaseToken: { $add: [{ $ifNull: ["$leaseToken", 0] }, 1] },
+          },
+        },
+      ],
+      {
+        projection: {
+          _id: 0,
+          workflowId: 1,
+          leaseToken: 1,
+        },
+        sort,
+        returnDocument: "after",
+      }
+    );
+    if (!workflow) {
+      return undefined;
+    }
+    return { workflowId: workflow.workflowId, leaseToken: workflow.leaseToken };
+  }
+
+  /**
+   * Marks a workflow as finished and stores its result.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {any} result - The workflow result
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsFinished(workflowId, result, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          status: "finished",
+          result,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Moves a workflow to the "cancelling" status if it has one of the given statuses.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be cancelled from
+   * @param {string} [reason] - The reason of the cancellation
+   * @param {Date|null} timeoutAt - The new timeout timestamp, or null to keep the current one
+   * @returns {Promise<boolean>} True if the workflow was updated
+   */
+  async setAsCancelling(workflowId, statuses, reason, timeoutAt) {
+    const update = { status: "cancelling", cancelReason: reason };
+    if (timeoutAt) {
+      update.timeoutAt = timeoutAt;
+    }
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        status: { $in: statuses },
+      },
+      {
+        $set: update,
+      }
+    );
+    return res.modifiedCount > 0;
+  }
+
+  /**
+   * Marks a workflow that hasn't started yet (status "idle") as cancelled.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} [reason] - The reason of the cancellation
+   * @returns {Promise<boolean>} True if the workflow was updated
+   */
+  async setAsCancelledIfIdle(workflowId, reason) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        status: "idle",
+      },
+      {
+        $set: {
+          status: "cancelled",
+          cancelReason: reason,
+        },
+      }
+    );
+    return res.modifiedCount > 0;
+  }
+
+  /**
+   * Marks a workflow as cancelled.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsCancelled(workflowId, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          status: "cancelled",
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Marks a workflow as compensated.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsCompensated(workflowId, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          status: "compensated",
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Marks a workflow as waiting until the given time.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - When the workflow should be resumed at the latest
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async setAsWaiting(workflowId, timeoutAt, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          status: "waiting",
+          timeoutAt,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Makes a waiting workflow claimable right away.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} now - The current time
+   * @returns {Promise<void>}
+   */
+  async wake(workflowId, now) {
+    await this.#workflows.updateOne(
+      {
+        workflowId,
+        status: "waiting",
+      },
+      {
+        $set: {
+          timeoutAt: now,
+        },
+      }
+    );
+  }
+
+  /**
+   * Moves the start of a workflow that hasn't started yet (status "idle").
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new start time
+   * @returns {Promise<boolean>} True if the workflow hasn't started yet
+   */
+  async reschedule(workflowId, timeoutAt) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        status: "idle",
+      },
+      {
+        $set: {
+          timeoutAt,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Moves a workflow with one of the given statuses back to "waiting" until
+   * the given time, clearing its failure count and result.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be requeued from
+   * @param {Date} timeoutAt - When the workflow becomes claimable
+   * @returns {Promise<boolean>} True if the workflow had one of the statuses
+   */
+  async requeue(workflowId, statuses, timeoutAt) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        status: { $in: statuses },
+      },
+      {
+        $set: {
+          status: "waiting",
+          timeoutAt,
+          failures: 0,
+        },
+        $unset: {
+          result: "",
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Updates the status, timeoutAt, and failure count of a workflow, and
+   * records the failure of the run, if any, as the last one and at the end of
+   * the failure history.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} status - The new status ("failed", "aborted" or "compensating")
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} failures - The updated failure count
+   * @param {number} leaseToken - The lease token of the run
+   * @param {import("./index.js").Failure} [failure] - The failure of the run
+   * @param {number} [historySize] - The number of failures the history keeps
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateStatus(
+    workflowId,
+    status,
+    timeoutAt,
+    failures,
+    leaseToken,
+    failure,
+    historySize
+  ) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          status,
+          timeoutAt,
+          failures,
+          ...(failure && { lastFailure: failure }),
+        },
+        ...(failure && {
+          $push: {
+            failureHistory: { $each: [failure], $slice: -historySize },
+          },
+        }),
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Updates only the timeoutAt field of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateTimeoutAt(workflowId, timeoutAt, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          timeoutAt,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Makes a workflow claimable at timeoutAt and increments its lease token,
+   * so that the run holding the lease can't write anymore.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date} timeoutAt - The new timeout timestamp
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async releaseLease(workflowId, timeoutAt, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $set: {
+          timeoutAt,
+        },
+        $inc: {
+          leaseToken: 1,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Records that a workflow took the patched code path of a change.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} changeId - The ID of the change
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async addPatch(workflowId, changeId, leaseToken) {
+    const res = await this.#workflows.updateOne(
+      {
+        workflowId,
+        leaseToken,
+      },
+      {
+        $addToSet: {
+          patches: changeId,
+        },
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Counts the completed steps and the naps of a workflow.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<number>} The number of completed steps and naps
+   */
+  async countRecords(workflowId) {
+    const steps = await this.#steps.countDocuments({
+      workflowId,
+      output: { $exists: true },
+    });
+    const naps = await this.#naps.countDocuments({ workflowId });
+    return steps + naps;
+  }
+
+  /**
+   * Tells whether a workflow completed steps that have a compensation.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<boolean>} True if at least one completed step has a compensation
+   */
+  async hasCompensations(workflowId) {
+    const count = await this.#steps.countDocuments(
+      {
+        workflowId,
+        output: { $exists: true },
+        compensable: true,
+      },
+      { limit: 1 }
+    );
+    return count > 0;
+  }
+
+  /**
+   * Stamps a workflow with its completion time, and it and its steps, naps,
+   * signals and events with their expiry time, which the TTL indexes act on.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {Date|null} completedAt - When the workflow completed, or null to clear it
+   * @param {Date|null} expireAt - When the records expire, or null to keep them
+   * @returns {Promise<void>}
+   */
+  async setCompletion(workflowId, completedAt, expireAt) {
+    await this.#workflows.updateOne(
+      {
+        workflowId,
+      },
+      {
+        $set: {
+          completedAt,
+          expireAt,
+        },
+      }
+    );
+    for (const collection of Object.values(this.#records())) {
+      await collection.updateMany(
+        {
+          workflowId,
+        },
+        {
+          $set: {
+            expireAt,
+          },
+        }
+      );
+    }
+  }
+
+  /**
+   * Deletes a workflow with one of the given statuses, and its steps, naps,
+   * signals and events.
+   *
+   * With archive, the documents are first copied to the *_archive
+   * collections. Copies replace those of a previous, interrupted attempt. The
+   * workflow is deleted before its records, so a workflow whose status
+   * changed in between keeps them.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be deleted with
+   * @param {boolean} archive - Whether to archive the documents first
+   * @returns {Promise<boolean>} True if the workflow was deleted
+   */
+  async deleteWorkflow(workflowId, statuses, archive) {
+    const filter = { workflowId, status: { $in: statuses } };
+    if (archive) {
+      const workflow = await this.#workflows.findOne(filter);
+      if (!workflow) {
+        return false;
+      }
+      await this.#archive("workflows", [workflow]);
+      for (const [name, collection] of Object.entries(this.#records())) {
+        await this.#archive(
+          name,
+          await collection.find({ workflowId }).toArray()
+        );
+      }
+    }
+    const res = await this.#workflows.deleteOne(filter);
+    if (res.deletedCount === 0) {
+      return false;
+    }
+    for (const collection of Object.values(this.#records())) {
+      await collection.deleteMany({ workflowId });
+    }
+    return true;
+  }
+
+  /**
+   * Deletes the completed steps and the naps of a workflow from a position in
+   * the run on, and the steps that haven't completed.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} sequence - The position of the first step or nap to delete
+   * @returns {Promise<void>}
+   */
+  async deleteRecordsFrom(workflowId, sequence) {
+    await this.#steps.deleteMany({
+      workflowId,
+      $or: [{ output: { $exists: false } }, { sequence: { $gte: sequence } }],
+    });
+    await this.#naps.deleteMany({
+      workflowId,
+      sequence: { $gte: sequence },
+    });
+  }
+
+  /**
+   * Finds a step by workflow ID and step ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @returns {Promise<Object|null>} The step document or null if not found
+   */
+  async findStep(workflowId, stepId) {
+    return await this.#steps.findOne({ workflowId, stepId });
+  }
+
+  /**
+   * Lists the steps of a workflow, in the order their documents were created.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The step documents
+   */
+  async listSteps(workflowId) {
+    return await this.#steps.find({ workflowId }).sort({ _id: 1 }).toArray();
+  }
+
+  /**
+   * Inserts a step output into the steps collection using upsert.
+   *
+   * The filter excludes steps that already have an output, so the operation is
+   * idempotent - if the step was completed by a previous attempt before crash,
+   * the upsert fails with a duplicate key error and the step isn't modified.
+   * A step record holding only failed attempts is completed in place. The
+   * upsert also fails if a newer lease wrote the step, which is then told
+   * apart by its lease token.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {any} output - The step output to store
+   * @param {number} attempts - The number of attempts it took to complete the step
+   * @param {number} sequence - The position of the step among the steps and naps of the run
+   * @param {boolean} compensable - Whether the step has a compensation
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertStep(
+    workflowId,
+    stepId,
+    output,
+    attempts,
+    sequence,
+    compensable,
+    leaseToken
+  ) {
+    try {
+      await this.#steps.updateOne(
+        fenced(
+          {
+            workflowId,
+            stepId,
+            output: { $exists: false },
+          },
+          leaseToken
+        ),
+        {
+          $set: {
+            output,
+            attempts,
+            sequence,
+            compensable,
+            leaseToken,
+          },
+        },
+        {
+          upsert: true,
+        }
+      );
+      return true;
+    } catch (err) {
+      if (!isDuplicateKey(err)) {
+        throw err;
+      }
+    }
+    const step = await this.#steps.findOne(
+      { workflowId, stepId },
+      { projection: { _id: 0, leaseToken: 1 } }
+    );
+    return !(step?.leaseToken > leaseToken);
+  }
+
+  /**
+   * Records the number of attempts of a step that failed.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {number} attempts - The number of attempts so far
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateAttempts(workflowId, stepId, attempts, leaseToken) {
+    return await this.#upsertRecord(
+      this.#steps,
+      fenced({ workflowId, stepId }, leaseToken),
+      { $set: { attempts, leaseToken } }
+    );
+  }
+
+  /**
+   * Records the progress reported by a step that is still running.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {any} progress - The progress details
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async updateProgress(workflowId, stepId, progress, leaseToken) {
+    return await this.#upsertRecord(
+      this.#steps,
+      fenced({ workflowId, stepId }, leaseToken),
+      { $set: { progress, leaseToken } }
+    );
+  }
+
+  /**
+   * Finds a nap (sleep) by workflow ID and nap ID.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} napId - The nap ID
+   * @returns {Promise<Object|null>} The nap document or null if not found
+   */
+  async findNap(workflowId, napId) {
+    return await this.#naps.findOne({ workflowId, napId });
+  }
+
+  /**
+   * Lists the naps of a workflow, in the order they were stored.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The nap documents
+   */
+  async listNaps(workflowId) {
+    return await this.#naps.find({ workflowId }).sort({ _id: 1 }).toArray();
+  }
+
+  /**
+   * Inserts a nap (sleep) into the naps collection using upsert.
+   *
+   * Uses $setOnInsert to make the operation idempotent - if the nap already
+   * exists (from a previous attempt before crash), it won't be modified.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} napId - The nap ID
+   * @param {Date} wakeUpAt - The time to wake up
+   * @param {number} sequence - The position of the nap among the steps and naps of the run
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertNap(workflowId, napId, wakeUpAt, sequence, leaseToken) {
+    return await this.#upsertRecord(
+      this.#naps,
+      fenced({ workflowId, napId }, leaseToken),
+      {
+        $setOnInsert: {
+          workflowId,
+          napId,
+          wakeUpAt,
+          sequence,
+          leaseToken,
+        },
+      }
+    );
+  }
+
+  /**
+   * Finds a signal by workflow ID and signal name.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @returns {Promise<Object|null>} The signal document or null if not found
+   */
+  async findSignal(workflowId, signalName) {
+    return await this.#signals.findOne({ workflowId, signalName });
+  }
+
+  /**
+   * Records a received signal in the signals collection.
+   *
+   * Upserts on a filter that excludes already received signals, so a second
+   * delivery of the same signal fails with a duplicate key error.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @param {any} payload - The signal payload
+   * @param {Date} receivedAt - When the signal was received
+   * @returns {Promise<boolean>} Returns true if the signal was stored, false if it was already received
+   */
+  async insertSignal(workflowId, signalName, payload, receivedAt) {
+    try {
+      await this.#signals.updateOne(
+        {
+          workflowId,
+          signalName,
+          receivedAt: { $exists: false },
+        },
+        {
+          $set: {
+            payload,
+            receivedAt,
+          },
+        },
+        {
+          upsert: true,
+        }
+      );
+      return true;
+    } catch (err) {
+      if (isDuplicateKey(err)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Records the deadline of a signal wait using upsert.
+   *
+   * Uses $setOnInsert to make the operation idempotent - if the signal already
+   * arrived or the wait was recorded by a previous attempt, it won't be modified.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} signalName - The signal name
+   * @param {Date|null} expiresAt - The wait deadline, or null to wait forever
+   * @param {number} leaseToken - The lease token of the run
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async insertSignalWait(workflowId, signalName, expiresAt, leaseToken) {
+    return await this.#upsertRecord(
+      this.#signals,
+      fenced({ workflowId, signalName }, leaseToken),
+      {
+        $setOnInsert: {
+          workflowId,
+          signalName,
+          expiresAt,
+          leaseToken,
+        },
+      }
+    );
+  }
+
+  /**
+   * Appends an event to the events collection.
+   *
+   * An event appended by a run is upserted with a filter matching the Claimed
+   * events of newer leases, so that it is only inserted if there are none.
+   *
+   * @param {import("./index.js").HistoryEvent} event - The event
+   * @param {number} [leaseToken] - The lease token of the run appending the event, if any
+   * @returns {Promise<boolean>} False if the lease of the run is no longer held
+   */
+  async insertEvent(event, leaseToken) {
+    if (leaseToken === undefined) {
+      await this.#events.insertOne(event);
+      return true;
+    }
+    const result = await this.#events.updateOne(
+      {
+        workflowId: event.workflowId,
+        type: "Claimed",
+        leaseToken: { $gt: leaseToken },
+      },
+      { $setOnInsert: event },
+      { upsert: true }
+    );
+    return result.matchedCount === 0;
+  }
+
+  /**
+   * Lists the events of a workflow by time, then in insertion order.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<import("./index.js").HistoryEvent[]>} The events, without their _id
+   */
+  async listEvents(workflowId) {
+    return await this.#events
+      .find({ workflowId }, { projection: { _id: 0 } })
+      .sort({ at: 1, _id: 1 })
+      .toArray();
+  }
+
+  /**
+   * Inserts a new schedule into the schedules collection.
+   *
+   * @param {Object} schedule - The schedule document
+   * @returns {Promise<boolean>} Returns true if the schedule was inserted, false if it already exists
+   */
+  async insertSchedule(schedule) {
+    try {
+      await this.#schedules.insertOne(schedule);
+      return true;
+    } catch (err) {
+      if (isDuplicateKey(err)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Finds a schedule by its ID.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<Object|null>} The schedule document or null if not found
+   */
+  async findSchedule(scheduleId) {
+    return await this.#schedules.findOne(
+      { scheduleId },
+      { projection: { _id: 0 } }
+    );
+  }
+
+  /**
+   * Sets fields of a schedule.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @param {Object} fields - The fields to set
+   * @returns {Promise<boolean>} True if the schedule exists
+   */
+  async updateSchedule(scheduleId, fields) {
+    const res = await this.#schedules.updateOne(
+      {
+        scheduleId,
+      },
+      {
+        $set: fields,
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Claims the earliest due tick of one of the given schedules.
+   *
+   * Looks for an unpaused schedule whose nextFireAt has passed and whose lease
+   * has timed out (timeoutAt < now), sets a new timeout, records the claiming
+   * worker and increments the lease token, like claiming a workflow.
+   *
+   * @param {Object} query - The claim query
+   * @param {string[]} query.scheduleIds - The IDs of the schedules that may be claimed
+   * @param {Date} query.now - The current time
+   * @param {Date} query.timeoutAt - The new timeout of the claimed schedule
+   * @param {string} query.workerId - The ID of the claiming worker
+   * @returns {Promise<Object|undefined>} The claimed schedule document, undefined if none was claimed
+   */
+  async claimSchedule({ scheduleIds, now, timeoutAt, workerId }) {
+    const schedule = await this.#schedules.findOneAndUpdate(
+      {
+        scheduleId: { $in: scheduleIds },
+        paused: false,
+        nextFireAt: { $lte: now },
+        timeoutAt: { $lt: now },
+      },
+      {
+        $set: {
+          timeoutAt,
+          workerId,
+        },
+        $inc: {
+          leaseToken: 1,
+        },
+      },
+      {
+        projection: {
+          _id: 0,
+        },
+        sort: {
+          nextFireAt: 1,
+        },
+        returnDocument: "after",
+      }
+    );
+    return schedule || undefined;
+  }
+
+  /**
+   * Sets fields of a claimed schedule if its lease token still matches.
+   *
+   * @param {string} scheduleId - The schedule ID
+   * @param {Object} fields - The fields to set
+   * @param {number} leaseToken - The lease token of the claim
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async advanceSchedule(scheduleId, fields, leaseToken) {
+    const res = await this.#schedules.updateOne(
+      {
+        scheduleId,
+        leaseToken,
+      },
+      {
+        $set: fields,
+      }
+    );
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Builds the MongoDB filter of a workflow query, without its page.
+   *
+   * @param {import("./index.js").WorkflowQuery} query - The query
+   * @returns {Object} The filter
+   */
+  #workflowFilter(query) {
+    const filter = {};
+    if (query.statuses) {
+      filter.status = { $in: query.statuses };
+    }
+    if (query.handlerIds) {
+      filter.handlerId = { $in: query.handlerIds };
+    }
+    if (query.tags?.length) {
+      filter.tags = { $all: query.tags };
+    }
+    if (query.createdAfter || query.createdBefore) {
+      filter.createdAt = {};
+      if (query.createdAfter) {
+        filter.createdAt.$gt = query.createdAfter;
+      }
+      if (query.createdBefore) {
+        filter.createdAt.$lt = query.createdBefore;
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Upserts a record of a workflow run with a fenced filter.
+   *
+   * A record written under a newer lease doesn't match the filter, so the
+   * upsert tries to insert it again and fails with a duplicate key error.
+   *
+   * @param {Object} collection - The collection of the record
+   * @param {Object} filter - The fenced filter of the record
+   * @param {Object} update - The update of the record
+   * @returns {Promise<boolean>} False if the lease is no longer held
+   */
+  async #upsertRecord(collection, filter, update) {
+    try {
+      await collection.updateOne(filter, update, { upsert: true });
+      return true;
+    } catch (err) {
+      if (isDuplicateKey(err)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Gets the collections holding the records of workflows, by name.
+   *
+   * @returns {Object<string, Object>} The steps, naps, signals and events collections
+   */
+  #records() {
+    return {
+      steps: this.#steps,
+      naps: this.#naps,
+      signals: this.#signals,
+      events: this.#events,
+    };
+  }
+
+  /**
+   * Copies documents to the archive collection of a collection, replacing
+   * the copies already there.
+   *
+   * @param {string} name - The name of the collection the documents come from
+   * @param {Object[]} docs - The documents to copy
+   * @returns {Promise<void>}
+   */
+  async #archive(name, docs) {
+    if (docs.length === 0) {
+      return;
+    }
+    await this.#db.collection(`${name}_archive`).bulkWrite(
+      docs.map((doc) => ({
+        replaceOne: {
+          filter: { _id: doc._id },
+          replacement: doc,
+          upsert: true,
+        },
+      }))
+    );
+  }
+}
@@ -0,0 +1,820 @@
+import { Bluestreak, WaitTimeout } from "./index.js";
+import { FINAL_STATUSES, NEVER, mapSteps } from "./internal.js";
+import { MemoryStore } from "./memory-store.js";
+
+/**
+ * A clock whose time only moves when it is advanced.
+ */
+class VirtualClock {
+  #time;
+  #timers;
+
+  /**
+   * @param {Date} startTime - The initial time of the clock
+   */
+  constructor(startTime) {
+    this.#time = startTime.getTime();
+    this.#timers = [];
+  }
+
+  /**
+   * Returns the current virtual time.
+   *
+   * @returns {Date} The current time
+   */
+  now() {
+    return new Date(this.#time);
+  }
+
+  /**
+   * Resolves once the clock has been advanced by ms milliseconds, or as soon
+   * as the signal is aborted.
+   *
+   * @param {number} ms - The duration to sleep in milliseconds
+   * @param {AbortSignal} [signal] - Ends the sleep early when aborted
+   * @returns {Promise<void>}
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const onAbort = () => {
+        this.#timers = this.#timers.filter((other) => other !== timer);
+        resolve();
+      };
+      const timer = {
+        at: this.#time + ms,
+        resolve: () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      // A sleep that never ends doesn't need to be tracked
+      if (ms !== Infinity) {
+        this.#timers.push(timer);
+      }
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Finds when the earliest pending sleep ends.
+   *
+   * @returns {number} The time in milliseconds, or Infinity if nothing sleeps
+   */
+  nextTimerAt() {
+    return Math.min(...this.#timers.map((timer) => timer.at));
+  }
+
+  /**
+   * Moves the clock forward and ends the sleeps that are due by then.
+   *
+   * @param {number} time - The new time in milliseconds
+   */
+  advanceTo(time) {
+    this.#time = Math.max(this.#time, time);
+    const due = this.#timers
+      .filter((timer) => timer.at <= this.#time)
+      .sort((a, b) => a.at - b.at);
+    this.#timers = this.#timers.filter((timer) => timer.at > this.#time);
+    for (const timer of due) {
+      timer.resolve();
+    }
+  }
+}
+
+/**
+ * A MemoryStore that remembers which steps were completed and which
+ * schedules were stored, in the order they were stored.
+ */
+class RecordingStore extends MemoryStore {
+  #stepIds;
+  #scheduleIds;
+
+  /**
+   * Creates a new, empty RecordingStore instance.
+   */
+  constructor() {
+    super();
+    this.#stepIds = new Map();
+    this.#scheduleIds = [];
+  }
+
+  /**
+   * Lists the completed steps of a workflow, in completion order.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @returns {Promise<Object[]>} The step documents
+   */
+  async listCompletedSteps(workflowId) {
+    const steps = [];
+    for (const stepId of this.#stepIds.get(workflowId) || []) {
+      steps.push(await this.findStep(workflowId, stepId));
+    }
+    return steps;
+  }
+
+  /**
+   * Lists the stored schedules.
+   *
+   * @returns {Promise<Object[]>} The schedule documents
+   */
+  async listSchedules() {
+    const schedules = [];
+    for (const scheduleId of this.#scheduleIds) {
+      schedules.push(await this.findSchedule(scheduleId));
+    }
+    return schedules;
+  }
+
+  /**
+   * Inserts a new schedule and records its ID.
+   *
+   * @param {Object} schedule - The schedule document
+   * @returns {Promise<boolean>} Returns true if the schedule was inserted, false if it already exists
+   */
+  async insertSchedule(schedule) {
+    const inserted = await super.insertSchedule(schedule);
+    if (inserted) {
+      this.#scheduleIds.push(schedule.scheduleId);
+    }
+    return inserted;
+  }
+
+  /**
+   * Stores the output of a step and records its ID, unless the step was
+   * already completed.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string} stepId - The step ID
+   * @param {any} output - The step output to store
+   * @param {number} attempts - The number of attempts it took to complete the step
+   * @param {number} sequence - The position of the step among the steps and naps of the run
+   * @param {boolean} compensable - Whether the step has a compensation
+   * @param {number} leaseToken - The lease token of the run storing the output
+   * @returns {Promise<boolean>} Returns false if the lease was lost
+   */
+  async insertStep(
+    workflowId,
+    stepId,
+    output,
+    attempts,
+    sequence,
+    compensable,
+    leaseToken
+  ) {
+    const existing = await this.findStep(workflowId, stepId);
+    const inserted = await super.insertStep(
+      workflowId,
+      stepId,
+      output,
+      attempts,
+      sequence,
+      compensable,
+      leaseToken
+    );
+    if (inserted && (!existing || !("output" in existing))) {
+      if (!this.#stepIds.has(workflowId)) {
+        this.#stepIds.set(workflowId, []);
+      }
+      this.#stepIds.get(workflowId).push(stepId);
+    }
+    return inserted;
+  }
+
+  /**
+   * Deletes the steps and naps of a workflow from a position in the run on,
+   * and forgets the IDs of the deleted steps.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {number} sequence - The position of the first step or nap to delete
+   * @returns {Promise<void>}
+   */
+  async deleteRecordsFrom(workflowId, sequence) {
+    await super.deleteRecordsFrom(workflowId, sequence);
+    const kept = [];
+    for (const stepId of this.#stepIds.get(workflowId) || []) {
+      if (await this.findStep(workflowId, stepId)) {
+        kept.push(stepId);
+      }
+    }
+    this.#stepIds.set(workflowId, kept);
+  }
+
+  /**
+   * Deletes a workflow and its records, and forgets the IDs of its steps.
+   *
+   * @param {string} workflowId - The workflow ID
+   * @param {string[]} statuses - The statuses the workflow may be deleted with
+   * @param {boolean} archive - Whether to archive the documents first
+   * @returns {Promise<boolean>} True if the workflow was deleted
+   */
+  async deleteWorkflow(workflowId, statuses, archive) {
+    const deleted = await super.deleteWorkflow(workflowId, statuses, archive);
+    if (deleted) {
+      this.#stepIds.delete(workflowId);
+    }
+    return deleted;
+  }
+}
+
+/**
+ * @typedef {Object} TestWorkflowEnvironmentParams
+ * @property {Date} [startTime] - The initial virtual time, defaults to the current time
+ * @property {number} [timeoutInterval=10000] - Timeout interval in milliseconds for workflow execution
+ * @property {number} [waitRetryInterval=1000] - Interval in milliseconds before retrying a failed workflow
+ * @property {number} [maxFailures] - Maximum number of failures before aborting a workflow
+ * @property {"fail"|"warn"} [nonDeterminism="fail"] - Whether a replay that diverges from the history throws NonDeterminismError out of the handler, or only reports it through errorCallback
+ * @property {import("./index.js").RetryPolicy} [retryPolicy] - How the interval between workflow retries grows with failures
+ * @property {import("./index.js").RetentionPolicy} [retention] - How long the records of completed workflows are kept, as stamped on their expireAt
+ * @property {import("./index.js").ErrorCallback} [errorCallback] - Callback invoked when a workflow handler throws an error
+ */
+
+/**
+ * TestWorkflowEnvironment - Runs workflow handlers in memory with a virtual clock.
+ *
+ * Time only moves when every workflow is blocked: in ctx.sleep, in a step
+ * retry backoff or waiting to be retried. The clock then skips to the next
+ * moment a workflow can make progress, so a week-long sleep takes no real
+ * time. Schedule ticks fire as advance moves the clock past them. Step
+ * failures and worker crashes can be injected to exercise retries and
+ * replays.
+ *
+ * Handlers must only wait on the workflow context and on promises that
+ * settle right away; real timers and I/O are not waited for.
+ */
+export class TestWorkflowEnvironment {
+  #clock;
+  #store;
+  #bluestreak;
+  #stepFailures;
+  #crashes;
+
+  /**
+   * Creates a new TestWorkflowEnvironment instance.
+   *
+   * @param {TestWorkflowEnvironmentParams} [params] - Configuration parameters
+   */
+  constructor(params = {}) {
+    this.#clock = new VirtualClock(params.startTime || new Date());
+    this.#store = new RecordingStore();
+    this.#stepFailures = new Map();
+    this.#crashes = new Map();
+    // Steps take no virtual time, so leases don't need renewing, and a
+    // crashed run must not keep its lease alive.
+    this.#bluestreak = new Bluestreak({
+      store: this.#store,
+      clock: this.#clock,
+      timeoutInterval: params.timeoutInterval,
+      heartbeatInterval: Infinity,
+      waitRetryInterval: params.waitRetryInterval,
+      maxFailures: params.maxFailures,
+      nonDeterminism: params.nonDeterminism,
+      retryPolicy: params.retryPolicy,
+      retention: params.retention,
+      errorCallback: params.errorCallback,
+    });
+  }
+
+  /**
+   * Returns the current virtual time.
+   *
+   * @returns {Date} The current time
+   */
+  now() {
+    return this.#clock.now();
+  }
+
+  /**
+   * Registers a workflow handler. Its steps, including those of ctx.all and
+   * ctx.map, are subject to the injected step failures and crashes.
+   *
+   * @param {string} handlerId - Unique identifier for the handler
+   * @param {import("./index.js").WorkflowHandler} handler - The handler function
+   * @param {import("./index.js").HandlerOptions} [options] - Handler-specific options
+   */
+  registerHandler(handlerId, handler, options) {
+    this.#bluestreak.registerHandler(
+      handlerId,
+      async (ctx, input) => {
+        const all = this.#all(ctx.all);
+        return await handler(
+          { ...ctx, step: this.#step(ctx.step), all, map: mapSteps(all) },
+          input
+        );
+      },
+      options
+    );
+  }
+
+  /**
+   * Starts a new workflow. It doesn't run until the environment is driven
+   * with runUntilIdle, advance or execute.
+   *
+   * @param {string} workflowId - Unique identifier for the workflow
+   * @param {string} handlerId - The ID of the registered handler to execute
+   * @param {any} input - Input data passed to the workflow handler
+   * @param {import("./index.js").StartOptions} [options] - Start options
+   * @returns {Promise<boolean>} Returns true if workflow was created, false if it already exists
+   */
+  async start(workflowId, handlerId, input, options) {
+    return await this.#bluestreak.start(workflowId, handlerId, input, options);
+  }
+
+  /**
+   * Starts a workflow and runs the environment until it is idle.
+   *
+   * @param {string} workflowId - Unique identifier for the workflow
+   * @param {string} handlerId - The ID of the registered handler to execute
+   * @param {any} input - Input data passed to the workflow handler
+   * @param {import("./index.js").StartOptions} [options] - Start options
+   * @returns {Promise<any>} The result of the workflow
+   * @throws {WaitTimeout} If the workflow didn't finish, e.g. because it is waiting for a signal or was aborted
+   */
+  async execute(workflowId, handlerId, input, options) {
+    await this.start(workflowId, handlerId, input, options);
+    await this.runUntilIdle();
+    const workflow = await this.findWorkflow(workflowId);
+    if (workflow.status !== "finished") {
+      throw new WaitTimeout(workflowId);
+    }
+    return workflow.result;
+  }
+
+  /**
+   * Sends a signal to a workflow. See Bluestreak.signal.
+   *
+   * @param {string} workflowId - The ID of the workflow to signal
+   * @param {string} signalName - The name of the signal
+   * @param {any} payload - Data returned by ctx.waitForSignal in the workflow
+   * @returns {Promise<boolean>} Returns true if the signal was stored, false if it was already received
+   */
+  async signal(workflowId, signalName, payload) {
+    return await this.#bluestreak.signal(workflowId, signalName, payload);
+  }
+
+  /**
+   * Moves the start of a workflow that hasn't started yet. See
+   * Bluestreak.reschedule.
+   *
+   * @param {string} workflowId - The ID of the workflow to reschedule
+   * @param {Date} startAt - When the workflow should start
+   * @returns {Promise<boolean>} Returns true if the workflow was rescheduled, false if it had already started
+   */
+  async reschedule(workflowId, startAt) {
+    return await this.#bluestreak.reschedule(workflowId, startAt);
+  }
+
+  /**
+   * Cancels a workflow. See Bluestreak.cancel.
+   *
+   * @param {string} workflowId - The ID of the workflow to cancel
+   * @param {string} [reason] - The reason of the cancellation
+   * @returns {Promise<boolean>} Returns true if the workflow was cancelled, false if it had already completed
+   */
+  async cancel(workflowId, reason) {
+    return await this.#bluestreak.cancel(workflowId, reason);
+  }
+
+  /**
+   * Retries a failed or aborted workflow. See Bluestreak.retry.
+   *
+   * @param {string} workflowId - The ID of the workflow to retry
+   * @returns {Promise<boolean>} Returns true if the workflow was requeued, false if it wasn't failed nor aborted
+   */
+  async retry(workflowId) {
+    return await this.#bluestreak.retry(workflowId);
+  }
+
+  /**
+   * Retries every failed or aborted workflow matching a filter. See
+   * Bluestreak.retryAll.
+   *
+   * @param {import("./index.js").WorkflowFilter} [filter] - The filter
+   * @returns {Promise<number>} The number of requeued workflows
+   */
+  async retryAll(filter) {
+    return await this.#bluestreak.retryAll(filter);
+  }
+
+  /**
+   * Rewinds a workflow to a completed step. See Bluestreak.resetToStep.
+   *
+   * @param {string} workflowId - The ID of the workflow to reset
+   * @param {string} stepId - The ID of the first step to execute again
+   * @returns {Promise<boolean>} Returns true if the workflow was reset, false if it was running, cancelled or hadn't started
+   */
+  async resetToStep(workflowId, stepId) {
+    return await this.#bluestreak.resetToStep(workflowId, stepId);
+  }
+
+  /**
+   * Resets every workflow matching a filter that completed a step. See
+   * Bluestreak.resetAllToStep.
+   *
+   * @param {import("./index.js").WorkflowFilter} filter - The filter
+   * @param {string} stepId - The ID of the first step to execute again
+   * @returns {Promise<number>} The number of reset workflows
+   */
+  async resetAllToStep(filter, stepId) {
+    return await this.#bluestreak.resetAllToStep(filter, stepId);
+  }
+
+  /**
+   * Deletes the completed workflows matching a filter. See Bluestreak.purge.
+   *
+   * @param {import("./index.js").WorkflowFilter} [filter] - The filter
+   * @param {import("./index.js").PurgeOptions} [options] - Purge options
+   * @returns {Promise<number>} The number of purged workflows
+   */
+  async purge(filter, options) {
+    return await this.#bluestreak.purge(filter, options);
+  }
+
+  /**
+   * Defines a schedule that starts a workflow on every tick of a cron
+   * expression. See Bluestreak.schedule.
+   *
+   * @param {string} scheduleId - Unique identifier for the schedule
+   * @param {string} cronExpression - A five-field cron expression or macro such as "@daily"
+   * @param {string} handlerId - The ID of the handler of the started workflows
+   * @param {import("./index.js").InputFactory} [inputFactory] - Builds the input of the workflow started for a tick
+   * @param {import("./index.js").ScheduleOptions} [options] - Schedule options
+   * @returns {Promise<boolean>} Returns true if the schedule was created, false if it already existed and was updated
+   */
+  async schedule(scheduleId, cronExpression, handlerId, inputFactory, options) {
+    return await this.#bluestreak.schedule(
+      scheduleId,
+      cronExpression,
+      handlerId,
+      inputFactory,
+      options
+    );
+  }
+
+  /**
+   * Pauses a schedule. See Bluestreak.pauseSchedule.
+   *
+   * @param {string} scheduleId - The ID of the schedule to pause
+   * @returns {Promise<void>}
+   */
+  async pauseSchedule(scheduleId) {
+    await this.#bluestreak.pauseSchedule(scheduleId);
+  }
+
+  /**
+   * Resumes a paused schedule. See Bluestreak.resumeSchedule.
+   *
+   * @param {string} scheduleId - The ID of the schedule to resume
+   * @returns {Promise<void>}
+   */
+  async resumeSchedule(scheduleId) {
+    await this.#bluestreak.resumeSchedule(scheduleId);
+  }
+
+  /**
+   * Starts the workflows of the ticks of a schedule between two times. See
+   * Bluestreak.backfillSchedule.
+   *
+   * @param {string} scheduleId - The ID of the schedule
+   * @param {Date} startAt - The time of the first tick to start, inclusive
+   * @param {Date} endAt - The time of the last tick to start, exclusive
+   * @returns {Promise<number>} The number of workflows started
+   */
+  async backfillSchedule(scheduleId, startAt, endAt) {
+    return await this.#bluestreak.backfillSchedule(scheduleId, startAt, endAt);
+  }
+
+  /**
+   * Lists the next fire times of a schedule.
+   *
+   * @param {string} scheduleId - The ID of the schedule
+   * @param {number} [count=5] - The number of fire times to list
+   * @returns {Promise<Date[]>} The next fire times, empty if the schedule is paused
+   */
+  async getUpcomingFireTimes(scheduleId, count) {
+    return await this.#bluestreak.getUpcomingFireTimes(scheduleId, count);
+  }
+
+  /**
+   * Finds a schedule by its ID.
+   *
+   * @param {string} scheduleId - The ID of the schedule
+   * @returns {Promise<Object|null>} The schedule document or null if not found
+   */
+  async findSchedule(scheduleId) {
+    return await this.#bluestreak.findSchedule(scheduleId);
+  }
+
+  /**
+   * Finds a workflow by its ID.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<Object|null>} The workflow document or null if not found
+   */
+  async findWorkflow(workflowId) {
+    return await this.#bluestreak.findWorkflow(workflowId);
+  }
+
+  /**
+   * Lists the workflows matching a filter, newest first, one page at a time.
+   *
+   * @param {import("./index.js").ListWorkflowsOptions} [options] - The filter and the page to list
+   * @returns {Promise<{workflows: Object[], cursor: string|null}>} The workflow documents of the page, and the cursor of the next page or null if this is the last one
+   */
+  async listWorkflows(options) {
+    return await this.#bluestreak.listWorkflows(options);
+  }
+
+  /**
+   * Counts the workflows matching a filter, grouped by handler and status.
+   *
+   * @param {import("./index.js").WorkflowFilter} [filter] - The filter
+   * @returns {Promise<{handlerId: string, status: string, count: number}[]>} The non-empty groups, sorted by handlerId then status
+   */
+  async countWorkflows(filter) {
+    return await this.#bluestreak.countWorkflows(filter);
+  }
+
+  /**
+   * Reads back the history of a workflow.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<import("./index.js").HistoryEvent[]>} The events of the workflow, oldest first
+   */
+  async getHistory(workflowId) {
+    return await this.#bluestreak.getHistory(workflowId);
+  }
+
+  /**
+   * Reads back why a workflow failed. See Bluestreak.getFailure.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<import("./index.js").FailureDetails>} The last failure and the failure history
+   */
+  async getFailure(workflowId) {
+    return await this.#bluestreak.getFailure(workflowId);
+  }
+
+  /**
+   * Lists the steps a workflow completed, in completion order.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<Object[]>} The step documents, with stepId, output and attempts
+   */
+  async getSteps(workflowId) {
+    return await this.#store.listCompletedSteps(workflowId);
+  }
+
+  /**
+   * Lists the naps a workflow started, in start order.
+   *
+   * @param {string} workflowId - The ID of the workflow
+   * @returns {Promise<Object[]>} The nap documents, with napId and wakeUpAt
+   */
+  async getNaps(workflowId) {
+    return await this.#store.listNaps(workflowId);
+  }
+
+  /**
+   * Makes the next attempts of a step throw an error, in any workflow. The
+   * compensation of a step is failed with "compensate:<stepId>".
+   *
+   * @param {string} stepId - The ID of the step
+   * @param {Error} error - The error to throw
+   * @param {number} [times=1] - The number of attempts to fail
+   */
+  failStep(stepId, error, times = 1) {
+    this.#stepFailures.set(stepId, { error, times });
+  }
+
+  /**
+   * Simulates a worker crash right after a step completes, in any workflow.
+   *
+   * The step output is persisted but the run never continues, as if the
+   * process died. The workflow is claimed again once its timeout expires and
+   * its handler is replayed.
+   *
+   * @param {string} stepId - The ID of the step
+   * @param {number} [times=1] - The number of completions to crash after
+   */
+  crashAfterStep(stepId, times = 1) {
+    this.#crashes.set(stepId, times);
+  }
+
+  /**
+   * Runs workflows until none of them can make progress without external
+   * input, skipping time whenever all of them are blocked.
+   *
+   * Schedules never become idle, so time is not skipped to their next tick;
+   * use advance to fire them.
+   *
+   * @returns {Promise<void>}
+   */
+  async runUntilIdle() {
+    await this.#runUntil(Infinity, false);
+  }
+
+  /**
+   * Runs workflows while moving the clock forward by a duration.
+   *
+   * @param {number} ms - The duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  async advance(ms) {
+    const deadline = this.#clock.now().getTime() + ms;
+    await this.#runUntil(deadline, true);
+    this.#clock.advanceTo(deadline);
+    await this.#runReady();
+  }
+
+  /**
+   * Runs workflows and skips time until nothing happens before the deadline.
+   *
+   * @param {number} deadline - The time in milliseconds to stop at
+   * @param {boolean} fireSchedules - Whether to skip time to schedule ticks
+   * @returns {Promise<void>}
+   */
+  async #runUntil(deadline, fireSchedules) {
+    for (;;) {
+      await this.#runReady();
+      const next = Math.min(
+        this.#clock.nextTimerAt(),
+        await this.#nextClaimableAt(),
+        fireSchedules ? await this.#nextFireAt() : Infinity
+      );
+      if (next === Infinity || next > deadline) {
+        return;
+      }
+      this.#clock.advanceTo(next);
+    }
+  }
+
+  /**
+   * Claims and runs the workflows that are ready, until all runs are blocked.
+   *
+   * Workflows only become ready as time passes, so a single poll pass claims
+   * all of them.
+   *
+   * @returns {Promise<void>}
+   */
+  async #runReady() {
+    await this.#bluestreak.pollOnce();
+    await this.#settle();
+  }
+
+  /**
+   * Finds the earliest time a workflow in the store becomes claimable.
+   *
+   * @returns {Promise<number>} The time in milliseconds, or Infinity if none will be
+   */
+  async #nextClaimableAt() {
+    const now = this.#clock.now().getTime();
+    let next = Infinity;
+    for (const workflow of await this.#store.listWorkflows({})) {
+      const timeoutAt = workflow.timeoutAt.getTime();
+      if (
+        !FINAL_STATUSES.includes(workflow.status) &&
+        timeoutAt >= now &&
+        timeoutAt < NEVER.getTime()
+      ) {
+        // Workflows are claimed once their timeout is strictly in the past
+        next = Math.min(next, timeoutAt + 1);
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Finds the earliest time a schedule tick becomes claimable.
+   *
+   * @returns {Promise<number>} The time in milliseconds, or Infinity if none will be
+   */
+  async #nextFireAt() {
+    const now = this.#clock.now().getTime();
+    let next = Infinity;
+    for (const schedule of await this.#store.listSchedules()) {
+      if (!schedule.paused && schedule.nextFireAt) {
+        // Ticks are claimed once due and once the lease has timed out
+        const claimableAt = Math.max(
+          schedule.nextFireAt.getTime(),
+          schedule.timeoutAt.getTime() + 1
+        );
+        if (claimableAt >= now) {
+          next = Math.min(next, claimableAt);
+        }
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Lets the pending runs proceed until they wait on the virtual clock.
+   *
+   * @returns {Promise<void>}
+   */
+  async #settle() {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  /**
+   * Wraps ctx.step to apply the injected step failures and crashes.
+   *
+   * @param {Function} step - The step function of the workflow context
+   * @returns {Function} The wrapped step function
+   */
+  #step(step) {
+    return async (stepId, fn, options) => {
+      const injected = this.#inject(stepId, fn, options);
+      const output = await step(stepId, injected.fn, injected.options);
+      if (this.#crash(stepId)) {
+        return await new Promise(() => {});
+      }
+      return output;
+    };
+  }
+
+  /**
+   * Wraps ctx.all to apply the injected step failures, and the injected
+   * crashes once all the steps completed.
+   *
+   * @param {Function} all - The all function of the workflow context
+   * @returns {Function} The wrapped all function
+   */
+  #all(all) {
+    return async (steps, options) => {
+      const outputs = await all(
+        steps.map(({ stepId, fn, options: stepOptions }) => ({
+          stepId,
+          ...this.#inject(stepId, fn, stepOptions),
+        })),
+        options
+      );
+      if (steps.filter(({ stepId }) => this.#crash(stepId)).length > 0) {
+        return await new Promise(() => {});
+      }
+      return outputs;
+    };
+  }
+
+  /**
+   * Wraps the function of a step, and its compensation, to throw the injected
+   * failures. The compensation is subject to the failures injected into
+   * "compensate:<stepId>".
+   *
+   * @param {string} stepId - The ID of the step
+   * @param {Function} fn - The function of the step
+   * @param {import("./index.js").StepOptions} [options] - The step options
+   * @returns {{fn: Function, options: import("./index.js").StepOptions|undefined}} The wrapped function and options
+   */
+  #inject(stepId, fn, options) {
+    if (options?.compensate) {
+      const compensate = options.compensate;
+      options = {
+        ...options,
+        compensate: async (output, stepCtx) => {
+          this.#injectFailure(`compensate:${stepId}`);
+          return await compensate(output, stepCtx);
+        },
+      };
+    }
+    return {
+      fn: async (stepCtx) => {
+        this.#injectFailure(stepId);
+        return await fn(stepCtx);
+      },
+      options,
+    };
+  }
+
+  /**
+   * Consumes an injected crash after a step, if any are left.
+   *
+   * @param {string} stepId - The ID of the step
+   * @returns {boolean} True if the run should crash
+   */
+  #crash(stepId) {
+    const crashes = this.#crashes.get(stepId) || 0;
+    if (crashes > 0) {
+      this.#crashes.set(stepId, crashes - 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Throws the failure injected into a step, if any attempts are left to fail.
+   *
+   * @param {string} stepId - The ID of the step
+   * @throws {Error} The injected error
+   */
+  #injectFailure(stepId) {
+    const failure = this.#stepFailures.get(stepId);
+    if (failure && failure.times > 0) {
+      failure.times--;
+      throw failure.error;
+    }
+  }
+}
@@ -0,0 +1,1389 @@
+import { jest } from "@jest/globals";
+import {
+  TestWorkflowEnvironment,
+  SignalTimeout,
+  WaitTimeout,
+  ScheduleNotFound,
+  InvalidCronExpression,
+  NonDeterminismError,
+  StepNotFound,
+  StepTimeout,
+} from "./index.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("TestWorkflowEnvironment", () => {
+  let env;
+
+  beforeEach(() => {
+    env = new TestWorkflowEnvironment({
+      startTime: new Date("2025-01-01T00:00:00Z"),
+    });
+  });
+
+  test("should skip time while workflows sleep", async () => {
+    env.registerHandler("reminder", async (ctx, input) => {
+      await ctx.sleep("wait-week", 7 * DAY);
+      return await ctx.step("remind", async () => `remind ${input.user}`);
+    });
+
+    const result = await env.execute("workflow-1", "reminder", {
+      user: "ada",
+    });
+
+    expect(result).toBe("remind ada");
+    expect(env.now().getTime()).toBeGreaterThanOrEqual(
+      new Date("2025-01-08T00:00:00Z").getTime()
+    );
+    expect(env.now().getTime()).toBeLessThan(
+      new Date("2025-01-08T00:00:01Z").getTime()
+    );
+  });
+
+  test("should record steps and naps", async () => {
+    env.registerHandler("handler", async (ctx) => {
+      await ctx.step("first", async () => 1);
+      await ctx.sleep("nap", 1000);
+      await ctx.step("second", async () => 2);
+    });
+
+    await env.execute("workflow-1", "handler");
+
+    const steps = await env.getSteps("workflow-1");
+    expect(steps.map((step) => [step.stepId, step.output])).toEqual([
+      ["first", 1],
+      ["second", 2],
+    ]);
+    const naps = await env.getNaps("workflow-1");
+    expect(naps).toHaveLength(1);
+    expect(naps[0].napId).toBe("nap");
+    expect(await env.getSteps("workflow-2")).toEqual([]);
+    expect(await env.getNaps("workflow-2")).toEqual([]);
+  });
+
+  test("should record the progress reported by steps", async () => {
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("import", async ({ heartbeat }) => {
+        await heartbeat({ imported: 100 });
+        return "imported";
+      });
+    });
+
+    await env.execute("workflow-1", "handler");
+
+    expect(await env.getSteps("workflow-1")).toEqual([
+      expect.objectContaining({
+        stepId: "import",
+        progress: { imported: 100 },
+        output: "imported",
+      }),
+    ]);
+  });
+
+  test("should run concurrent sleeps in order", async () => {
+    const order = [];
+    env.registerHandler("sleeper", async (ctx, ms) => {
+      await ctx.sleep("nap", ms);
+      order.push(ms);
+    });
+
+    await env.start("workflow-1", "sleeper", 3 * DAY);
+    await env.start("workflow-2", "sleeper", DAY);
+    await env.runUntilIdle();
+
+    expect(order).toEqual([DAY, 3 * DAY]);
+  });
+
+  test("should inject step failures", async () => {
+    const errorCallback = jest.fn();
+    env = new TestWorkflowEnvironment({ errorCallback });
+    const fn = jest.fn(async () => "done");
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("charge", fn);
+    });
+    env.failStep("charge", new Error("card declined"), 2);
+
+    const result = await env.execute("workflow-1", "handler");
+
+    expect(result).toBe("done");
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(errorCallback).toHaveBeenCalledTimes(2);
+    expect((await env.findWorkflow("workflow-1")).failures).toBe(2);
+    expect((await env.getSteps("workflow-1"))[0].attempts).toBe(3);
+  });
+
+  test("should retry injected step failures with the step retry options", async () => {
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("charge", async () => "done", {
+        retries: 3,
+        initialInterval: DAY,
+      });
+    });
+    env.failStep("charge", new Error("card declined"), 3);
+    const startedAt = env.now().getTime();
+
+    const result = await env.execute("workflow-1", "handler");
+
+    expect(result).toBe("done");
+    // Backoff of 1, 2 and 4 days
+    expect(env.now().getTime() - startedAt).toBeGreaterThanOrEqual(7 * DAY);
+    expect((await env.findWorkflow("workflow-1")).failures).toBe(0);
+  });
+
+  test("should abort workflows whose injected failures exceed maxFailures", async () => {
+    env = new TestWorkflowEnvironment({ maxFailures: 1 });
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("charge", async () => "done");
+    });
+    env.failStep("charge", new Error("card declined"), 5);
+
+    await expect(env.execute("workflow-1", "handler")).rejects.toThrow(
+      WaitTimeout
+    );
+    expect((await env.findWorkflow("workflow-1")).status).toBe("aborted");
+  });
+
+  test("should time out hung step attempts and retry them", async () => {
+    const signals = [];
+    const fn = jest.fn(async ({ signal }) => {
+      signals.push(signal);
+      // The first attempt hangs
+      return signals.length === 1 ? await new Promise(() => {}) : "done";
+    });
+    env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("fetch", fn, {
+        timeoutMs: 5000,
+        retries: 1,
+        initialInterval: 1000,
+      });
+    });
+    const startedAt = env.now().getTime();
+
+    expect(await env.execute("workflow-1", "handler")).toBe("done");
+    expect(env.now().getTime() - startedAt).toBeGreaterThanOrEqual(6000);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason).toBeInstanceOf(StepTimeout);
+    expect(signals[1].aborted).toBe(false);
+    expect((await env.getSteps("workflow-1"))[0].attempts).toBe(2);
+    expect(await env.getHistory("workflow-1")).toContainEqual(
+      expect.objectContaining({
+        type: "AttemptFailed",
+        stepId: "fetch",
+        error: expect.objectContaining({ name: "StepTimeout" }),
+      })
+    );
+  });
+
+  test("should fail workflows whose step attempts time out", async () => {
+    const errorCallback = jest.fn();
+    env = new TestWorkflowEnvironment({ errorCallback });
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("fetch", () => new Promise(() => {}), {
+        timeoutMs: 5000,
+      });
+    });
+
+    await env.start("workflow-1", "handler");
+    await env.advance(5001);
+
+    expect((await env.findWorkflow("workflow-1")).status).toBe("failed");
+    const [workflowId, err] = errorCallback.mock.calls[0];
+    expect(workflowId).toBe("workflow-1");
+    expect(err).toBeInstanceOf(StepTimeout);
+    expect(err).toMatchObject({ stepId: "fetch", timeoutMs: 5000 });
+  });
+
+  test("should keep the details of the last failures", async () => {
+    env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+    env.registerHandler("handler", async (ctx) => {
+      return await ctx.step("charge", async () => "charged", { retries: 1 });
+    });
+    env.failStep("charge", new TypeError("card declined"), 24);
+
+    expect(await env.execute("workflow-1", "handler")).toBe("charged");
+
+    const { lastFailure, failureHistory } = await env.getFailure("workflow-1");
+    expect(lastFailure).toMatchObject({
+      name: "TypeError",
+      message: "card declined",
+      stack: expect.stringContaining("card declined"),
+      stepId: "charge",
+      stepAttempt: 24,
+      attempt: 12,
+    });
+    expect(failureHistory.map(({ attempt }) => attempt)).toEqual([
+      3, 4, 5, 6, 7, 8, 9, 10, 11, 12,
+    ]);
+    expect((await env.findWorkflow("workflow-1")).lastFailure).toEqual(
+      lastFailure
+    );
+  });
+
+  test("should replay a workflow after an injected crash", async () => {
+    const first = jest.fn(async () => "first");
+    const second = jest.fn(async () => "second");
+    env = new TestWorkflowEnvironment({ timeoutInterval: 60_000 });
+    env.registerHandler("handler", async (ctx) => {
+      const a = await ctx.step("first", first);
+      const b = await ctx.step("second", second);
+      return [a, b];
+    });
+    env.crashAfterStep("first");
+    const startedAt = env.now().getTime();
+
+    const result = await env.execute("workflow-1", "handler");
+
+    expect(result).toEqual(["first", "second"]);
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(1);
+    // The workflow was claimed again once its timeout expired
+    expect(env.now().getTime() - startedAt).toBeGreaterThan(60_000);
+    expect((await env.findWorkflow("workflow-1")).failures).toBe(0);
+  });
+
+  test("should stay idle while waiting for a signal", async () => {
+    env.registerHandler("approval", async (ctx) => {
+      const approval = await ctx.waitForSignal("approved");
+      return approval.by;
+    });
+
+    await expect(env.execute("workflow-1", "approval")).rejects.toThrow(
+      WaitTimeout
+    );
+    expect((await env.findWorkflow("workflow-1")).status).toBe("waiting");
+
+    await env.signal("workflow-1", "approved", { by: "bob" });
+    await env.runUntilIdle();
+
+    expect(await env.findWorkflow("workflow-1")).toMatchObject({
+      status: "finished",
+      result: "bob",
+    });
+  });
+
+  test("should skip time to signal timeouts", async () => {
+    env.registerHandler("approval", async (ctx) => {
+      try {
+        await ctx.waitForSignal("approved", { timeoutMs: 3 * DAY });
+        return "approved";
+      } catch (err) {
+        if (err instanceof SignalTimeout) {
+          return "expired";
+        }
+        throw err;
+      }
+    });
+
+    expect(await env.execute("workflow-1", "approval")).toBe("expired");
+  });
+
+  test("should advance time by a fixed duration", async () => {
+    env.registerHandler("sleeper", async (ctx) => {
+      await ctx.sleep("nap", 2 * DAY);
+      return "awake";
+    });
+    const startedAt = env.now().getTime();
+
+    await env.start("workflow-1", "sleeper");
+    await env.advance(DAY);
+
+    expect(env.now().getTime() - startedAt).toBe(DAY);
+    expect((await env.findWorkflow("workflow-1")).status).toBe("running");
+
+    await env.advance(DAY + 1);
+
+    expect((await env.findWorkflow("workflow-1")).status).toBe("finished");
+  });
+
+  test("should run child workflows", async () => {
+    env.registerHandler("child", async (ctx, input) => {
+      await ctx.sleep("nap", DAY);
+      return input * 2;
+    });
+    env.registerHandler("parent", async (ctx, input) => {
+      return await ctx.executeChild("child-1", "child", input);
+    });
+
+    expect(await env.execute("workflow-1", "parent", 21)).toBe(42);
+  });
+
+  test("should run cleanups of cancelled workflows", async () => {
+    const cleanup = jest.fn();
+    env.registerHandler("sleeper", async (ctx) => {
+      ctx.onCancel(cleanup);
+      await ctx.sleep("nap", DAY);
+      await ctx.step("after", async () => "after");
+    });
+
+    await env.start("workflow-1", "sleeper");
+    await env.advance(1000);
+    expect(await env.cancel("workflow-1", "no longer needed")).toBe(true);
+    await env.runUntilIdle();
+
+    expect(cleanup).toHaveBeenCalledWith("no longer needed");
+    expect((await env.findWorkflow("workflow-1")).status).toBe("cancelled");
+  });
+
+  test("should cancel workflows waiting to be retried", async () => {
+    const cleanup = jest.fn();
+    env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+    env.registerHandler("handler", async (ctx) => {
+      ctx.onCancel(cleanup);
+      return await ctx.step("charge", async () => "charged");
+    });
+    env.failStep("charge", new Error("card declined"), 1);
+
+    await env.start("workflow-1", "handler");
+    await env.advance(1);
+    expect((await env.findWorkflow("workflow-1")).status).toBe("failed");
+    expect(await env.cancel("workflow-1", "no longer needed")).toBe(true);
+    await env.runUntilIdle();
+
+    expect(cleanup).toHaveBeenCalledWith("no longer needed");
+    expect((await env.findWorkflow("workflow-1")).status).toBe("cancelled");
+    expect(await env.getSteps("workflow-1")).toEqual([]);
+  });
+
+  test("should start delayed workflows at their start time", async () => {
+    const startedAt = [];
+    env.registerHandler("report", async () => {
+      startedAt.push(env.now().getTime());
+    });
+    const start = env.now().getTime();
+
+    await env.start("workflow-1", "report", null, { delayMs: DAY });
+    await env.start("workflow-2", "report", null, {
+      startAt: new Date(start + 2 * DAY),
+    });
+    await env.advance(DAY - 1);
+
+    expect(startedAt).toEqual([]);
+
+    expect(await env.reschedule("workflow-2", new Date(start + 3 * DAY))).toBe(
+      true
+    );
+    await env.runUntilIdle();
+
+    expect(startedAt).toEqual([start + DAY + 1, start + 3 * DAY + 1]);
+    expect(await env.reschedule("workflow-2", new Date(start))).toBe(false);
+  });
+
+  test("should cancel delayed workflows without running them", async () => {
+    const handler = jest.fn();
+    env.registerHandler("report", handler);
+
+    await env.start("workflow-1", "report", null, { delayMs: DAY });
+    expect(await env.cancel("workflow-1", "not needed")).toBe(true);
+    await env.runUntilIdle();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect((await env.findWorkflow("workflow-1")).status).toBe("cancelled");
+  });
+
+  test("should leave workflows without a registered handler idle", async () => {
+    await env.start("workflow-1", "missing");
+
+    await env.runUntilIdle();
+
+    expect((await env.findWorkflow("workflow-1")).status).toBe("idle");
+  });
+
+  test("should list and count workflows page by page", async () => {
+    env.registerHandler("handler", async (ctx) => {
+      await ctx.waitForSignal("go");
+    });
+    for (const workflowId of ["workflow-1", "workflow-2", "workflow-3"]) {
+      await env.start(workflowId, "handler", null, { tags: ["batch"] });
+      await env.advance(1000);
+    }
+    await env.start("workflow-4", "handler");
+    await env.signal("workflow-1", "go");
+    await env.runUntilIdle();
+
+    const first = await env.listWorkflows({ tags: ["batch"], limit: 2 });
+    const second = await env.listWorkflows({
+      tags: ["batch"],
+      limit: 2,
+      cursor: first.cursor,
+    });
+
+    expect(first.workflows.map(({ workflowId }) => workflowId)).toEqual([
+      "workflow-3",
+      "workflow-2",
+    ]);
+    expect(second.workflows.map(({ workflowId }) => workflowId)).toEqual([
+      "workflow-1",
+    ]);
+    expect(second.cursor).toBeNull();
+    expect(await env.countWorkflows({ tags: ["batch"] })).toEqual([
+      { handlerId: "handler", status: "finished", count: 1 },
+      { handlerId: "handler", status: "waiting", count: 2 },
+    ]);
+  });
+
+  test("should record the history of a workflow", async () => {
+    env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+    env.registerHandler("handler", async (ctx) => {
+      await ctx.sleep("nap", DAY);
+      await ctx.step("charge", async () => "charged");
+    });
+    env.failStep("charge", new Error("card declined"));
+
+    await env.execute("workflow-1", "handler");
+
+    expect(
+      (await env.getHistory("workflow-1")).map(({ type }) => type)
+    ).toEqual([
+      "WorkflowStarted",
+      "Claimed",
+      "NapStarted",
+      "AttemptFailed",
+      "AttemptFailed",
+      "Claimed",
+      "StepCompleted",
+      "Finished",
+    ]);
+  });
+
+  test("should record the cancellation of a workflow", async () => {
+    env.registerHandler("handler", async (ctx) => {
+      await ctx.waitForSignal("go");
+    });
+    await env.start("workflow-1", "handler");
+    await env.runUntilIdle();
+
+    await env.cancel("workflow-1", "no longer needed");
+    await env.runUntilIdle();
+
+    expect((await env.getHistory("workflow-1")).at(-1)).toMatchObject({
+      type: "Cancelled",
+      reason: "no longer needed",
+    });
+  });
+
+  describe("admin operations", () => {
+    test("should retry an aborted workflow", async () => {
+      env = new TestWorkflowEnvironment({
+        maxFailures: 0,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.step("charge", async () => "charged");
+      });
+      env.failStep("charge", new Error("card declined"));
+      await env.start("workflow-1", "handler");
+      await env.runUntilIdle();
+      expect((await env.findWorkflow("workflow-1")).status).toBe("aborted");
+
+      expect(await env.retry("workflow-1")).toBe(true);
+      await env.runUntilIdle();
+
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        status: "finished",
+        result: "charged",
+        failures: 0,
+      });
+      expect(await env.retry("workflow-1")).toBe(false);
+    });
+
+    test("should retry every matching failed or aborted workflow", async () => {
+      env = new TestWorkflowEnvironment({
+        maxFailures: 0,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.step("charge", async () => "charged");
+      });
+      env.failStep("charge", new Error("card declined"), 2);
+      await env.start("workflow-1", "handler", null, { tags: ["a"] });
+      await env.start("workflow-2", "handler", null, { tags: ["b"] });
+      await env.runUntilIdle();
+
+      expect(await env.retryAll({ tags: ["a"] })).toBe(1);
+      await env.runUntilIdle();
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("finished");
+      expect((await env.findWorkflow("workflow-2")).status).toBe("aborted");
+    });
+
+    test("should execute a workflow again from a step", async () => {
+      const calls = [];
+      env.registerHandler("handler", async (ctx) => {
+        for (const stepId of ["reserve", "charge", "ship"]) {
+          await ctx.step(stepId, async () => calls.push(stepId));
+        }
+        await ctx.sleep("cool-down", 1000);
+        return await ctx.step("notify", async () => calls.length);
+      });
+      await env.execute("workflow-1", "handler");
+
+      expect(await env.resetToStep("workflow-1", "charge")).toBe(true);
+      await env.runUntilIdle();
+
+      expect(calls).toEqual(["reserve", "charge", "ship", "charge", "ship"]);
+      expect((await env.findWorkflow("workflow-1")).result).toBe(5);
+      expect(
+        (await env.getSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual(["reserve", "charge", "ship", "notify"]);
+      expect((await env.getHistory("workflow-1")).at(-1).type).toBe("Finished");
+    });
+
+    test("should only reset workflows that completed the step", async () => {
+      env.registerHandler("handler", async (ctx, input) => {
+        if (input.charge) {
+          await ctx.step("charge", async () => "charged");
+        }
+        await ctx.waitForSignal("go");
+      });
+      await env.start("workflow-1", "handler", { charge: true });
+      await env.start("workflow-2", "handler", { charge: false });
+      await env.runUntilIdle();
+
+      await expect(env.resetToStep("workflow-2", "charge")).rejects.toThrow(
+        StepNotFound
+      );
+      expect(await env.resetAllToStep({}, "charge")).toBe(1);
+      // The step is gone until the handler executes it again
+      expect(await env.resetAllToStep({}, "charge")).toBe(0);
+      await env.runUntilIdle();
+      expect(await env.resetAllToStep({}, "charge")).toBe(1);
+      await env.runUntilIdle();
+
+      expect(await env.getSteps("workflow-1")).toHaveLength(1);
+      expect(
+        (await env.getHistory("workflow-1")).filter(
+          ({ type }) => type === "Reset"
+        )
+      ).toHaveLength(2);
+    });
+  });
+
+  describe("retention", () => {
+    test("should stamp completed workflows with their expiry", async () => {
+      env = new TestWorkflowEnvironment({
+        maxFailures: 0,
+        retention: { finished: DAY },
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.step("charge", async () => "charged");
+      });
+      env.registerHandler(
+        "audited",
+        async (ctx) => await ctx.step("charge", async () => "charged"),
+        { retention: { finished: 30 * DAY } }
+      );
+      env.failStep("charge", new Error("card declined"));
+      await env.start("workflow-1", "handler");
+      await env.runUntilIdle();
+      const completedAt = env.now();
+
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        status: "aborted",
+        completedAt,
+        expireAt: null,
+      });
+
+      await env.retry("workflow-1");
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        completedAt: null,
+        expireAt: null,
+      });
+      await env.runUntilIdle();
+      await env.execute("workflow-2", "audited");
+
+      const retention = async (workflowId) => {
+        const { completedAt, expireAt } = await env.findWorkflow(workflowId);
+        return expireAt.getTime() - completedAt.getTime();
+      };
+      expect(await retention("workflow-1")).toBe(DAY);
+      expect(await retention("workflow-2")).toBe(30 * DAY);
+      expect((await env.getSteps("workflow-1"))[0].expireAt).toEqual(
+        (await env.findWorkflow("workflow-1")).expireAt
+      );
+    });
+
+    test("should purge completed workflows", async () => {
+      env.registerHandler("handler", async (ctx) => {
+        await ctx.step("charge", async () => "charged");
+        await ctx.waitForSignal("go");
+      });
+      await env.start("workflow-1", "handler");
+      await env.start("workflow-2", "handler");
+      await env.signal("workflow-1", "go");
+      await env.runUntilIdle();
+
+      expect(await env.purge()).toBe(1);
+
+      expect(await env.findWorkflow("workflow-1")).toBeNull();
+      expect(await env.getSteps("workflow-1")).toEqual([]);
+      expect(await env.getHistory("workflow-1")).toEqual([]);
+      expect((await env.findWorkflow("workflow-2")).status).toBe("waiting");
+    });
+  });
+
+  describe("parallel steps", () => {
+    const track = () => {
+      const tracker = { running: 0, max: 0 };
+      tracker.run = async (output) => {
+        tracker.running++;
+        tracker.max = Math.max(tracker.max, tracker.running);
+        for (let i = 0; i < 5; i++) {
+          await Promise.resolve();
+        }
+        tracker.running--;
+        return output;
+      };
+      return tracker;
+    };
+
+    test("should execute steps in parallel and return their outputs in order", async () => {
+      const tracker = track();
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.all(
+          ["a", "b", "c", "d"].map((id) => ({
+            stepId: id,
+            fn: () => tracker.run(id.toUpperCase()),
+          })),
+          { concurrency: 2 }
+        );
+      });
+
+      expect(await env.execute("workflow-1", "handler")).toEqual([
+        "A",
+        "B",
+        "C",
+        "D",
+      ]);
+      expect(tracker.max).toBe(2);
+      expect(
+        (await env.getSteps("workflow-1")).map(({ stepId, sequence }) => [
+          stepId,
+          sequence,
+        ])
+      ).toEqual([
+        ["a", 0],
+        ["b", 1],
+        ["c", 2],
+        ["d", 3],
+      ]);
+    });
+
+    test("should stop starting steps once one fails and resume the unfinished ones", async () => {
+      const fns = {
+        a: jest.fn(async () => "A"),
+        b: jest.fn(async () => "B"),
+        c: jest.fn(async () => "C"),
+      };
+      env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+      env.registerHandler("handler", async (ctx) => {
+        await ctx.step("before", async () => "before");
+        const outputs = await ctx.all(
+          Object.entries(fns).map(([stepId, fn]) => ({ stepId, fn })),
+          { concurrency: 1 }
+        );
+        await ctx.step("after", async () => "after");
+        return outputs;
+      });
+      env.failStep("b", new Error("unavailable"));
+
+      await env.start("workflow-1", "handler");
+      await env.advance(1);
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("failed");
+      expect(fns.c).not.toHaveBeenCalled();
+
+      await env.runUntilIdle();
+
+      expect((await env.findWorkflow("workflow-1")).result).toEqual([
+        "A",
+        "B",
+        "C",
+      ]);
+      expect(fns.a).toHaveBeenCalledTimes(1);
+      expect(fns.b).toHaveBeenCalledTimes(1);
+      expect(fns.c).toHaveBeenCalledTimes(1);
+    });
+
+    test("should resume only the failed steps when later ones completed", async () => {
+      const fns = {
+        a: jest.fn(async () => "A"),
+        b: jest.fn(async () => "B"),
+        c: jest.fn(async () => "C"),
+      };
+      env = new TestWorkflowEnvironment({
+        maxFailures: 3,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("handler", async (ctx) => {
+        const outputs = await ctx.all(
+          Object.entries(fns).map(([stepId, fn]) => ({ stepId, fn })),
+          { concurrency: 2 }
+        );
+        await ctx.step("after", async () => "after");
+        return outputs;
+      });
+      env.failStep("a", new Error("unavailable"));
+
+      await env.start("workflow-1", "handler");
+      await env.advance(1);
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("failed");
+      expect(
+        (await env.getSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual(["b"]);
+
+      await env.runUntilIdle();
+
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        status: "finished",
+        failures: 1,
+        result: ["A", "B", "C"],
+      });
+      expect(fns.a).toHaveBeenCalledTimes(1);
+      expect(fns.b).toHaveBeenCalledTimes(1);
+      expect(fns.c).toHaveBeenCalledTimes(1);
+    });
+
+    test("should let in-flight steps complete when one fails", async () => {
+      const c = jest.fn(async () => "C");
+      env = new TestWorkflowEnvironment({ errorCallback: jest.fn() });
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.all([
+          { stepId: "a", fn: async () => "A" },
+          {
+            stepId: "b",
+            fn: async () => {
+              throw new Error("unavailable");
+            },
+            options: { retries: 1, initialInterval: DAY },
+          },
+          { stepId: "c", fn: c },
+        ]);
+      });
+
+      await env.start("workflow-1", "handler");
+      await env.advance(1);
+
+      expect(c).toHaveBeenCalledTimes(1);
+      expect(
+        (await env.getSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual(["a", "c"]);
+    });
+
+    test("should map items to steps with stable IDs", async () => {
+      const tracker = track();
+      env.registerHandler("handler", async (ctx, input) => {
+        return await ctx.map(
+          "resize",
+          input.images,
+          (image) => tracker.run(`${image}-small`),
+          { concurrency: 3, retries: 2 }
+        );
+      });
+      env.failStep("resize:4", new Error("timeout"), 2);
+
+      const result = await env.execute("workflow-1", "handler", {
+        images: ["a.png", "b.png", "c.png", "d.png", "e.png"],
+      });
+
+      expect(result).toEqual([
+        "a.png-small",
+        "b.png-small",
+        "c.png-small",
+        "d.png-small",
+        "e.png-small",
+      ]);
+      expect(tracker.max).toBe(3);
+      expect(await env.getSteps("workflow-1")).toContainEqual(
+        expect.objectContaining({ stepId: "resize:4", attempts: 3 })
+      );
+    });
+
+    test("should replay a group after an injected crash", async () => {
+      const fn = jest.fn(async (n) => n * 2);
+      env.registerHandler("handler", async (ctx) => {
+        return await ctx.map("double", [1, 2, 3], fn);
+      });
+      env.crashAfterStep("double:1");
+
+      expect(await env.execute("workflow-1", "handler")).toEqual([2, 4, 6]);
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(
+        (await env.getHistory("workflow-1")).filter(
+          ({ type }) => type === "Claimed"
+        )
+      ).toHaveLength(2);
+    });
+
+    test("should compensate the completed steps of a failed group", async () => {
+      const calls = [];
+      env = new TestWorkflowEnvironment({
+        maxFailures: 0,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("handler", async (ctx) => {
+        await ctx.map(
+          "reserve",
+          ["seat-1", "seat-2", "seat-3"],
+          async (seat) => seat,
+          { compensate: async (seat) => calls.push(`release ${seat}`) }
+        );
+      });
+      env.failStep("reserve:1", new Error("taken"));
+
+      await env.start("workflow-1", "handler");
+      await env.runUntilIdle();
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("compensated");
+      expect(calls.sort()).toEqual(["release seat-1", "release seat-3"]);
+    });
+  });
+
+  describe("compensations", () => {
+    const booking = (calls) => async (ctx) => {
+      const hotel = await ctx.step("book-hotel", async () => "hotel-1", {
+        compensate: async (id) => calls.push(`cancel ${id}`),
+      });
+      await ctx.step("notify", async () => "notified");
+      const flight = await ctx.step("book-flight", async () => "flight-1", {
+        compensate: async (id) => calls.push(`cancel ${id}`),
+      });
+      await ctx.sleep("wait-payment", DAY);
+      return await ctx.step("pay", async () => [hotel, flight]);
+    };
+
+    test("should compensate the completed steps of aborted workflows in reverse order", async () => {
+      const calls = [];
+      env = new TestWorkflowEnvironment({
+        maxFailures: 1,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("booking", booking(calls));
+      env.failStep("pay", new Error("card declined"), 5);
+
+      await env.start("workflow-1", "booking");
+      await env.runUntilIdle();
+
+      expect(calls).toEqual(["cancel flight-1", "cancel hotel-1"]);
+      expect((await env.findWorkflow("workflow-1")).status).toBe("compensated");
+      expect(
+        (await env.getSteps("workflow-1")).map(({ stepId }) => stepId)
+      ).toEqual([
+        "book-hotel",
+        "notify",
+        "book-flight",
+        "compensate:book-flight",
+        "compensate:book-hotel",
+      ]);
+      expect(
+        (await env.getHistory("workflow-1")).map(({ type }) => type).slice(-6)
+      ).toEqual([
+        "AttemptFailed",
+        "CompensationStarted",
+        "Claimed",
+        "StepCompleted",
+        "StepCompleted",
+        "Compensated",
+      ]);
+    });
+
+    test("should compensate the completed steps of cancelled workflows", async () => {
+      const calls = [];
+      const cleanup = jest.fn();
+      env.registerHandler("booking", async (ctx) => {
+        ctx.onCancel(cleanup);
+        return await booking(calls)(ctx);
+      });
+
+      await env.start("workflow-1", "booking");
+      await env.advance(1000);
+      expect(await env.cancel("workflow-1", "trip cancelled")).toBe(true);
+      expect(await env.cancel("workflow-1", "again")).toBe(false);
+      await env.runUntilIdle();
+
+      expect(cleanup).toHaveBeenCalledWith("trip cancelled");
+      expect(calls).toEqual(["cancel flight-1", "cancel hotel-1"]);
+      expect((await env.findWorkflow("workflow-1")).status).toBe("compensated");
+      expect(await env.getHistory("workflow-1")).toContainEqual(
+        expect.objectContaining({
+          type: "CompensationStarted",
+          reason: "trip cancelled",
+        })
+      );
+    });
+
+    test("should retry failed compensations without repeating completed ones", async () => {
+      const calls = [];
+      env = new TestWorkflowEnvironment({
+        maxFailures: 1,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("booking", booking(calls));
+      env.failStep("pay", new Error("card declined"), 2);
+      env.failStep("compensate:book-hotel", new Error("hotel unavailable"));
+
+      await env.start("workflow-1", "booking");
+      await env.runUntilIdle();
+
+      expect(calls).toEqual(["cancel flight-1", "cancel hotel-1"]);
+      expect((await env.findWorkflow("workflow-1")).status).toBe("compensated");
+      expect(await env.getSteps("workflow-1")).toContainEqual(
+        expect.objectContaining({
+          stepId: "compensate:book-hotel",
+          attempts: 2,
+        })
+      );
+    });
+
+    test("should fail parents of compensated children", async () => {
+      env = new TestWorkflowEnvironment({
+        maxFailures: 0,
+        errorCallback: jest.fn(),
+      });
+      env.registerHandler("child", booking([]));
+      env.registerHandler("parent", async (ctx) => {
+        try {
+          return await ctx.executeChild("child-1", "child");
+        } catch (err) {
+          return err.name;
+        }
+      });
+      env.failStep("pay", new Error("card declined"));
+
+      expect(await env.execute("workflow-1", "parent")).toBe(
+        "ChildWorkflowFailed"
+      );
+    });
+  });
+
+  describe("versioning", () => {
+    test("should replay waiting workflows on the version they started with", async () => {
+      env.registerHandler("greet", async (ctx) => {
+        await ctx.waitForSignal("go");
+        return "v1";
+      });
+      await env.start("workflow-1", "greet");
+      await env.runUntilIdle();
+
+      env.registerHandler(
+        "greet",
+        async (ctx) => {
+          await ctx.waitForSignal("go");
+          return "v2";
+        },
+        { version: 2 }
+      );
+      await env.start("workflow-2", "greet");
+      await env.signal("workflow-1", "go");
+      await env.signal("workflow-2", "go");
+      await env.runUntilIdle();
+
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        version: 1,
+        result: "v1",
+      });
+      expect(await env.findWorkflow("workflow-2")).toMatchObject({
+        version: 2,
+        result: "v2",
+      });
+    });
+
+    test("should take patched code paths in workflows that haven't reached them", async () => {
+      env.registerHandler("order", async (ctx) => {
+        await ctx.step("reserve", async () => "reserved");
+        await ctx.waitForSignal("paid");
+        return await ctx.step("ship-by-post", async () => "post");
+      });
+      await env.start("workflow-1", "order");
+      await env.runUntilIdle();
+
+      env.registerHandler("order", async (ctx) => {
+        await ctx.step("reserve", async () => "reserved");
+        await ctx.waitForSignal("paid");
+        if (await ctx.patched("courier")) {
+          return await ctx.step("ship-by-courier", async () => "courier");
+        }
+        return await ctx.step("ship-by-post", async () => "post");
+      });
+      await env.start("workflow-2", "order");
+      await env.signal("workflow-1", "paid");
+      await env.signal("workflow-2", "paid");
+      await env.runUntilIdle();
+
+      for (const workflowId of ["workflow-1", "workflow-2"]) {
+        expect(await env.findWorkflow(workflowId)).toMatchObject({
+          result: "courier",
+          patches: ["courier"],
+        });
+      }
+    });
+
+    test("should keep the old code path in workflows that ran past the change", async () => {
+      env.registerHandler("order", async (ctx) => {
+        await ctx.step("reserve", async () => "reserved");
+        const shipping = await ctx.step("ship-by-post", async () => "post");
+        await ctx.waitForSignal("delivered");
+        return shipping;
+      });
+      await env.start("workflow-1", "order");
+      await env.runUntilIdle();
+
+      const courier = jest.fn(async () => "courier");
+      env.registerHandler("order", async (ctx) => {
+        await ctx.step("reserve", async () => "reserved");
+        const shipping = (await ctx.patched("courier"))
+          ? await ctx.step("ship-by-courier", courier)
+          : await ctx.step("ship-by-post", async () => "post");
+        await ctx.waitForSignal("delivered");
+        return shipping;
+      });
+      await env.signal("workflow-1", "delivered");
+      await env.runUntilIdle();
+
+      expect(courier).not.toHaveBeenCalled();
+      expect(await env.findWorkflow("workflow-1")).toMatchObject({
+        status: "finished",
+        result: "post",
+      });
+      expect((await env.findWorkflow("workflow-1")).patches).toBeUndefined();
+    });
+  });
+
+  describe("non-determinism", () => {
+    /**
+     * Runs a workflow with a handler until it waits for a signal, then
+     * replays it with another handler.
+     *
+     * @param {Function} before - The handler of the first run
+     * @param {Function} after - The handler of the replay
+     */
+    const replay = async (before, after) => {
+      env.registerHandler("order", async (ctx) => {
+        await before(ctx);
+        await ctx.waitForSignal("go");
+      });
+      await env.start("workflow-1", "order");
+      await env.runUntilIdle();
+      env.registerHandler("order", async (ctx) => {
+        await after(ctx);
+        await ctx.waitForSignal("go");
+        return "done";
+      });
+      await env.signal("workflow-1", "go");
+      await env.runUntilIdle();
+    };
+
+    let errors;
+
+    beforeEach(() => {
+      errors = [];
+      env = new TestWorkflowEnvironment({
+        errorCallback: (workflowId, err) => errors.push(err),
+        maxFailures: 0,
+      });
+    });
+
+    test("should fail replays that call steps in another order", async () => {
+      await replay(
+        async (ctx) => {
+          await ctx.step("reserve", async () => "reserved");
+          await ctx.sleep("cool-down", 1000);
+        },
+        async (ctx) => {
+          await ctx.sleep("cool-down", 1000);
+          await ctx.step("reserve", async () => "reserved");
+        }
+      );
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("aborted");
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toBeInstanceOf(NonDeterminismError);
+      expect(errors[0].workflowId).toBe("workflow-1");
+      expect(errors[0].reason).toBe('nap "cool-down" is call 0, was call 1');
+    });
+
+    test("should fail replays that replace a recorded step", async () => {
+      const courier = jest.fn(async () => "courier");
+
+      await replay(
+        async (ctx) => {
+          await ctx.step("reserve", async () => "reserved");
+          await ctx.step("ship-by-post", async () => "post");
+        },
+        async (ctx) => {
+          await ctx.step("reserve", async () => "reserved");
+          await ctx.step("ship-by-courier", courier);
+        }
+      );
+
+      expect(courier).not.toHaveBeenCalled();
+      expect((await env.findWorkflow("workflow-1")).status).toBe("aborted");
+      expect(errors[0].reason).toBe(
+        'step "ship-by-courier" is call 1, not in the history of 2 calls'
+      );
+    });
+
+    test("should accept replays that follow the history", async () => {
+      const step = async (ctx) => {
+        await ctx.step("reserve", async () => "reserved");
+        await ctx.sleep("cool-down", 1000);
+      };
+
+      await replay(step, async (ctx) => {
+        await step(ctx);
+        await ctx.step("ship", async () => "shipped");
+      });
+
+      expect((await env.findWorkflow("workflow-1")).status).toBe("finished");
+      expect(await env.getSteps("workflow-1")).toMatchObject([
+        { stepId: "reserve", sequence: 0 },
+        { stepId: "ship", sequence: 2 },
+      ]);
+    });
+
+    test("should fail handlers that reuse a step ID", async () => {
+      const fn = jest.fn(async () => "charged");
+      env.registerHandler("order", async (ctx) => {
+        await ctx.step("charge", fn);
+        await ctx.step("charge", fn);
+      });
+
+      await expect(env.execute("workflow-1", "order")).rejects.toThrow(
+        WaitTimeout
+      );
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect((await env.findWorkflow("workflow-1")).status).toBe("aborted");
+      expect(errors[0].reason).toBe('step "charge" called twice');
+    });
+
+    test("should only report divergences in warn mode", async () => {
+      const errorCallback = jest.fn();
+      env = new TestWorkflowEnvironment({
+        errorCallback,
+        nonDeterminism: "warn",
+      });
+      env.registerHandler("order", async (ctx) => {
+        const first = await ctx.step("charge", async () => "first");
+        const second = await ctx.step("charge", async () => "second");
+        return [first, second];
+      });
+
+      const result = await env.execute("workflow-1", "order");
+
+      expect(result).toEqual(["first", "first"]);
+      expect(errorCallback).toHaveBeenCalledWith(
+        "workflow-1",
+        new NonDeterminismError("workflow-1", 'step "charge" called twice')
+      );
+    });
+  });
+
+  describe("schedules", () => {
+    const HOUR = 60 * 60 * 1000;
+
+    test("should start a workflow on every tick", async () => {
+      env.registerHandler("report", async (ctx, input) => input);
+
+      expect(
+        await env.schedule("nightly", "0 2 * * *", "report", (fireAt) => ({
+          day: fireAt.toISOString().slice(0, 10),
+        }))
+      ).toBe(true);
+      await env.runUntilIdle();
+
+      expect(await env.findWorkflow("nightly@2025-01-01T02:00:00.000Z")).toBe(
+        null
+      );
+
+      await env.advance(2 * DAY);
+
+      expect(
+        await env.findWorkflow("nightly@2025-01-01T02:00:00.000Z")
+      ).toMatchObject({ status: "finished", result: { day: "2025-01-01" } });
+      expect(
+        await env.findWorkflow("nightly@2025-01-02T02:00:00.000Z")
+      ).toMatchObject({ status: "finished", result: { day: "2025-01-02" } });
+      expect(await env.findSchedule("nightly")).toMatchObject({
+        nextFireAt: new Date("2025-01-03T02:00:00Z"),
+        lastWorkflowId: "nightly@2025-01-02T02:00:00.000Z",
+      });
+    });
+
+    test("should list the upcoming fire times", async () => {
+      await env.schedule("nightly", "0 2 * * *", "report", undefined, {
+        timezone: "Europe/Paris",
+      });
+
+      expect(await env.getUpcomingFireTimes("nightly", 2)).toEqual([
+        new Date("2025-01-01T01:00:00Z"),
+        new Date("2025-01-02T01:00:00Z"),
+      ]);
+      expect(
+        (await env.getUpcomingFireTimes("nightly")).map((date) =>
+          date.toISOString()
+        )
+      ).toHaveLength(5);
+    });
+
+    test("should update the definition of an existing schedule", async () => {
+      await env.schedule("nightly", "0 2 * * *", "report");
+
+      expect(
+        await env.schedule("nightly", "0 2 * * *", "report", undefined, {
+          overlapPolicy: "allow",
+        })
+      ).toBe(false);
+      expect(await env.findSchedule("nightly")).toMatchObject({
+        overlapPolicy: "allow",
+        nextFireAt: new Date("2025-01-01T02:00:00Z"),
+      });
+
+      await env.schedule("nightly", "0 3 * * *", "report");
+
+      expect(await env.findSchedule("nightly")).toMatchObject({
+        overlapPolicy: "skip",
+        nextFireAt: new Date("2025-01-01T03:00:00Z"),
+      });
+    });
+
+    test("should skip the ticks of a paused schedule", async () => {
+      const handler = jest.fn(async () => "done");
+      env.registerHandler("report", handler);
+      await env.schedule("nightly", "0 2 * * *", "report");
+
+      await env.pauseSchedule("nightly");
+      await env.advance(2 * DAY);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(await env.getUpcomingFireTimes("nightly")).toEqual([]);
+
+      await env.resumeSchedule("nightly");
+      await env.resumeSchedule("nightly");
+      await env.advance(DAY);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(
+        (await env.findWorkflow("nightly@2025-01-03T02:00:00.000Z")).status
+      ).toBe("finished");
+    });
+
+    test("should backfill missed ticks once", async () => {
+      env.registerHandler("report", async (ctx, input) => input);
+      await env.schedule("nightly", "0 2 * * *", "report", (fireAt) =>
+        fireAt.getUTCDate()
+      );
+      await env.pauseSchedule("nightly");
+      await env.advance(3 * DAY);
+
+      const startAt = new Date("2025-01-01T02:00:00Z");
+      const endAt = new Date("2025-01-03T02:00:00Z");
+      expect(await env.backfillSchedule("nightly", startAt, endAt)).toBe(2);
+      expect(await env.backfillSchedule("nightly", startAt, endAt)).toBe(0);
+      await env.runUntilIdle();
+
+      expect(
+        (await env.findWorkflow("nightly@2025-01-01T02:00:00.000Z")).result
+      ).toBe(1);
+      expect(
+        (await env.findWorkflow("nightly@2025-01-02T02:00:00.000Z")).result
+      ).toBe(2);
+      expect(
+        await env.findWorkflow("nightly@2025-01-03T02:00:00.000Z")
+      ).toBeNull();
+    });
+
+    test("should skip ticks while the previous workflow runs", async () => {
+      env.registerHandler("sync", async (ctx) => {
+        await ctx.sleep("slow", 90 * 60 * 1000);
+      });
+      await env.schedule("hourly", "@hourly", "sync");
+
+      await env.advance(3 * HOUR + 60_000);
+
+      const workflowIds = [
+        "hourly@2025-01-01T01:00:00.000Z",
+        "hourly@2025-01-01T02:00:00.000Z",
+        "hourly@2025-01-01T03:00:00.000Z",
+      ];
+      const workflows = await Promise.all(
+        workflowIds.map((workflowId) => env.findWorkflow(workflowId))
+      );
+      expect(workflows.map((workflow) => workflow?.status)).toEqual([
+        "finished",
+        undefined,
+        "running",
+      ]);
+    });
+
+    test("should start ticks while the previous workflow runs when allowed", async () => {
+      env.registerHandler("sync", async (ctx) => {
+        await ctx.sleep("slow", 90 * 60 * 1000);
+      });
+      await env.schedule("hourly", "@hourly", "sync", undefined, {
+        overlapPolicy: "allow",
+      });
+
+      await env.advance(2 * HOUR + 60_000);
+
+      expect(
+        (await env.findWorkflow("hourly@2025-01-01T01:00:00.000Z")).status
+      ).toBe("running");
+      expect(
+        (await env.findWorkflow("hourly@2025-01-01T02:00:00.000Z")).status
+      ).toBe("running");
+    });
+
+    test("should cancel the previous workflow when asked to", async () => {
+      env.registerHandler("sync", async (ctx) => {
+        await ctx.sleep("slow", 90 * 60 * 1000);
+        await ctx.step("sync", async () => "synced");
+      });
+      await env.schedule("hourly", "@hourly", "sync", undefined, {
+        overlapPolicy: "cancelPrevious",
+      });
+
+      await env.advance(2 * HOUR + 60_000);
+
+      expect(
+        await env.findWorkflow("hourly@2025-01-01T01:00:00.000Z")
+      ).toMatchObject({
+        status: "cancelling",
+        cancelReason: "superseded by hourly@2025-01-01T02:00:00.000Z",
+      });
+      expect(
+        (await env.findWorkflow("hourly@2025-01-01T02:00:00.000Z")).status
+      ).toBe("running");
+
+      // The sleeping run reaches its next cancellation point
+      await env.advance(HOUR);
+
+      expect(
+        (await env.findWorkflow("hourly@2025-01-01T01:00:00.000Z")).status
+      ).toBe("cancelled");
+    });
+
+    test("should report schedules that don't exist", async () => {
+      await expect(env.pauseSchedule("missing")).rejects.toThrow(
+        ScheduleNotFound
+      );
+      await expect(env.resumeSchedule("missing")).rejects.toThrow(
+        ScheduleNotFound
+      );
+      await expect(env.getUpcomingFireTimes("missing")).rejects.toThrow(
+        ScheduleNotFound
+      );
+      await expect(
+        env.backfillSchedule("missing", new Date(0), new Date())
+      ).rejects.toThrow(ScheduleNotFound);
+    });
+
+    test("should reject invalid cron expressions", async () => {
+      await expect(
+        env.schedule("nightly", "0 25 * * *", "report")
+      ).rejects.toThrow(InvalidCronExpression);
+      expect(await env.findSchedule("nightly")).toBeNull();
+    });
+  });
+});